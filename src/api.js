@@ -3,14 +3,17 @@
  * Documentación: http://datos.santander.es
  */
 
-const BASE_URL = "http://datos.santander.es/api/rest/datasets";
-
-const ENDPOINTS = {
-  lineas: "lineas_bus.json",
-  secuencia: "lineas_bus_secuencia.json",
-  paradas: "paradas_bus.json",
-  estimaciones: "control_flotas_estimaciones.json",
-};
+import path from "node:path";
+
+import { ENDPOINTS, getDataSource, compilarQueryLucene } from "./datasource.js";
+import { createDatasetCache, configCache } from "./cache.js";
+import { construirRed, buscarItinerarios, minutosAPie, OPCIONES_PLANIFICADOR } from "./planner.js";
+import { distanciaMetros, crearIndiceEspacial } from "./geo.js";
+import { utmAGeograficas } from "./proyeccion.js";
+import { crearIndiceBusqueda, plegarTexto, tokenizar } from "./busqueda.js";
+import { buscarLugares } from "./lugares.js";
+import { parsearFechaPortal, horaMadrid, evaluarFrescura, clasificarEdad } from "./frescura.js";
+import { configPeticiones, enParalelo } from "./peticiones.js";
 
 /**
  * Escapa caracteres especiales de Lucene (excepto wildcards * y ?)
@@ -21,35 +24,25 @@ function luceneEscape(value) {
 }
 
 /**
- * Descarga todas las páginas de un endpoint paginado
+ * Descarga todas las páginas de un endpoint paginado, como mucho
+ * TUS_HTTP_PAGINAS_CONCURRENTES a la vez. Si una página falla (tras sus
+ * reintentos) falla la descarga entera: un dataset a medias dejaría fuera
+ * paradas o líneas sin avisar.
  */
-async function fetchAllPages(endpoint, params = {}) {
-  const url = new URL(`${BASE_URL}/${endpoint}`);
-  url.searchParams.set("items_per_page", "500");
-
-  for (const [key, value] of Object.entries(params)) {
-    url.searchParams.set(key, value);
-  }
-
-  const firstRes = await fetch(url.toString());
-  if (!firstRes.ok) {
-    throw new Error(`Error HTTP ${firstRes.status} al consultar ${endpoint}`);
-  }
+async function descargarPaginas(endpoint, params = {}) {
+  const source = getDataSource();
+  const baseParams = { items_per_page: "500", ...params };
 
-  const firstData = await firstRes.json();
+  const firstData = await source.fetchPage(endpoint, baseParams);
   const { pages, items } = firstData.summary;
   let resources = firstData.resources ?? [];
 
   if (pages > 1) {
-    const pageRequests = [];
+    const tareas = [];
     for (let page = 2; page <= pages; page++) {
-      const pageUrl = new URL(url.toString());
-      pageUrl.searchParams.set("page", page);
-      pageRequests.push(
-        fetch(pageUrl.toString()).then((r) => r.json())
-      );
+      tareas.push(() => source.fetchPage(endpoint, { ...baseParams, page }));
     }
-    const pages_data = await Promise.all(pageRequests);
+    const pages_data = await enParalelo(tareas, configPeticiones().paginasConcurrentes);
     for (const pd of pages_data) {
       resources = resources.concat(pd.resources ?? []);
     }
@@ -58,15 +51,76 @@ async function fetchAllPages(endpoint, params = {}) {
   return { total: items, resources };
 }
 
+// ─── Cache de datasets estáticos ──────────────────────────────────────────────
+
+/**
+ * Líneas, paradas y secuencias cambian muy de vez en cuando: se descargan
+ * completos una vez y las consultas filtradas se resuelven en local.
+ */
+const _datasetCaches = new Map(
+  ["lineas", "paradas", "secuencia"].map((nombre) => {
+    const endpoint = ENDPOINTS[nombre];
+    const { ttlMs, maxStaleMs, dir } = configCache(nombre);
+    return [
+      endpoint,
+      createDatasetCache({
+        nombre,
+        ttlMs,
+        maxStaleMs,
+        snapshotFile: dir ? path.join(dir, endpoint) : null,
+        load: async () => (await descargarPaginas(endpoint)).resources,
+      }),
+    ];
+  })
+);
+
+/**
+ * Devuelve todos los recursos de un endpoint que cumplen la query Lucene.
+ * Los datasets estáticos se sirven desde cache; el resto va al portal.
+ */
+async function fetchAllPages(endpoint, params = {}) {
+  const cache = _datasetCaches.get(endpoint);
+  if (!cache) return descargarPaginas(endpoint, params);
+
+  const { resources } = await cache.get();
+  const filtrados = params.query
+    ? resources.filter(compilarQueryLucene(params.query))
+    : resources;
+  return { total: filtrados.length, resources: filtrados };
+}
+
+/** Precarga los datasets estáticos (desde disco si hay copia) */
+export async function precargarCache() {
+  await Promise.all([..._datasetCaches.values()].map((c) => c.get()));
+}
+
+/**
+ * Recursos en bruto de los datasets estáticos tal como los guarda la cache.
+ * Los arrays sólo cambian cuando la cache entrega un dataset nuevo, así que
+ * sirven de clave para memorizar lo que se construye a partir de ellos.
+ */
+export async function getDatasetsEstaticos() {
+  const [lineas, paradas, secuencia] = await Promise.all(
+    ["lineas", "paradas", "secuencia"].map((nombre) => _datasetCaches.get(ENDPOINTS[nombre]).get())
+  );
+  return { lineas: lineas.resources, paradas: paradas.resources, secuencia: secuencia.resources };
+}
+
+/** Estado de la cache de datasets estáticos */
+export function getEstadoCache() {
+  return [..._datasetCaches.values()].map((c) => c.estado());
+}
+
+/** Estado de las peticiones al portal: modo de datos y circuito */
+export function getEstadoPortal() {
+  return getDataSource().estado?.() ?? null;
+}
+
 /**
  * Consulta un recurso individual por URI
  */
 async function fetchResource(uri) {
-  const res = await fetch(uri);
-  if (!res.ok) {
-    throw new Error(`Error HTTP ${res.status} al consultar ${uri}`);
-  }
-  return res.json();
+  return getDataSource().fetchResource(uri);
 }
 
 // ─── Líneas ──────────────────────────────────────────────────────────────────
@@ -124,61 +178,101 @@ export async function getSecuenciaLinea(numeroLinea, sentido = null) {
       if (sA !== sB) return sA - sB;
       return parseFloat(a["ayto:PuntoKM"] ?? 0) - parseFloat(b["ayto:PuntoKM"] ?? 0);
     })
-    .map((r) => ({
-      linea: r["ayto:Linea"],
-      etiquetaLinea: r["dc:EtiquetaLinea"],
-      sublinea: r["ayto:NombreSublinea"],
-      ruta: r["ayto:Ruta"],
-      sentido: parseInt(r["ayto:SentidoRuta"]) === 1 ? "ida" : "vuelta",
-      sentidoNumerico: parseInt(r["ayto:SentidoRuta"]),
-      numeroParada: r["ayto:NParada"],
-      nombreParada: r["ayto:NombreParada"],
-      puntoKm: parseFloat(r["ayto:PuntoKM"] ?? 0),
-      coordX: parseFloat(r["ayto:PosX"] ?? 0),
-      coordY: parseFloat(r["ayto:PosY"] ?? 0),
-      id: r["dc:identifier"],
-    }));
+    .map(mapSecuencia);
 }
 
-// ─── Paradas ─────────────────────────────────────────────────────────────────
+/**
+ * Devuelve la secuencia completa de todas las líneas, ordenada por línea,
+ * sentido y punto kilométrico.
+ */
+export async function getSecuencias() {
+  const { resources } = await fetchAllPages(ENDPOINTS.secuencia);
+  const etiqueta = (s) => (s.etiquetaLinea ?? s.linea ?? "").toString();
+  return resources
+    .map(mapSecuencia)
+    .sort(
+      (a, b) =>
+        etiqueta(a).localeCompare(etiqueta(b), "es", { numeric: true }) ||
+        a.sentidoNumerico - b.sentidoNumerico ||
+        a.puntoKm - b.puntoKm
+    );
+}
 
-/** Lista todas las paradas de bus */
-export async function getParadas() {
-  const { resources } = await fetchAllPages(ENDPOINTS.paradas);
-  return resources.map((r) => ({
+function mapSecuencia(r) {
+  const coordX = parseFloat(r["ayto:PosX"] ?? 0);
+  const coordY = parseFloat(r["ayto:PosY"] ?? 0);
+  // PosX/PosY están en UTM ETRS89 huso 30N
+  const geo = utmAGeograficas(coordX, coordY);
+  return {
+    linea: r["ayto:Linea"],
+    etiquetaLinea: r["dc:EtiquetaLinea"],
+    sublinea: r["ayto:NombreSublinea"],
+    ruta: r["ayto:Ruta"],
+    sentido: parseInt(r["ayto:SentidoRuta"]) === 1 ? "ida" : "vuelta",
+    sentidoNumerico: parseInt(r["ayto:SentidoRuta"]),
+    numeroParada: r["ayto:NParada"],
+    nombreParada: r["ayto:NombreParada"],
+    puntoKm: parseFloat(r["ayto:PuntoKM"] ?? 0),
+    coordX,
+    coordY,
+    lat: geo?.lat ?? null,
+    lon: geo?.lon ?? null,
     id: r["dc:identifier"],
-    numero: r["ayto:numero"],
-    nombre: r["ayto:parada"],
-    direccion: r["vivo:address1"],
-    sentido: r["ayto:sentido"],
-    lat: parseFloat(r["wgs84_pos:lat"]),
-    lon: parseFloat(r["wgs84_pos:long"]),
-    coordX: parseFloat(r["gn:coordX"]),
-    coordY: parseFloat(r["gn:coordY"]),
-    ultimaActualizacion: r["dc:modified"],
-    uri: r.uri,
-  }));
+  };
 }
 
-/** Busca paradas por nombre o dirección usando filtro Lucene */
-export async function buscarParadas(texto) {
-  const escaped = luceneEscape(texto.trim());
-  const { resources } = await fetchAllPages(ENDPOINTS.paradas, {
-    query: `ayto\\:parada:*${escaped}* OR vivo\\:address1:*${escaped}* OR ayto\\:sentido:*${escaped}*`,
-  });
-  return resources.map((r) => ({
+// ─── Paradas ─────────────────────────────────────────────────────────────────
+
+/** Coordenada de un campo del portal; null si falta o no es un número */
+function coordenada(valor) {
+  const n = parseFloat(valor);
+  return Number.isFinite(n) ? n : null;
+}
+
+function mapParada(r) {
+  return {
     id: r["dc:identifier"],
     numero: r["ayto:numero"],
     nombre: r["ayto:parada"],
     direccion: r["vivo:address1"],
     sentido: r["ayto:sentido"],
-    lat: parseFloat(r["wgs84_pos:lat"]),
-    lon: parseFloat(r["wgs84_pos:long"]),
-    coordX: parseFloat(r["gn:coordX"]),
-    coordY: parseFloat(r["gn:coordY"]),
+    lat: coordenada(r["wgs84_pos:lat"]),
+    lon: coordenada(r["wgs84_pos:long"]),
+    coordX: coordenada(r["gn:coordX"]),
+    coordY: coordenada(r["gn:coordY"]),
     ultimaActualizacion: r["dc:modified"],
     uri: r.uri,
-  }));
+  };
+}
+
+/** Lista todas las paradas de bus */
+export async function getParadas() {
+  const { resources } = await fetchAllPages(ENDPOINTS.paradas);
+  return resources.map(mapParada);
+}
+
+// Índice de búsqueda por texto; se reconstruye sólo cuando cambia el dataset
+const _indicesBusqueda = new WeakMap();
+
+async function getIndiceBusqueda() {
+  const { resources } = await _datasetCaches.get(ENDPOINTS.paradas).get();
+  if (!_indicesBusqueda.has(resources)) {
+    _indicesBusqueda.set(resources, crearIndiceBusqueda(resources.map(mapParada)));
+  }
+  return _indicesBusqueda.get(resources);
+}
+
+/**
+ * Busca paradas por nombre, dirección o sentido sobre el índice local,
+ * sin distinguir tildes ni mayúsculas y tolerando abreviaturas y erratas.
+ * Devuelve las paradas de más a menos relevante, cada una con su
+ * relevancia (0–1). opciones: n (máximo de resultados), minRelevancia.
+ */
+export async function buscarParadas(texto, opciones = {}) {
+  const indice = await getIndiceBusqueda();
+  return indice
+    .buscar(texto, opciones)
+    .map(({ elemento, relevancia }) => ({ ...elemento, relevancia }));
 }
 
 /** Obtiene una parada por su número de parada */
@@ -187,43 +281,106 @@ export async function getParadaByNumero(numero) {
     query: `ayto\\:numero:${luceneEscape(numero.toString())}`,
   });
   if (resources.length === 0) return null;
-  const r = resources[0];
-  return {
-    id: r["dc:identifier"],
-    numero: r["ayto:numero"],
-    nombre: r["ayto:parada"],
-    direccion: r["vivo:address1"],
-    sentido: r["ayto:sentido"],
-    lat: parseFloat(r["wgs84_pos:lat"]),
-    lon: parseFloat(r["wgs84_pos:long"]),
-    coordX: parseFloat(r["gn:coordX"]),
-    coordY: parseFloat(r["gn:coordY"]),
-    ultimaActualizacion: r["dc:modified"],
-    uri: r.uri,
-  };
+  return mapParada(resources[0]);
+}
+
+// Índice espacial de paradas; se reconstruye sólo cuando cambia el dataset
+const _indicesParadas = new WeakMap();
+
+async function getIndiceParadas() {
+  const { resources } = await _datasetCaches.get(ENDPOINTS.paradas).get();
+  if (!_indicesParadas.has(resources)) {
+    _indicesParadas.set(resources, crearIndiceEspacial(resources.map(mapParada)));
+  }
+  return _indicesParadas.get(resources);
 }
 
 /**
- * Encuentra las N paradas más cercanas a unas coordenadas (lat, lon)
+ * Encuentra las N paradas más cercanas a unas coordenadas (lat, lon).
+ *
+ * opciones:
+ *   - radioMetros: descarta las paradas más lejanas
+ *   - linea: sólo paradas por las que pasa esa línea
+ *   - sentido: con linea, "ida" o "vuelta" filtra por el sentido de la
+ *     línea; en otro caso se busca en el campo sentido de la parada
+ *
+ * Cada parada incluye su distancia real en metros y las líneas que la sirven.
  */
-export async function getParadasCercanas(lat, lon, n = 5) {
-  const paradas = await getParadas();
+export async function getParadasCercanas(lat, lon, n = 5, { radioMetros, linea, sentido } = {}) {
+  const [indice, red] = await Promise.all([getIndiceParadas(), getRed()]);
+
+  const rutasDe = (p) => red.rutasPorParada.get(p.numero?.toString()) ?? [];
+  const lineaBuscada = linea ? linea.toString().toUpperCase().trim() : null;
+  const sentidoBuscado = sentido ? plegarTexto(sentido) : null;
+  const sentidoLinea =
+    lineaBuscada && (sentidoBuscado === "ida" || sentidoBuscado === "vuelta")
+      ? (sentidoBuscado === "ida" ? 1 : 2)
+      : null;
+
+  const filtro = (p) => {
+    if (lineaBuscada) {
+      const sirve = rutasDe(p).some(
+        ({ ruta }) =>
+          ruta.linea.toUpperCase() === lineaBuscada &&
+          (sentidoLinea === null || ruta.sentido === sentidoLinea)
+      );
+      if (!sirve) return false;
+    }
+    if (sentidoBuscado && sentidoLinea === null) {
+      return plegarTexto(p.sentido).includes(sentidoBuscado);
+    }
+    return true;
+  };
 
-  function distancia(p) {
-    const dLat = p.lat - lat;
-    const dLon = p.lon - lon;
-    return Math.sqrt(dLat * dLat + dLon * dLon);
+  return indice
+    .cercanos(lat, lon, { n, radioMetros: radioMetros ?? Infinity, filtro })
+    .map(({ punto, distanciaMetros }) => ({
+      ...punto,
+      distanciaMetros: Math.round(distanciaMetros),
+      lineas: [...new Set(rutasDe(punto).map(({ ruta }) => ruta.linea))],
+    }));
+}
+
+/**
+ * Resuelve un nombre libre (un lugar o una parada) a paradas candidatas.
+ * Primero se busca en el nomenclátor de lugares (ver lugares.js): si hay
+ * coincidencia se devuelven las paradas con servicio más cercanas al lugar,
+ * con su distancia. Si no, o si el lugar no tiene paradas a menos de
+ * radioMetros, se buscan paradas por nombre o dirección.
+ *
+ * Las paradas del mismo nombre que la más relevante (ambos sentidos) se
+ * colocan las primeras, para que planificarRutaEntreCandidatas las pruebe.
+ *
+ * Devuelve { lugar, paradas }, con lugar null si no se usó el nomenclátor.
+ */
+export async function resolverNombre(texto, { n = 5, radioMetros = 600 } = {}) {
+  // Sin nomenclátor (fichero ausente o mal formado) se buscan sólo paradas
+  const [lugar] = await buscarLugares(texto, { n: 1 }).catch((e) => {
+    console.error(`No se pudo cargar el nomenclátor de lugares: ${e.message}`);
+    return [];
+  });
+  if (lugar) {
+    const cercanas = await getParadasCercanas(lugar.lat, lugar.lon, n * 3, { radioMetros });
+    const conServicio = cercanas.filter((p) => p.lineas.length > 0).slice(0, n);
+    if (conServicio.length > 0) return { lugar, paradas: conServicio };
   }
+  const encontradas = await buscarParadas(texto, { n: n * 3 });
+  return { lugar: null, paradas: agruparPorNombre(encontradas).slice(0, n) };
+}
 
-  return paradas
-    .filter((p) => !isNaN(p.lat) && !isNaN(p.lon))
-    .map((p) => ({ ...p, distanciaGrados: distancia(p) }))
-    .sort((a, b) => a.distanciaGrados - b.distanciaGrados)
-    .slice(0, n)
-    .map(({ distanciaGrados, ...p }) => ({
-      ...p,
-      distanciaMetrosAprox: Math.round(distanciaGrados * 111320),
-    }));
+/** Nombre de parada sin aclaraciones entre paréntesis, para agrupar sentidos */
+const claveNombre = (p) => tokenizar(p.nombre?.replace(/\(.*?\)/g, " ")).join(" ");
+
+/**
+ * Reordena paradas encontradas por nombre para que las del mismo nombre que
+ * la más relevante (normalmente una por acera y sentido) vayan justo detrás
+ * de ella, antes que el resto de coincidencias.
+ */
+function agruparPorNombre(paradas) {
+  if (paradas.length === 0) return paradas;
+  const clave = claveNombre(paradas[0]);
+  const mismoNombre = paradas.filter((p) => claveNombre(p) === clave);
+  return [...mismoNombre, ...paradas.filter((p) => claveNombre(p) !== clave)];
 }
 
 // ─── Estimaciones de paso ─────────────────────────────────────────────────────
@@ -242,6 +399,8 @@ function mapEstimacion(r) {
   const tiempo2Seg = parseInt(r["ayto:tiempo2"] ?? -1);
   const dist1 = parseInt(r["ayto:distancia1"] ?? -1);
   const dist2 = parseInt(r["ayto:distancia2"] ?? -1);
+  // Instante (ms) en que el portal calculó la estimación
+  const fechaDatos = parsearFechaPortal(r["ayto:fechActual"]) ?? parsearFechaPortal(r["dc:modified"]);
 
   return {
     paradaId: r["ayto:paradaId"],
@@ -252,257 +411,438 @@ function mapEstimacion(r) {
       tiempoSegundos: tiempo1Seg,
       tiempoMinutos: tiempo1Seg >= 0 ? Math.round(tiempo1Seg / 60) : null,
       distanciaMetros: dist1 >= 0 ? dist1 : null,
-      llegada: tiempo1Seg >= 0 ? calcularHoraLlegada(tiempo1Seg) : null,
+      llegada: tiempo1Seg >= 0 ? calcularHoraLlegada(fechaDatos, tiempo1Seg) : null,
     },
     segundoBus: {
       tiempoSegundos: tiempo2Seg,
       tiempoMinutos: tiempo2Seg >= 0 ? Math.round(tiempo2Seg / 60) : null,
       distanciaMetros: dist2 >= 0 ? dist2 : null,
-      llegada: tiempo2Seg >= 0 ? calcularHoraLlegada(tiempo2Seg) : null,
+      llegada: tiempo2Seg >= 0 ? calcularHoraLlegada(fechaDatos, tiempo2Seg) : null,
     },
     fechaConsulta: r["ayto:fechActual"],
+    fechaDatos,
     ultimaActualizacion: r["dc:modified"],
     id: r["dc:identifier"],
   };
 }
 
-function calcularHoraLlegada(segundos) {
-  const ahora = new Date();
-  ahora.setSeconds(ahora.getSeconds() + segundos);
-  return ahora.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" });
+/**
+ * Hora de llegada (HH:MM en Santander): los segundos cuentan desde que el
+ * portal calculó la estimación, no desde ahora. Sin fecha se usa la actual.
+ */
+function calcularHoraLlegada(fechaDatos, segundos) {
+  return horaMadrid((fechaDatos ?? Date.now()) + segundos * 1000);
 }
 
-/** Estimaciones para una parada específica por su ID */
+/**
+ * Estimaciones para una parada específica por su ID, filtradas del
+ * snapshot de 30 s (sin consulta propia al portal)
+ */
 export async function getEstimacionesByParada(paradaId) {
-  const { resources } = await fetchAllPages(ENDPOINTS.estimaciones, {
-    query: `ayto\\:paradaId:${luceneEscape(paradaId.toString())}`,
-  });
-  return resources.map(mapEstimacion);
+  const id = paradaId.toString().trim();
+  const { resources } = await getTodasEstimacionesCached();
+  return resources.filter((r) => r["ayto:paradaId"]?.toString() === id).map(mapEstimacion);
 }
 
-/** Estimaciones para todas las paradas de una línea concreta */
+/** Estimaciones para todas las paradas de una línea concreta, del snapshot de 30 s */
 export async function getEstimacionesByLinea(linea) {
   const normalizado = linea.toString().toUpperCase().trim();
-  const { resources } = await fetchAllPages(ENDPOINTS.estimaciones, {
-    query: `ayto\\:etiqLinea:${luceneEscape(normalizado)}`,
-  });
-  return resources.map(mapEstimacion);
+  const { resources } = await getTodasEstimacionesCached();
+  return resources
+    .filter((r) => r["ayto:etiqLinea"]?.toString().toUpperCase() === normalizado)
+    .map(mapEstimacion);
 }
 
 // ─── Cache ligero con TTL ─────────────────────────────────────────────────────
 
-const _cache = { data: null, ts: 0 };
+const _cache = { data: null, ts: 0, enCurso: null };
 const CACHE_TTL_MS = 30_000; // 30 s — las estimaciones se actualizan cada ~30 s
 
 async function getTodasEstimacionesCached() {
   const now = Date.now();
   if (_cache.data && now - _cache.ts < CACHE_TTL_MS) return _cache.data;
-  const result = await fetchAllPages(ENDPOINTS.estimaciones);
-  _cache.data = result;
-  _cache.ts = now;
-  return result;
+  // Quien llega mientras se descarga espera a esa misma descarga
+  _cache.enCurso ??= fetchAllPages(ENDPOINTS.estimaciones)
+    .then((result) => {
+      _cache.data = result;
+      _cache.ts = now;
+      return result;
+    })
+    .finally(() => {
+      _cache.enCurso = null;
+    });
+  return _cache.enCurso;
+}
+
+/**
+ * Estimaciones de todas las paradas servidas desde la cache de 30 s, junto
+ * con el instante (ms) en que se descargaron, que sirve de versión.
+ */
+export async function getEstimacionesCached() {
+  const { resources } = await getTodasEstimacionesCached();
+  return { estimaciones: resources.map(mapEstimacion), obtenidasEn: _cache.ts };
 }
 
 // ─── Planificación de rutas ───────────────────────────────────────────────────
 
+// Red construida a partir de la secuencia y las paradas cacheadas; se
+// reconstruye sólo cuando la cache entrega un dataset nuevo. Como el radio
+// de transbordo lo elige quien llama, se guardan sólo las redes de los
+// últimos radios usados.
+const _redes = new WeakMap();
+const MAX_REDES_POR_RADIO = 4;
+
+async function getRed(radioTransbordoMetros = OPCIONES_PLANIFICADOR.radioTransbordoMetros) {
+  const [{ resources: secuencia }, { resources: paradas }] = await Promise.all([
+    _datasetCaches.get(ENDPOINTS.secuencia).get(),
+    _datasetCaches.get(ENDPOINTS.paradas).get(),
+  ]);
+
+  let memo = _redes.get(secuencia);
+  if (!memo || memo.paradas !== paradas) {
+    memo = { paradas, porRadio: new Map() };
+    _redes.set(secuencia, memo);
+  }
+  const { porRadio } = memo;
+  let red = porRadio.get(radioTransbordoMetros);
+  if (red) {
+    // Se vuelve a insertar para que quede como la más reciente
+    porRadio.delete(radioTransbordoMetros);
+  } else {
+    red = construirRed(secuencia, paradas.map(mapParada), { radioTransbordoMetros });
+    if (porRadio.size >= MAX_REDES_POR_RADIO) porRadio.delete(porRadio.keys().next().value);
+  }
+  porRadio.set(radioTransbordoMetros, red);
+  return red;
+}
+
 /**
- * Encuentra líneas que conectan dos paradas (por número de parada).
- * Devuelve rutas directas y con una transbordo.
+ * Opciones de tiempo real para el planificador a partir del snapshot de
+ * estimaciones: esperas por parada y línea, próximo bus y líneas activas.
+ * Las estimaciones caducadas no se usan (en esas paradas se supone la espera
+ * media); frescura resume la edad de las usadas y cuántas se descartaron.
  */
-export async function planificarRuta(paradaOrigenId, paradaDestinoId) {
-  // Obtener secuencias específicas de cada parada en paralelo
-  const [resOrigen, resDestino] = await Promise.all([
-    fetchAllPages(ENDPOINTS.secuencia, {
-      query: `ayto\\:NParada:${luceneEscape(paradaOrigenId.toString())}`,
-    }),
-    fetchAllPages(ENDPOINTS.secuencia, {
-      query: `ayto\\:NParada:${luceneEscape(paradaDestinoId.toString())}`,
-    }),
-  ]);
+async function contextoTiempoReal() {
+  const todasEstimaciones = await getTodasEstimacionesCached();
+  const ahora = Date.now();
 
-  const seqToEntry = (s) => ({
-    linea: s["dc:EtiquetaLinea"] ?? s["ayto:Linea"],
-    sentido: s["ayto:SentidoRuta"],
-    puntoKm: parseFloat(s["ayto:PuntoKM"] ?? 0),
-    nombreParada: s["ayto:NombreParada"],
-    nParada: s["ayto:NParada"]?.toString(),
-  });
+  const todas = todasEstimaciones.resources.map(mapEstimacion);
+  const usadas = todas.filter(
+    (e) => e.fechaDatos === null || clasificarEdad((ahora - e.fechaDatos) / 1000) !== "caducado"
+  );
+
+  // Estimaciones por parada y línea, y líneas con buses circulando ahora mismo
+  const porParadaLinea = new Map();
+  for (const e of usadas) {
+    if (!e.paradaId || !e.linea) continue;
+    porParadaLinea.set(`${e.paradaId}|${e.linea.toUpperCase()}`, e);
+  }
+  const lineasActivas = new Set(usadas.map((e) => e.linea?.toUpperCase()).filter(Boolean));
+
+  const { aviso, ...frescura } = evaluarFrescura(usadas.length > 0 ? usadas : todas, ahora);
+  const descartadas = todas.length - usadas.length;
+
+  const estimacion = (parada, linea) =>
+    porParadaLinea.get(`${parada}|${linea.toUpperCase()}`);
+  // Segundos que faltan ahora: a los del portal se les resta la edad del dato
+  const restantes = (e, bus) =>
+    bus.tiempoSegundos - (e.fechaDatos === null ? 0 : Math.max(0, (ahora - e.fechaDatos) / 1000));
+
+  return {
+    frescura: {
+      ...frescura,
+      estimacionesDescartadas: descartadas,
+      aviso:
+        descartadas > 0
+          ? `${descartadas} estimaciones caducadas no se han usado; en esas paradas se supone la espera media.`
+          : aviso,
+    },
+    // Sin ningún bus en circulación (ej: de madrugada) no filtramos
+    lineasActivas: lineasActivas.size > 0 ? lineasActivas : null,
+    tiempos: (parada, linea) => {
+      const e = estimacion(parada, linea);
+      if (!e) return null;
+      return [e.proximoBus, e.segundoBus]
+        .filter((b) => b.tiempoSegundos >= 0 && restantes(e, b) >= 0)
+        .map((b) => restantes(e, b) / 60);
+    },
+    proximoBus: (parada, linea) => {
+      const e = estimacion(parada, linea);
+      if (!e || e.proximoBus.tiempoSegundos < 0 || restantes(e, e.proximoBus) < 0) return null;
+      return {
+        tiempoMinutos: Math.round(restantes(e, e.proximoBus) / 60),
+        llegadaEstimada: e.proximoBus.llegada,
+        destino: e.destino1,
+      };
+    },
+  };
+}
 
-  const lineasOrigen = resOrigen.resources.map(seqToEntry);
-  const lineasDestino = resDestino.resources.map(seqToEntry);
-
-  // Para transbordos necesitamos las secuencias completas de las líneas
-  // que sirven origen Y destino. Construimos queries Lucene con OR.
-  const lineasUnicasOrigen = [...new Set(lineasOrigen.map((e) => e.linea).filter(Boolean))];
-  const lineasUnicasDestino = [...new Set(lineasDestino.map((e) => e.linea).filter(Boolean))];
-
-  const qLineasOrigen = lineasUnicasOrigen
-    .map((l) => `dc\\:EtiquetaLinea:${luceneEscape(l)}`)
-    .join(" OR ");
-  const qLineasDestino = lineasUnicasDestino
-    .map((l) => `dc\\:EtiquetaLinea:${luceneEscape(l)}`)
-    .join(" OR ");
-
-  // Fetch en paralelo: secuencias de líneas origen, secuencias de líneas destino,
-  // estimaciones de la parada origen y todas las estimaciones (para filtrar líneas activas)
-  const [resSeqLineasOrigen, resSeqLineasDestino, estimaciones, todasEstimaciones] = await Promise.all([
-    lineasUnicasOrigen.length > 0
-      ? fetchAllPages(ENDPOINTS.secuencia, { query: qLineasOrigen })
-      : Promise.resolve({ resources: [] }),
-    lineasUnicasDestino.length > 0
-      ? fetchAllPages(ENDPOINTS.secuencia, { query: qLineasDestino })
-      : Promise.resolve({ resources: [] }),
-    getEstimacionesByParada(paradaOrigenId),
-    getTodasEstimacionesCached(),
+/**
+ * Encuentra itinerarios entre dos paradas (por número de parada), con hasta
+ * opciones.maxTransbordos cambios de línea y transbordos a pie entre paradas
+ * a menos de opciones.radioTransbordoMetros. Ver buscarItinerarios().
+ */
+export async function planificarRuta(paradaOrigenId, paradaDestinoId, opciones = {}) {
+  const [red, { frescura, ...tiempoReal }] = await Promise.all([
+    getRed(opciones.radioTransbordoMetros),
+    contextoTiempoReal(),
   ]);
 
-  // Conjunto de etiquetas de líneas con buses circulando ahora mismo
-  const lineasActivas = new Set(
-    todasEstimaciones.resources
-      .map((r) => r["ayto:etiqLinea"]?.toUpperCase())
-      .filter(Boolean)
-  );
+  const itinerarios = buscarItinerarios(red, paradaOrigenId, paradaDestinoId, {
+    ...opciones,
+    ...tiempoReal,
+  });
+
+  return {
+    origen: { numero: paradaOrigenId, nombre: red.nombres.get(paradaOrigenId.toString()) ?? null },
+    destino: { numero: paradaDestinoId, nombre: red.nombres.get(paradaDestinoId.toString()) ?? null },
+    itinerarios,
+    datosTiempoReal: frescura,
+    tiempoConsulta: new Date().toISOString(),
+  };
+}
 
-  const seqs = resSeqLineasOrigen.resources;
+/**
+ * Paradas con servicio candidatas para empezar o terminar un viaje en unas
+ * coordenadas, con la distancia y el tiempo a pie hasta ellas.
+ */
+async function paradasCandidatas(red, punto, { candidatos, maxAPieMetros, velocidadPieKmh }) {
+  const cercanas = await getParadasCercanas(punto.lat, punto.lon, candidatos * 4, {
+    radioMetros: maxAPieMetros,
+  });
+  return cercanas
+    .filter((p) => red.rutasPorParada.has(p.numero?.toString()))
+    .slice(0, candidatos)
+    .map((p) => ({
+      numero: p.numero.toString(),
+      nombre: p.nombre,
+      distanciaMetros: p.distanciaMetros,
+      minutos: minutosAPie(p.distanciaMetros, velocidadPieKmh),
+      punto,
+    }));
+}
 
-  // Mapear parada → entradas de secuencia (líneas origen + líneas destino)
-  const paradaALineas = new Map();
-  for (const s of [...resSeqLineasOrigen.resources, ...resSeqLineasDestino.resources]) {
-    const nParada = s["ayto:NParada"]?.toString();
-    if (!nParada) continue;
-    if (!paradaALineas.has(nParada)) paradaALineas.set(nParada, []);
-    paradaALineas.get(nParada).push(seqToEntry(s));
-  }
+/** Tramo a pie entre un punto y una parada candidata, en el sentido dado */
+function tramoAPie(candidata, haciaParada) {
+  const punto = { lat: candidata.punto.lat, lon: candidata.punto.lon };
+  const parada = { numero: candidata.numero, nombre: candidata.nombre };
+  return {
+    tipo: "pie",
+    ...(haciaParada
+      ? { puntoOrigen: punto, paradaDestino: parada }
+      : { paradaOrigen: parada, puntoDestino: punto }),
+    distanciaMetros: candidata.distanciaMetros,
+    minutos: Math.max(1, Math.round(candidata.minutos)),
+  };
+}
 
-  // ── Rutas directas ──
-  const rutasDirectas = [];
-
-  for (const lo of lineasOrigen) {
-    for (const ld of lineasDestino) {
-      if (lo.linea === ld.linea && lo.sentido === ld.sentido) {
-        // El origen debe estar antes que el destino en km
-        if (lo.puntoKm <= ld.puntoKm) {
-          const sentidoLabel = parseInt(lo.sentido) === 1 ? "ida" : "vuelta";
-
-          // Estimar próximo bus en parada origen
-          const estOrigen = estimaciones.filter(
-            (e) =>
-              e.paradaId?.toString() === paradaOrigenId.toString() &&
-              e.linea?.toUpperCase() === lo.linea?.toUpperCase()
-          );
-
-          rutasDirectas.push({
-            tipo: "directa",
-            linea: lo.linea,
-            sentido: sentidoLabel,
-            paradaOrigen: { numero: paradaOrigenId, nombre: lo.nombreParada },
-            paradaDestino: { numero: paradaDestinoId, nombre: ld.nombreParada },
-            distanciaKm: parseFloat((ld.puntoKm - lo.puntoKm).toFixed(2)),
-            proximoBus:
-              estOrigen.length > 0
-                ? {
-                    tiempoMinutos: estOrigen[0].proximoBus.tiempoMinutos,
-                    llegadaEstimada: estOrigen[0].proximoBus.llegada,
-                    destino: estOrigen[0].destino1,
-                  }
-                : null,
-          });
-        }
+/**
+ * Prueba cada combinación de paradas candidatas de origen y destino sobre la
+ * misma red y el mismo snapshot de tiempo real (sin más llamadas a la API).
+ * Las candidatas con punto suman el tramo a pie desde él o hasta él.
+ *
+ * Devuelve [{ itinerario, origen, destino }] sin itinerarios repetidos,
+ * ordenados por tiempo, transbordos y distancia a pie.
+ */
+function combinarCandidatas(red, tiempoReal, candidatasOrigen, candidatasDestino, opciones) {
+  const resultados = [];
+  const vistos = new Set();
+
+  for (const po of candidatasOrigen) {
+    for (const pd of candidatasDestino) {
+      if (po.numero === pd.numero) continue;
+
+      const encontrados = buscarItinerarios(red, po.numero, pd.numero, {
+        ...opciones,
+        ...tiempoReal,
+        minutoSalida: po.minutos,
+        maxResultados: 2,
+      });
+
+      for (const it of encontrados) {
+        const firma = it.tramos
+          .map((t) => `${t.tipo}:${t.linea ?? ""}:${t.paradaOrigen.numero}>${t.paradaDestino.numero}`)
+          .join(",");
+        if (vistos.has(firma)) continue;
+        vistos.add(firma);
+
+        resultados.push({
+          origen: po,
+          destino: pd,
+          itinerario: {
+            ...it,
+            tiempoEstimadoMinutos: Math.round(po.minutos + it.tiempoEstimadoMinutos + pd.minutos),
+            distanciaAPieMetros: po.distanciaMetros + it.distanciaAPieMetros + pd.distanciaMetros,
+            tramos: [
+              ...(po.punto ? [tramoAPie(po, true)] : []),
+              ...it.tramos,
+              ...(pd.punto ? [tramoAPie(pd, false)] : []),
+            ],
+          },
+        });
       }
     }
   }
 
-  // Eliminar duplicados de rutas directas y filtrar sólo líneas activas
-  const rutasDirectasUnicas = rutasDirectas.filter(
-    (v, i, a) =>
-      a.findIndex((t) => t.linea === v.linea && t.sentido === v.sentido) === i &&
-      lineasActivas.has(v.linea?.toUpperCase())
+  return resultados.sort(
+    ({ itinerario: a }, { itinerario: b }) =>
+      a.tiempoEstimadoMinutos - b.tiempoEstimadoMinutos ||
+      a.transbordos - b.transbordos ||
+      a.distanciaAPieMetros - b.distanciaAPieMetros
   );
+}
 
-  // ── Rutas con transbordo (si no hay directas) ──
-  const rutasTransbordo = [];
-
-  if (rutasDirectasUnicas.length === 0) {
-    // Paradas donde llegan líneas del origen
-    const paradasIntermedias = new Set();
-    for (const seq of seqs) {
-      const nParada = seq["ayto:NParada"]?.toString();
-      const linea = seq["dc:EtiquetaLinea"] ?? seq["ayto:Linea"];
-      if (lineasOrigen.some((lo) => lo.linea === linea)) {
-        paradasIntermedias.add(nParada);
-      }
+/**
+ * Planifica un viaje puerta a puerta entre dos coordenadas: prueba las
+ * combinaciones de paradas candidatas cerca de cada extremo y añade los
+ * tramos a pie hasta la primera parada y desde la última.
+ *
+ * opciones: las de planificarRuta, más candidatos (paradas por extremo) y
+ * maxAPieMetros (distancia máxima hasta una parada).
+ */
+export async function planificarRutaDesdeCoordenadas(origen, destino, opciones = {}) {
+  const {
+    candidatos = 4,
+    maxAPieMetros = 600,
+    maxResultados = OPCIONES_PLANIFICADOR.maxResultados,
+    velocidadPieKmh = OPCIONES_PLANIFICADOR.velocidadPieKmh,
+    ...resto
+  } = opciones;
+
+  const [red, { frescura, ...tiempoReal }] = await Promise.all([
+    getRed(resto.radioTransbordoMetros),
+    contextoTiempoReal(),
+  ]);
+
+  const [candidatasOrigen, candidatasDestino] = await Promise.all([
+    paradasCandidatas(red, origen, { candidatos, maxAPieMetros, velocidadPieKmh }),
+    paradasCandidatas(red, destino, { candidatos, maxAPieMetros, velocidadPieKmh }),
+  ]);
+
+  const itinerarios = combinarCandidatas(red, tiempoReal, candidatasOrigen, candidatasDestino, {
+    ...resto,
+    velocidadPieKmh,
+  }).map((r) => r.itinerario);
+
+  const metrosDirecto = Math.round(distanciaMetros(origen.lat, origen.lon, destino.lat, destino.lon));
+
+  return {
+    origen: { lat: origen.lat, lon: origen.lon },
+    destino: { lat: destino.lat, lon: destino.lon },
+    paradasCandidatas: {
+      origen: candidatasOrigen.map(({ minutos, punto, ...p }) => p),
+      destino: candidatasDestino.map(({ minutos, punto, ...p }) => p),
+    },
+    soloAPie: {
+      distanciaMetros: metrosDirecto,
+      minutos: Math.round(minutosAPie(metrosDirecto, velocidadPieKmh)),
+    },
+    itinerarios: itinerarios.slice(0, maxResultados),
+    datosTiempoReal: frescura,
+    tiempoConsulta: new Date().toISOString(),
+  };
+}
+
+// Máximo de paradas candidatas por extremo en planificarRutaEntreCandidatas:
+// se prueban hasta MAX² combinaciones, todas sobre el mismo snapshot
+const MAX_CANDIDATOS_EXTREMO = 5;
+
+/**
+ * Planifica entre varias paradas candidatas de origen y de destino (como
+ * las de resolverNombre) y se queda con la mejor combinación. Se prueban las
+ * primeras opciones.candidatos paradas con servicio de cada lista (por
+ * defecto 3, como mucho MAX_CANDIDATOS_EXTREMO); si vienen de un lugar del
+ * nomenclátor (opciones.lugarOrigen / lugarDestino) se añade el tramo a pie
+ * entre el lugar y la parada. Si se buscaron por nombre, sólo compiten las
+ * del mismo nombre que la primera, salvo que ninguna tenga servicio: así una
+ * coincidencia más débil nunca gana a la exacta por tener mejor ruta.
+ *
+ * Devuelve, además de los itinerarios, la combinación elegida (origen y
+ * destino) y el resumen de cada combinación probada, de mejor a peor.
+ */
+export async function planificarRutaEntreCandidatas(paradasOrigen, paradasDestino, opciones = {}) {
+  const {
+    candidatos = 3,
+    lugarOrigen = null,
+    lugarDestino = null,
+    maxResultados = OPCIONES_PLANIFICADOR.maxResultados,
+    velocidadPieKmh = OPCIONES_PLANIFICADOR.velocidadPieKmh,
+    ...resto
+  } = opciones;
+  const limite = Math.min(Math.max(1, Math.trunc(candidatos) || 1), MAX_CANDIDATOS_EXTREMO);
+
+  const [red, { frescura, ...tiempoReal }] = await Promise.all([
+    getRed(resto.radioTransbordoMetros),
+    contextoTiempoReal(),
+  ]);
+
+  const aCandidatas = (paradas, lugar) => {
+    let conServicio = paradas.filter((p) => red.rutasPorParada.has(p.numero?.toString()));
+    // Buscadas por nombre, sólo las del nombre más relevante; las demás
+    // coincidencias únicamente si ninguna de ellas tiene servicio
+    if (!lugar && paradas.length > 0) {
+      const clave = claveNombre(paradas[0]);
+      const mismoNombre = conServicio.filter((p) => claveNombre(p) === clave);
+      if (mismoNombre.length > 0) conServicio = mismoNombre;
     }
+    return conServicio
+      .slice(0, limite)
+      .map((p, posicion) => ({
+        numero: p.numero.toString(),
+        nombre: p.nombre,
+        posicion,
+        distanciaMetros: lugar ? p.distanciaMetros : 0,
+        minutos: lugar ? minutosAPie(p.distanciaMetros, velocidadPieKmh) : 0,
+        punto: lugar ? { lat: lugar.lat, lon: lugar.lon } : null,
+      }));
+  };
 
-    // Ver si alguna de esas paradas intermedias sirve el destino
-    for (const pi of paradasIntermedias) {
-      if (pi === paradaOrigenId.toString() || pi === paradaDestinoId.toString())
-        continue;
-
-      const lineasIntermedias = paradaALineas.get(pi) ?? [];
-      for (const li of lineasIntermedias) {
-        for (const ld of lineasDestino) {
-          if (
-            li.linea === ld.linea &&
-            li.sentido === ld.sentido &&
-            li.puntoKm <= ld.puntoKm
-          ) {
-            // Buscar la línea del origen que pasa por pi
-            const seqOrigen = seqs.find(
-              (s) =>
-                s["ayto:NParada"]?.toString() === pi &&
-                lineasOrigen.some(
-                  (lo) => lo.linea === (s["dc:EtiquetaLinea"] ?? s["ayto:Linea"])
-                )
-            );
-            if (!seqOrigen) continue;
-            const lineaOrigen =
-              seqOrigen["dc:EtiquetaLinea"] ?? seqOrigen["ayto:Linea"];
-
-            rutasTransbordo.push({
-              tipo: "transbordo",
-              tramo1: {
-                linea: lineaOrigen,
-                paradaOrigen: {
-                  numero: paradaOrigenId,
-                  nombre:
-                    lineasOrigen.find((lo) => lo.linea === lineaOrigen)
-                      ?.nombreParada ?? paradaOrigenId,
-                },
-                paradaTransbordo: {
-                  numero: pi,
-                  nombre: seqOrigen["ayto:NombreParada"],
-                },
-              },
-              tramo2: {
-                linea: li.linea,
-                paradaTransbordo: {
-                  numero: pi,
-                  nombre: li.nombreParada,
-                },
-                paradaDestino: {
-                  numero: paradaDestinoId,
-                  nombre: ld.nombreParada,
-                },
-              },
-            });
-          }
-        }
-      }
+  const candidatasOrigen = aCandidatas(paradasOrigen, lugarOrigen);
+  const candidatasDestino = aCandidatas(paradasDestino, lugarDestino);
+
+  const encontrados = combinarCandidatas(red, tiempoReal, candidatasOrigen, candidatasDestino, {
+    ...resto,
+    velocidadPieKmh,
+  });
+
+  // Resumen por combinación: su mejor itinerario (el primero, ya ordenados)
+  const combinaciones = new Map();
+  for (const po of candidatasOrigen) {
+    for (const pd of candidatasDestino) {
+      if (po.numero === pd.numero) continue;
+      combinaciones.set(`${po.numero}>${pd.numero}`, { po, pd, itinerarios: 0, mejor: null });
     }
   }
+  for (const { origen, destino, itinerario } of encontrados) {
+    const c = combinaciones.get(`${origen.numero}>${destino.numero}`);
+    c.itinerarios++;
+    c.mejor ??= itinerario;
+  }
 
-  // Filtrar transbordos: ambas líneas deben estar activas
-  const rutasTransbordoActivas = rutasTransbordo.filter(
-    (r) =>
-      lineasActivas.has(r.tramo1.linea?.toUpperCase()) &&
-      lineasActivas.has(r.tramo2.linea?.toUpperCase())
-  );
-
+  const parada = ({ numero, nombre }) => ({ numero, nombre });
+  const resumenes = [...combinaciones.values()]
+    .map(({ po, pd, itinerarios, mejor }) => ({
+      origen: { ...parada(po), posicion: po.posicion + 1 },
+      destino: { ...parada(pd), posicion: pd.posicion + 1 },
+      itinerarios,
+      mejorTiempoMinutos: mejor?.tiempoEstimadoMinutos ?? null,
+      transbordos: mejor?.transbordos ?? null,
+    }))
+    .sort(
+      (a, b) =>
+        (a.mejorTiempoMinutos ?? Infinity) - (b.mejorTiempoMinutos ?? Infinity) ||
+        (a.transbordos ?? Infinity) - (b.transbordos ?? Infinity) ||
+        a.origen.posicion + a.destino.posicion - (b.origen.posicion + b.destino.posicion)
+    );
+
+  const ganadora = encontrados[0];
   return {
-    origen: paradaOrigenId,
-    destino: paradaDestinoId,
-    rutasDirectas: rutasDirectasUnicas,
-    rutasConTransbordo: rutasTransbordoActivas.slice(0, 5), // máximo 5 sugerencias
+    origen: parada(ganadora?.origen ?? candidatasOrigen[0] ?? paradasOrigen[0]),
+    destino: parada(ganadora?.destino ?? candidatasDestino[0] ?? paradasDestino[0]),
+    itinerarios: encontrados.slice(0, maxResultados).map((r) => r.itinerario),
+    combinaciones: resumenes,
+    datosTiempoReal: frescura,
     tiempoConsulta: new Date().toISOString(),
   };
 }
@@ -0,0 +1,203 @@
+/**
+ * Búsqueda local de paradas por texto, tolerante a tildes, mayúsculas,
+ * abreviaturas habituales del callejero y pequeñas erratas.
+ *
+ * Cada texto se pliega (minúsculas, sin tildes ni signos), se trocea en
+ * palabras y se expanden las abreviaturas (Avda → avenida, C/ → calle...).
+ * Cada palabra de la consulta se compara con el vocabulario del índice:
+ * coincidencia exacta, prefijo, contenida o a distancia de edición pequeña.
+ * La relevancia (0–1) es la media de la mejor coincidencia de cada palabra,
+ * ponderada según el campo donde aparece (nombre, dirección o sentido).
+ */
+
+/** Minúsculas y sin tildes, para comparar textos */
+export function plegarTexto(texto) {
+  return (texto ?? "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+const ABREVIATURAS = {
+  av: "avenida",
+  avd: "avenida",
+  avda: "avenida",
+  c: "calle",
+  cl: "calle",
+  cr: "carretera",
+  ctra: "carretera",
+  pl: "plaza",
+  pz: "plaza",
+  pza: "plaza",
+  plza: "plaza",
+  po: "paseo",
+  pso: "paseo",
+  bo: "barrio",
+  urb: "urbanizacion",
+  gral: "general",
+  dr: "doctor",
+  sta: "santa",
+  sto: "santo",
+  sr: "senor",
+  sra: "senora",
+  ntra: "nuestra",
+  hnos: "hermanos",
+  fdez: "fernandez",
+  glta: "glorieta",
+  trav: "travesia",
+  cno: "camino",
+};
+
+const PALABRAS_VACIAS = new Set(["de", "del", "la", "las", "el", "los", "y", "a", "en", "al", "sn"]);
+
+// Peso de cada campo de la parada en la relevancia
+const PESOS_PARADA = { nombre: 1, direccion: 0.8, sentido: 0.6 };
+
+/** Palabras normalizadas de un texto, con las abreviaturas expandidas */
+export function tokenizar(texto) {
+  return plegarTexto(texto)
+    .replace(/º|ª/g, "o ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(Boolean)
+    .map((t) => ABREVIATURAS[t] ?? t);
+}
+
+/** Distancia de edición con transposiciones (Damerau-Levenshtein restringida) */
+function distanciaEdicion(a, b) {
+  const filas = [];
+  for (let i = 0; i <= a.length; i++) filas.push([i]);
+  for (let j = 1; j <= b.length; j++) filas[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const coste = a[i - 1] === b[j - 1] ? 0 : 1;
+      filas[i][j] = Math.min(
+        filas[i - 1][j] + 1,
+        filas[i][j - 1] + 1,
+        filas[i - 1][j - 1] + coste
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        filas[i][j] = Math.min(filas[i][j], filas[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return filas[a.length][b.length];
+}
+
+/** Erratas admitidas según la longitud de la palabra buscada */
+function erratasPermitidas(longitud) {
+  if (longitud <= 3) return 0;
+  if (longitud <= 6) return 1;
+  return 2;
+}
+
+/** Parecido (0–1) entre una palabra de la consulta y una del índice */
+function similitud(consulta, palabra) {
+  if (consulta === palabra) return 1;
+  if (consulta.length >= 3 && palabra.startsWith(consulta)) return 0.9;
+  if (consulta.length >= 4 && palabra.includes(consulta)) return 0.7;
+
+  const permitidas = erratasPermitidas(consulta.length);
+  if (permitidas === 0 || Math.abs(consulta.length - palabra.length) > permitidas) return 0;
+  const d = distanciaEdicion(consulta, palabra);
+  if (d > permitidas) return 0;
+  return 0.85 * (1 - d / Math.max(consulta.length, palabra.length));
+}
+
+/**
+ * Crea un índice de búsqueda sobre una lista de elementos con nombre: por
+ * defecto paradas (como las de getParadas), indexando los campos y pesos de
+ * opciones.pesos. buscar(texto, { n, minRelevancia }) devuelve
+ * [{ elemento, relevancia }] ordenados de más a menos relevante.
+ */
+export function crearIndiceBusqueda(elementos, { pesos = PESOS_PARADA } = {}) {
+  // Vocabulario: palabra → [{ idx, peso }], con el mejor peso por elemento
+  const vocabulario = new Map();
+  const porNumero = new Map();
+
+  elementos.forEach((p, idx) => {
+    if (p.numero !== undefined && p.numero !== null) porNumero.set(p.numero.toString(), idx);
+    const palabras = new Map();
+    for (const [campo, peso] of Object.entries(pesos)) {
+      for (const t of tokenizar(p[campo])) {
+        if (PALABRAS_VACIAS.has(t)) continue;
+        palabras.set(t, Math.max(palabras.get(t) ?? 0, peso));
+      }
+    }
+    for (const [t, peso] of palabras) {
+      if (!vocabulario.has(t)) vocabulario.set(t, []);
+      vocabulario.get(t).push({ idx, peso });
+    }
+  });
+
+  const nombresPlegados = elementos.map((p) =>
+    tokenizar(p.nombre).filter((t) => !PALABRAS_VACIAS.has(t))
+  );
+
+  return {
+    total: elementos.length,
+
+    buscar(texto, { n = 20, minRelevancia = 0.55 } = {}) {
+      const consulta = texto?.toString().trim() ?? "";
+      if (!consulta) return [];
+
+      // Un número (de parada) exacto va siempre primero
+      const exacta = porNumero.get(consulta);
+      const resultados = new Map();
+      if (exacta !== undefined) resultados.set(exacta, 1);
+
+      const todas = tokenizar(consulta);
+      const palabras = todas.filter((t) => !PALABRAS_VACIAS.has(t));
+      const buscadas = palabras.length > 0 ? palabras : todas;
+      if (buscadas.length === 0) return [];
+
+      // Mejor coincidencia de cada palabra buscada en cada elemento
+      const acumulado = new Map();
+      for (const q of buscadas) {
+        const mejores = new Map();
+        for (const [palabra, entradas] of vocabulario) {
+          const sim = similitud(q, palabra);
+          if (sim === 0) continue;
+          for (const { idx, peso } of entradas) {
+            const puntos = sim * peso;
+            if (puntos > (mejores.get(idx) ?? 0)) mejores.set(idx, puntos);
+          }
+        }
+        for (const [idx, puntos] of mejores) {
+          acumulado.set(idx, (acumulado.get(idx) ?? 0) + puntos);
+        }
+      }
+
+      const frase = buscadas.join(" ");
+      for (const [idx, suma] of acumulado) {
+        let relevancia = suma / buscadas.length;
+        // Bonificación si la consulta aparece entera en el nombre
+        if (buscadas.length > 1 && nombresPlegados[idx].join(" ").includes(frase)) {
+          relevancia = Math.min(1, relevancia + 0.1);
+        }
+        if (relevancia >= minRelevancia && relevancia > (resultados.get(idx) ?? 0)) {
+          resultados.set(idx, relevancia);
+        }
+      }
+
+      return [...resultados]
+        .map(([idx, relevancia]) => ({
+          idx,
+          elemento: elementos[idx],
+          relevancia: parseFloat(relevancia.toFixed(3)),
+        }))
+        // A igual relevancia, antes los nombres más cortos (más exactos)
+        .sort(
+          (a, b) =>
+            b.relevancia - a.relevancia ||
+            nombresPlegados[a.idx].length - nombresPlegados[b.idx].length ||
+            (a.elemento.nombre ?? "").localeCompare(b.elemento.nombre ?? "", "es")
+        )
+        .map(({ elemento, relevancia }) => ({ elemento, relevancia }))
+        .slice(0, n);
+    },
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Cache de datasets estáticos (líneas, paradas, secuencias) con TTL,
+ * stale-while-revalidate y copia opcional en disco que sobrevive a reinicios.
+ *
+ * Configuración por variables de entorno:
+ *   - TUS_CACHE_TTL: segundos que un dataset se considera fresco (6 h)
+ *   - TUS_CACHE_TTL_<DATASET>: TTL específico (ej: TUS_CACHE_TTL_PARADAS)
+ *   - TUS_CACHE_MAX_STALE: segundos durante los que se sirve un dato
+ *     caducado mientras se refresca en segundo plano (7 días)
+ *   - TUS_CACHE_DIR: carpeta para la copia en disco (desactivada si se omite)
+ */
+
+import { readFile, writeFile, mkdir, rename } from "node:fs/promises";
+import path from "node:path";
+
+const TTL_DEFECTO_S = 6 * 60 * 60;
+const MAX_STALE_DEFECTO_S = 7 * 24 * 60 * 60;
+
+function segundosEnv(nombre, defecto) {
+  const valor = parseInt(process.env[nombre]);
+  return Number.isFinite(valor) && valor >= 0 ? valor : defecto;
+}
+
+/** Configuración de cache para un dataset a partir del entorno */
+export function configCache(nombre) {
+  const ttlGlobal = segundosEnv("TUS_CACHE_TTL", TTL_DEFECTO_S);
+  return {
+    ttlMs: segundosEnv(`TUS_CACHE_TTL_${nombre.toUpperCase()}`, ttlGlobal) * 1000,
+    maxStaleMs: segundosEnv("TUS_CACHE_MAX_STALE", MAX_STALE_DEFECTO_S) * 1000,
+    dir: process.env.TUS_CACHE_DIR || null,
+  };
+}
+
+/**
+ * Versión de un dataset: nº de recursos y el dc:modified más reciente.
+ * Si no cambia entre dos descargas, se conserva la entrada existente.
+ */
+function calcularVersion(resources) {
+  let max = "";
+  for (const r of resources) {
+    const m = r["dc:modified"];
+    if (m && m > max) max = m;
+  }
+  return max ? `${resources.length}:${max}` : null;
+}
+
+async function leerSnapshot(fichero) {
+  try {
+    const data = JSON.parse(await readFile(fichero, "utf8"));
+    return Array.isArray(data.resources) && Number.isFinite(data.ts) ? data : null;
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.error(`Cache: no se pudo leer ${fichero}: ${e.message}`);
+    }
+    return null;
+  }
+}
+
+async function escribirSnapshot(fichero, entrada) {
+  await mkdir(path.dirname(fichero), { recursive: true });
+  const tmp = `${fichero}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(entrada));
+  await rename(tmp, fichero);
+}
+
+/**
+ * Crea una cache para un dataset completo.
+ *   - load: función async que descarga los recursos del dataset
+ *   - ttlMs / maxStaleMs: ver configCache()
+ *   - snapshotFile: fichero de la copia en disco (opcional)
+ *
+ * get() devuelve { resources, version, ts } sin esperar a la red mientras
+ * haya un dato con antigüedad menor que ttlMs + maxStaleMs.
+ */
+export function createDatasetCache({ nombre, load, ttlMs, maxStaleMs, snapshotFile = null }) {
+  let entrada = null;
+  // Lectura de la copia en disco; la esperan todas las llamadas que lleguen
+  // mientras tanto, para no ir a la red antes de tenerla
+  let lecturaSnapshot = null;
+  let enCurso = null;
+
+  async function refrescar() {
+    if (enCurso) return enCurso;
+    enCurso = (async () => {
+      const resources = await load();
+      const version = calcularVersion(resources);
+      const ts = Date.now();
+
+      if (entrada && version && entrada.version === version) {
+        // Sin cambios en origen: conservamos los mismos objetos
+        entrada = { ...entrada, ts };
+      } else {
+        entrada = { resources, version, ts };
+      }
+
+      if (snapshotFile) {
+        await escribirSnapshot(snapshotFile, entrada).catch((e) =>
+          console.error(`Cache: no se pudo guardar ${snapshotFile}: ${e.message}`)
+        );
+      }
+      return entrada;
+    })();
+
+    try {
+      return await enCurso;
+    } finally {
+      enCurso = null;
+    }
+  }
+
+  return {
+    nombre,
+
+    async get() {
+      if (!entrada && snapshotFile) {
+        lecturaSnapshot ??= leerSnapshot(snapshotFile).then((leida) => {
+          entrada ??= leida;
+        });
+        await lecturaSnapshot;
+      }
+
+      const edad = entrada ? Date.now() - entrada.ts : Infinity;
+      if (edad < ttlMs) return entrada;
+
+      if (edad < ttlMs + maxStaleMs) {
+        refrescar().catch((e) =>
+          console.error(`Cache: fallo al refrescar ${nombre}: ${e.message}`)
+        );
+        return entrada;
+      }
+
+      return refrescar();
+    },
+
+    /** Descarta el dato en memoria; la próxima lectura espera a la red */
+    invalidate() {
+      entrada = null;
+      lecturaSnapshot = Promise.resolve();
+    },
+
+    estado() {
+      return {
+        dataset: nombre,
+        version: entrada?.version ?? null,
+        recursos: entrada?.resources.length ?? 0,
+        edadSegundos: entrada ? Math.round((Date.now() - entrada.ts) / 1000) : null,
+        fresco: entrada ? Date.now() - entrada.ts < ttlMs : false,
+        refrescando: enCurso !== null,
+      };
+    },
+  };
+}
@@ -0,0 +1,376 @@
+/**
+ * Origen de datos configurable para la API de datos abiertos de Santander.
+ *
+ * Modos (variable de entorno TUS_DATA_MODE):
+ *   - "live"   (por defecto): consulta el portal en TUS_BASE_URL
+ *   - "replay": sirve respuestas grabadas desde TUS_FIXTURES_DIR, emulando
+ *               la paginación y los filtros Lucene del portal
+ *   - "record": consulta el portal y guarda lo recibido en TUS_FIXTURES_DIR
+ *
+ * Cada fixture es un fichero JSON por dataset (ej: fixtures/paradas_bus.json)
+ * con la forma { summary, resources } de una respuesta del portal.
+ */
+
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { crearClientePortal } from "./peticiones.js";
+
+export const DEFAULT_BASE_URL = "http://datos.santander.es/api/rest/datasets";
+
+export const ENDPOINTS = {
+  lineas: "lineas_bus.json",
+  secuencia: "lineas_bus_secuencia.json",
+  paradas: "paradas_bus.json",
+  estimaciones: "control_flotas_estimaciones.json",
+};
+
+const MODOS = ["live", "replay", "record"];
+
+const DEFAULT_FIXTURES_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures"
+);
+
+const ITEMS_PER_PAGE_DEFECTO = 500;
+
+// ─── Filtros Lucene ───────────────────────────────────────────────────────────
+
+/**
+ * Divide una query Lucene en tokens: paréntesis, operadores y términos.
+ * Respeta los caracteres escapados con \ (ej: ayto\:numero).
+ */
+function tokenizar(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const c = query[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === "(" || c === ")") {
+      tokens.push({ tipo: c });
+      i++;
+      continue;
+    }
+    let texto = "";
+    while (i < query.length && !/\s/.test(query[i]) && query[i] !== "(" && query[i] !== ")") {
+      if (query[i] === "\\" && i + 1 < query.length) {
+        texto += query.slice(i, i + 2);
+        i += 2;
+      } else {
+        texto += query[i++];
+      }
+    }
+    if (texto === "AND" || texto === "OR" || texto === "NOT") {
+      tokens.push({ tipo: texto });
+    } else {
+      tokens.push({ tipo: "termino", texto });
+    }
+  }
+  return tokens;
+}
+
+function quitarEscapes(texto) {
+  return texto.replace(/\\(.)/g, "$1");
+}
+
+/** Convierte un término (campo:valor) en un predicado sobre un recurso */
+function compilarTermino(texto) {
+  let campo = null;
+  let valor = texto;
+  for (let i = 0; i < texto.length; i++) {
+    if (texto[i] === "\\") {
+      i++;
+    } else if (texto[i] === ":") {
+      campo = quitarEscapes(texto.slice(0, i));
+      valor = texto.slice(i + 1);
+      break;
+    }
+  }
+
+  // Los wildcards sólo cuentan si no están escapados
+  let patron = "";
+  for (let i = 0; i < valor.length; i++) {
+    const c = valor[i];
+    if (c === "\\" && i + 1 < valor.length) {
+      patron += valor[i + 1].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      i++;
+    } else if (c === "*") {
+      patron += ".*";
+    } else if (c === "?") {
+      patron += ".";
+    } else {
+      patron += c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  const regex = new RegExp(`^${patron}$`, "i");
+
+  const coincide = (v) => {
+    if (v === null || v === undefined) return false;
+    const s = v.toString();
+    return regex.test(s) || s.split(/\s+/).some((palabra) => regex.test(palabra));
+  };
+
+  return campo !== null
+    ? (r) => coincide(r[campo])
+    : (r) => Object.values(r).some(coincide);
+}
+
+/**
+ * Compila una query Lucene a un predicado. Soporta los operadores AND, OR,
+ * NOT, paréntesis, términos campo:valor y wildcards * y ?. Dos términos
+ * seguidos sin operador se combinan con OR, como hace Lucene por defecto.
+ */
+export function compilarQueryLucene(query) {
+  const tokens = tokenizar(query ?? "");
+  let pos = 0;
+
+  const verTipo = () => tokens[pos]?.tipo;
+
+  function expresion() {
+    let izq = conjuncion();
+    while (pos < tokens.length && verTipo() !== ")") {
+      if (verTipo() === "OR") pos++;
+      const der = conjuncion();
+      const a = izq;
+      izq = (r) => a(r) || der(r);
+    }
+    return izq;
+  }
+
+  function conjuncion() {
+    let izq = unario();
+    while (verTipo() === "AND") {
+      pos++;
+      const der = unario();
+      const a = izq;
+      izq = (r) => a(r) && der(r);
+    }
+    return izq;
+  }
+
+  function unario() {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Query Lucene incompleta: "${query}"`);
+    if (token.tipo === "NOT") {
+      const p = unario();
+      return (r) => !p(r);
+    }
+    if (token.tipo === "(") {
+      const p = expresion();
+      if (tokens[pos++]?.tipo !== ")") {
+        throw new Error(`Paréntesis sin cerrar en la query Lucene: "${query}"`);
+      }
+      return p;
+    }
+    if (token.tipo === "termino") return compilarTermino(token.texto);
+    throw new Error(`Token inesperado "${token.tipo}" en la query Lucene: "${query}"`);
+  }
+
+  if (tokens.length === 0) return () => true;
+  const predicado = expresion();
+  if (pos < tokens.length) {
+    throw new Error(`Query Lucene mal formada: "${query}"`);
+  }
+  return predicado;
+}
+
+// ─── Fixtures ─────────────────────────────────────────────────────────────────
+
+function rutaFixture(fixturesDir, endpoint) {
+  return path.join(fixturesDir, endpoint);
+}
+
+async function leerFixture(fixturesDir, endpoint) {
+  try {
+    return JSON.parse(await readFile(rutaFixture(fixturesDir, endpoint), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function escribirFixture(fixturesDir, endpoint, data) {
+  await mkdir(fixturesDir, { recursive: true });
+  await writeFile(rutaFixture(fixturesDir, endpoint), JSON.stringify(data, null, 2));
+}
+
+function claveRecurso(r) {
+  return r.uri ?? r["dc:identifier"];
+}
+
+/** Reproduce una página de respuesta del portal a partir de un dataset grabado */
+function paginar(resources, params) {
+  const itemsPerPage = parseInt(params.items_per_page ?? ITEMS_PER_PAGE_DEFECTO);
+  const page = parseInt(params.page ?? 1);
+  const predicado = compilarQueryLucene(params.query);
+  const filtrados = resources.filter(predicado);
+  const inicio = (page - 1) * itemsPerPage;
+
+  return {
+    summary: {
+      items: filtrados.length,
+      items_per_page: itemsPerPage,
+      pages: Math.ceil(filtrados.length / itemsPerPage),
+      current_page: page,
+    },
+    resources: filtrados.slice(inicio, inicio + itemsPerPage),
+  };
+}
+
+// ─── Origen de datos ──────────────────────────────────────────────────────────
+
+/** Qué le falta a una página del portal para tener la forma esperada, o null */
+function validarPagina(data) {
+  if (Array.isArray(data?.resources ?? []) && data?.summary && typeof data.summary === "object") return null;
+  return "falta la lista de recursos o el resumen de la página";
+}
+
+/**
+ * Crea un origen de datos. Todas las opciones son opcionales y por defecto
+ * se toman de las variables de entorno TUS_BASE_URL, TUS_DATA_MODE y
+ * TUS_FIXTURES_DIR.
+ */
+export function createDataSource({
+  baseUrl = process.env.TUS_BASE_URL || DEFAULT_BASE_URL,
+  mode = process.env.TUS_DATA_MODE || "live",
+  fixturesDir = process.env.TUS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+} = {}) {
+  if (!MODOS.includes(mode)) {
+    throw new Error(`Modo de datos desconocido "${mode}". Valores válidos: ${MODOS.join(", ")}`);
+  }
+
+  const base = baseUrl.replace(/\/+$/, "");
+
+  // Fixtures ya cargadas en memoria (replay) y escrituras pendientes (record)
+  const fixtures = new Map();
+  const escrituras = new Map();
+
+  async function fixture(endpoint) {
+    if (!fixtures.has(endpoint)) {
+      fixtures.set(endpoint, leerFixture(fixturesDir, endpoint));
+    }
+    const data = await fixtures.get(endpoint);
+    if (!data) {
+      throw new Error(
+        `No hay datos grabados para ${endpoint} en ${fixturesDir}. Ejecuta "npm run fixtures:record" con acceso al portal.`
+      );
+    }
+    return data;
+  }
+
+  /** Mezcla los recursos recibidos en la fixture del dataset */
+  function grabar(endpoint, data) {
+    const anterior = escrituras.get(endpoint) ?? Promise.resolve();
+    const siguiente = anterior.then(async () => {
+      const actual = (await leerFixture(fixturesDir, endpoint)) ?? { resources: [] };
+      const porClave = new Map(actual.resources.map((r) => [claveRecurso(r), r]));
+      for (const r of data.resources ?? []) porClave.set(claveRecurso(r), r);
+      const resources = [...porClave.values()];
+      await escribirFixture(fixturesDir, endpoint, {
+        summary: { items: resources.length, grabado: new Date().toISOString() },
+        resources,
+      });
+    });
+    escrituras.set(endpoint, siguiente.catch(() => {}));
+    return siguiente;
+  }
+
+  // Tiempo límite, reintentos y cortocircuito (ver peticiones.js)
+  const cliente = crearClientePortal();
+  const fetchLive = (url, opciones) => cliente.obtenerJson(url, opciones);
+
+  return {
+    mode,
+    baseUrl: base,
+    fixturesDir,
+
+    /**
+     * Obtiene una página de un endpoint del portal.
+     * params: parámetros de la query string (items_per_page, page, query...)
+     */
+    async fetchPage(endpoint, params = {}) {
+      if (mode === "replay") {
+        const { resources } = await fixture(endpoint);
+        return paginar(resources ?? [], params);
+      }
+
+      const url = new URL(`${base}/${endpoint}`);
+      for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+      }
+      // Mismo orden de parámetros para que las peticiones iguales coincidan
+      url.searchParams.sort();
+      const data = await fetchLive(url.toString(), { validar: validarPagina });
+      if (mode === "record") await grabar(endpoint, data);
+      return data;
+    },
+
+    /** Consulta un recurso individual por URI */
+    async fetchResource(uri) {
+      if (mode === "replay") {
+        for (const endpoint of Object.values(ENDPOINTS)) {
+          const data = await fixture(endpoint).catch(() => null);
+          const r = data?.resources?.find((x) => x.uri === uri);
+          if (r) return r;
+        }
+        throw new Error(`No hay datos grabados para ${uri}`);
+      }
+      return fetchLive(uri);
+    },
+
+    /** Estado de las peticiones al portal (circuito y fallos seguidos) */
+    estado() {
+      return mode === "replay" ? { modo: mode } : { modo: mode, ...cliente.estado() };
+    },
+  };
+}
+
+/**
+ * Descarga los cuatro datasets completos y los guarda como fixtures,
+ * sustituyendo las grabaciones anteriores.
+ */
+export async function grabarFixtures({
+  baseUrl = process.env.TUS_BASE_URL || DEFAULT_BASE_URL,
+  fixturesDir = process.env.TUS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  endpoints = Object.values(ENDPOINTS),
+} = {}) {
+  const source = createDataSource({ baseUrl, fixturesDir, mode: "live" });
+  const resumen = [];
+
+  for (const endpoint of endpoints) {
+    const params = { items_per_page: ITEMS_PER_PAGE_DEFECTO };
+    const first = await source.fetchPage(endpoint, params);
+    let resources = first.resources ?? [];
+    for (let page = 2; page <= (first.summary?.pages ?? 1); page++) {
+      const pd = await source.fetchPage(endpoint, { ...params, page });
+      resources = resources.concat(pd.resources ?? []);
+    }
+    await escribirFixture(fixturesDir, endpoint, {
+      summary: { items: resources.length, grabado: new Date().toISOString() },
+      resources,
+    });
+    resumen.push({ endpoint, items: resources.length });
+  }
+
+  return resumen;
+}
+
+// ─── Instancia compartida ─────────────────────────────────────────────────────
+
+let _dataSource = null;
+
+/** Devuelve el origen de datos del proceso, creándolo desde el entorno */
+export function getDataSource() {
+  if (!_dataSource) _dataSource = createDataSource();
+  return _dataSource;
+}
+
+/** Sustituye el origen de datos del proceso (útil para demos y pruebas) */
+export function setDataSource(source) {
+  _dataSource = source;
+}
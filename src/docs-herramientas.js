@@ -0,0 +1,166 @@
+/**
+ * Genera la documentación de las herramientas a partir del registro de
+ * tools.js: la referencia completa (parámetros y campos del resultado) en
+ * HERRAMIENTAS.md y las tablas por grupo de la sección "Herramientas
+ * disponibles" del README, entre sus marcas.
+ * Uso: npm run docs:herramientas
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+
+import { TOOLS } from "./tools.js";
+
+const raiz = (fichero) => fileURLToPath(new URL(`../${fichero}`, import.meta.url));
+
+const MARCA_INICIO = "<!-- herramientas:inicio -->";
+const MARCA_FIN = "<!-- herramientas:fin -->";
+
+const TIPOS = {
+  string: "texto",
+  number: "número",
+  integer: "entero",
+  boolean: "booleano",
+  array: "lista",
+  object: "objeto",
+  null: "null",
+};
+
+// ─── JSON Schema → texto ──────────────────────────────────────────────────────
+
+/** Tipo legible de un nodo JSON Schema */
+function tipo(s) {
+  if (s.anyOf) return s.anyOf.map(tipo).join(" o ");
+  if (s.const !== undefined) return `\`${JSON.stringify(s.const)}\``;
+  if (s.enum) return s.enum.map((v) => `\`${JSON.stringify(v)}\``).join(", ");
+  if (s.type === "array") return s.items ? `lista de ${tipo(s.items)}` : "lista";
+  if (s.type === "object" && !s.properties && typeof s.additionalProperties === "object") {
+    const valores = s.additionalProperties;
+    return Object.keys(valores).length > 0 ? `objeto: clave → ${tipo(valores)}` : "objeto";
+  }
+  return TIPOS[s.type] ?? "cualquiera";
+}
+
+/** Nodos con campos propios: el objeto, el de una lista o el de un anyOf */
+function camposDe(s) {
+  if (s.properties) return s;
+  if (s.type === "array" && s.items) return camposDe(s.items);
+  if (s.type === "object" && typeof s.additionalProperties === "object") return camposDe(s.additionalProperties);
+  for (const opcion of s.anyOf ?? []) {
+    const campos = camposDe(opcion);
+    if (campos) return campos;
+  }
+  return null;
+}
+
+function limites(s) {
+  const partes = [];
+  if (s.minimum !== undefined && s.maximum !== undefined) partes.push(`${s.minimum}-${s.maximum}`);
+  if (s.default !== undefined && !s.description?.includes("por defecto")) {
+    partes.push(`por defecto \`${JSON.stringify(s.default)}\``);
+  }
+  return partes.join(", ");
+}
+
+/** Lista anidada con los campos de un objeto del resultado */
+function listaCampos(s, nivel = 0) {
+  const requeridos = new Set(s.required ?? []);
+  const lineas = [];
+  for (const [nombre, campo] of Object.entries(s.properties ?? {})) {
+    const notas = [tipo(campo), ...(requeridos.has(nombre) ? [] : ["opcional"])].join(", ");
+    const descripcion = campo.description ? `: ${campo.description}` : "";
+    lineas.push(`${"  ".repeat(nivel)}- \`${nombre}\` (${notas})${descripcion}`);
+    const hijos = camposDe(campo);
+    if (hijos) lineas.push(...listaCampos(hijos, nivel + 1));
+  }
+  return lineas;
+}
+
+function tablaParametros(s) {
+  const propiedades = Object.entries(s.properties ?? {});
+  if (propiedades.length === 0) return ["Sin parámetros."];
+  const requeridos = new Set(s.required ?? []);
+  return [
+    "| Parámetro | Tipo | Obligatorio | Descripción |",
+    "|---|---|---|---|",
+    ...propiedades.map(([nombre, p]) => {
+      const extra = limites(p);
+      const descripcion = [p.description, extra && `(${extra})`].filter(Boolean).join(" ");
+      return `| \`${nombre}\` | ${tipo(p)} | ${requeridos.has(nombre) ? "sí" : "no"} | ${descripcion.replaceAll("|", "\\|")} |`;
+    }),
+  ];
+}
+
+// ─── Documentos ───────────────────────────────────────────────────────────────
+
+function porGrupo() {
+  const grupos = new Map();
+  for (const t of TOOLS) {
+    if (!grupos.has(t.grupo)) grupos.set(t.grupo, []);
+    grupos.get(t.grupo).push(t);
+  }
+  return grupos;
+}
+
+function referencia() {
+  const lineas = [
+    "# Herramientas",
+    "",
+    "<!-- Generado con npm run docs:herramientas a partir de src/tools.js; no editar a mano. -->",
+    "",
+    "Cada herramienta devuelve el resultado como `structuredContent`, validado contra su `outputSchema`, y también como texto JSON. Los objetos pueden traer campos además de los descritos. Si hay un error se devuelve `isError` con el mensaje en texto y sin `structuredContent`.",
+    "",
+    'Con `formato: "geojson"` el resultado es, en lugar de los campos descritos, una FeatureCollection (`type` y `features`).',
+  ];
+
+  for (const [grupo, herramientas] of porGrupo()) {
+    lineas.push("", `## ${grupo}`);
+    for (const t of herramientas) {
+      const entrada = z.toJSONSchema(z.object(t.inputSchema), { io: "input" });
+      // Las herramientas con formato publican anyOf: el JSON y el GeoJSON
+      const salida = z.toJSONSchema(t.outputSchema, { io: "output" });
+      const campos = salida.anyOf?.[0] ?? salida;
+      lineas.push(
+        "",
+        `### \`${t.name}\``,
+        "",
+        t.description,
+        "",
+        "**Parámetros**",
+        "",
+        ...tablaParametros(entrada),
+        "",
+        "**Resultado**",
+        "",
+        ...listaCampos(campos)
+      );
+    }
+  }
+  return lineas.join("\n") + "\n";
+}
+
+function tablasReadme() {
+  const lineas = [];
+  for (const [grupo, herramientas] of porGrupo()) {
+    lineas.push(`### ${grupo}`, "", "| Herramienta | Descripción |", "|---|---|");
+    for (const t of herramientas) lineas.push(`| \`${t.name}\` | ${t.resumen} |`);
+    lineas.push("");
+  }
+  return lineas.join("\n");
+}
+
+await writeFile(raiz("HERRAMIENTAS.md"), referencia());
+
+const readme = await readFile(raiz("README.md"), "utf8");
+const inicio = readme.indexOf(MARCA_INICIO);
+const fin = readme.indexOf(MARCA_FIN);
+if (inicio === -1 || fin < inicio) {
+  throw new Error(`No se encuentran las marcas ${MARCA_INICIO} y ${MARCA_FIN} en README.md`);
+}
+await writeFile(
+  raiz("README.md"),
+  `${readme.slice(0, inicio + MARCA_INICIO.length)}\n\n${tablasReadme()}\n${readme.slice(fin)}`
+);
+
+console.error(`Documentadas ${TOOLS.length} herramientas en HERRAMIENTAS.md y README.md`);
@@ -0,0 +1,221 @@
+/**
+ * Estadísticas de fiabilidad de una línea a partir del histórico de
+ * estimaciones (ver historial.js): intervalo real entre autobuses, espera
+ * que encuentra un viajero, tiempo sin ningún bus en servicio y cuánto se
+ * mueven las predicciones de una captura a la siguiente.
+ *
+ * Como el portal no publica pasos reales, se deducen de las estimaciones:
+ * en cada parada se sigue el primer bus de captura en captura. Cuando el
+ * anunciado debía llegar antes de la captura siguiente y ésta anuncia uno
+ * claramente posterior, se da por pasado a la hora que se predijo por
+ * última vez. Entre pasos consecutivos en una parada está el intervalo.
+ */
+
+import { recorrerCapturas } from "./historial.js";
+import { partesMadrid } from "./frescura.js";
+import { OPCIONES_GTFS } from "./gtfs.js";
+
+// Hueco máximo entre capturas para seguir un mismo bus; con más se pierde
+// la pista y no se cuentan intervalos que podrían esconder pasos
+const MAX_HUECO_MS = 5 * 60_000;
+// Intervalos más largos se consideran fin o inicio de servicio
+const MAX_INTERVALO_MS = 2 * 60 * 60_000;
+// Margen para decidir que el primer bus anunciado ya es otro
+const MARGEN_PASO_S = 120;
+
+const NOMBRES_DIAS = ["lunes", "martes", "miércoles", "jueves", "viernes", "sábado", "domingo"];
+
+/**
+ * Histograma de cubetas de ancho fijo: percentiles aproximados sin guardar
+ * cada valor, para que meses de histórico quepan en memoria.
+ */
+function crearHistograma(ancho) {
+  const cubetas = new Map();
+  let n = 0;
+  let suma = 0;
+  let max = -Infinity;
+
+  return {
+    agregar(valor) {
+      const cubeta = Math.floor(valor / ancho);
+      cubetas.set(cubeta, (cubetas.get(cubeta) ?? 0) + 1);
+      n++;
+      suma += valor;
+      if (valor > max) max = valor;
+    },
+    get n() {
+      return n;
+    },
+    media: () => (n > 0 ? redondear(suma / n) : null),
+    maximo: () => (n > 0 ? redondear(max) : null),
+    percentil(p) {
+      if (n === 0) return null;
+      const objetivo = p * n;
+      let acumulado = 0;
+      for (const cubeta of [...cubetas.keys()].sort((a, b) => a - b)) {
+        acumulado += cubetas.get(cubeta);
+        if (acumulado >= objetivo) return redondear((cubeta + 0.5) * ancho);
+      }
+      return redondear(max);
+    },
+  };
+}
+
+const redondear = (x) => Math.round(x * 10) / 10;
+const porcentaje = (parte, total) => (total > 0 ? redondear((100 * parte) / total) : null);
+
+/** "HH:MM" → minutos desde medianoche */
+function aMinutosDia(hora) {
+  const [h, m = "0"] = hora.split(":");
+  return parseInt(h) * 60 + parseInt(m);
+}
+
+/** Acumuladores de un grupo (total, una hora o un día de la semana) */
+function crearGrupo() {
+  return {
+    capturas: 0,
+    capturasEnHorario: 0,
+    sinBuses: 0,
+    intervalos: crearHistograma(0.5), // minutos
+    esperas: crearHistograma(0.5), // minutos
+  };
+}
+
+function resumirGrupo(g) {
+  return {
+    capturas: g.capturas,
+    pasos: g.intervalos.n,
+    intervaloMedianoMin: g.intervalos.percentil(0.5),
+    esperaMedianaMin: g.esperas.percentil(0.5),
+    esperaP90Min: g.esperas.percentil(0.9),
+    sinBusesPct: porcentaje(g.sinBuses, g.capturasEnHorario),
+  };
+}
+
+/** Tabla compacta: nombres de columna y una fila por grupo con datos */
+function tabla(etiqueta, grupos) {
+  const filas = [];
+  for (const [clave, g] of grupos) {
+    if (g.capturas === 0) continue;
+    const r = resumirGrupo(g);
+    filas.push([clave, r.capturas, r.pasos, r.intervaloMedianoMin, r.esperaMedianaMin, r.esperaP90Min, r.sinBusesPct]);
+  }
+  return {
+    columnas: [etiqueta, "capturas", "pasos", "intervaloMedianoMin", "esperaMedianaMin", "esperaP90Min", "sinBusesPct"],
+    filas,
+  };
+}
+
+/**
+ * Estadísticas de una línea (y opcionalmente de una sola parada) entre dos
+ * instantes. Devuelve el periodo cubierto, un resumen global (intervalos
+ * entre autobuses, esperas, porcentaje de capturas sin buses en horario de
+ * servicio y deriva de las predicciones) y tablas por hora del día y por
+ * día de la semana (hora de Santander).
+ *
+ * El horario de servicio es el del feed GTFS (TUS_GTFS_HORA_INICIO y
+ * TUS_GTFS_HORA_FIN): fuera de él no tener buses es lo normal.
+ */
+export async function calcularEstadisticasLinea(linea, { parada = null, desde, hasta } = {}) {
+  const inicioServicio = aMinutosDia(OPCIONES_GTFS.horaInicio);
+  const finServicio = aMinutosDia(OPCIONES_GTFS.horaFin);
+
+  const total = crearGrupo();
+  const porHora = new Map(Array.from({ length: 24 }, (_, h) => [h.toString().padStart(2, "0"), crearGrupo()]));
+  const porDia = new Map(NOMBRES_DIAS.map((d) => [d, crearGrupo()]));
+  // Positiva si la hora prevista se retrasa de una captura a la siguiente
+  const deriva = crearHistograma(10); // segundos
+  const derivaAbs = crearHistograma(10);
+
+  const gruposDe = (ms) => {
+    const { diaSemana, minutosDia } = partesMadrid(ms);
+    const hora = Math.floor(minutosDia / 60).toString().padStart(2, "0");
+    return [total, porHora.get(hora), porDia.get(NOMBRES_DIAS[diaSemana - 1])];
+  };
+
+  // Por parada: última observación del primer bus y último paso detectado
+  const seguimiento = new Map();
+  let primera = null;
+  let ultima = null;
+  const dias = new Set();
+
+  for await (const { instante, observaciones } of recorrerCapturas({ linea, parada, desde, hasta })) {
+    const { fecha, minutosDia } = partesMadrid(instante);
+    const grupos = gruposDe(instante);
+    primera ??= instante;
+    ultima = instante;
+    dias.add(fecha);
+
+    const conBus = observaciones.filter((o) => o.tiempo1Segundos >= 0);
+    const enHorario = minutosDia >= inicioServicio && minutosDia <= finServicio;
+    for (const g of grupos) {
+      g.capturas++;
+      if (enHorario) {
+        g.capturasEnHorario++;
+        if (conBus.length === 0) g.sinBuses++;
+      }
+    }
+
+    for (const o of conBus) {
+      for (const g of grupos) g.esperas.agregar(o.tiempo1Segundos / 60);
+
+      const llegada = instante + o.tiempo1Segundos * 1000;
+      const previo = seguimiento.get(o.paradaId);
+      const estado = { instante, tiempo1: o.tiempo1Segundos, llegada, ultimoPaso: previo?.ultimoPaso ?? null };
+
+      if (previo && instante - previo.instante <= MAX_HUECO_MS) {
+        const transcurrido = (instante - previo.instante) / 1000;
+        const esperado = previo.tiempo1 - transcurrido;
+        if (esperado <= MARGEN_PASO_S / 2 && o.tiempo1Segundos > esperado + MARGEN_PASO_S) {
+          // El bus seguido ha pasado: se toma su última hora prevista
+          const paso = Math.min(previo.llegada, instante);
+          if (previo.ultimoPaso !== null && paso - previo.ultimoPaso <= MAX_INTERVALO_MS) {
+            const minutos = (paso - previo.ultimoPaso) / 60_000;
+            for (const g of gruposDe(paso)) g.intervalos.agregar(minutos);
+          }
+          estado.ultimoPaso = paso;
+        } else {
+          // El mismo bus: cuánto se ha movido su hora prevista
+          const segundos = (llegada - previo.llegada) / 1000;
+          deriva.agregar(segundos);
+          derivaAbs.agregar(Math.abs(segundos));
+        }
+      } else if (previo) {
+        // Se perdió la pista: el intervalo hasta el siguiente paso no es fiable
+        estado.ultimoPaso = null;
+      }
+      seguimiento.set(o.paradaId, estado);
+    }
+  }
+
+  const resumen = resumirGrupo(total);
+  return {
+    linea,
+    parada,
+    periodo: {
+      desde: primera !== null ? new Date(primera).toISOString() : null,
+      hasta: ultima !== null ? new Date(ultima).toISOString() : null,
+      dias: dias.size,
+    },
+    horarioServicio: `${OPCIONES_GTFS.horaInicio}-${OPCIONES_GTFS.horaFin}`,
+    resumen: {
+      capturas: resumen.capturas,
+      pasosDetectados: resumen.pasos,
+      intervaloMedianoMin: resumen.intervaloMedianoMin,
+      intervaloP90Min: total.intervalos.percentil(0.9),
+      esperaMediaMin: total.esperas.media(),
+      esperaMedianaMin: resumen.esperaMedianaMin,
+      esperaP90Min: resumen.esperaP90Min,
+      esperaMaximaMin: total.esperas.maximo(),
+      sinBusesEnHorarioPct: resumen.sinBusesPct,
+      derivaPrediccion: {
+        comparaciones: deriva.n,
+        mediaSegundos: deriva.media(),
+        medianaAbsSegundos: derivaAbs.percentil(0.5),
+        p90AbsSegundos: derivaAbs.percentil(0.9),
+      },
+    },
+    porHora: tabla("hora", porHora),
+    porDiaSemana: tabla("dia", porDia),
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Exporta la red TUS como feed GTFS estático en un fichero ZIP.
+ * Uso: npm run gtfs:export [-- ruta/del/fichero.zip]
+ */
+
+import { writeFile } from "node:fs/promises";
+
+import { generarGtfs } from "./gtfs.js";
+import { crearZip } from "./zip.js";
+
+const destino = process.argv[2] || "tus-santander-gtfs.zip";
+
+const { ficheros, resumen } = await generarGtfs();
+await writeFile(destino, crearZip(ficheros));
+console.error(
+  `GTFS guardado en ${destino}: ${resumen.paradas} paradas, ${resumen.lineas} líneas, ${resumen.viajes} viajes`
+);
@@ -0,0 +1,141 @@
+/**
+ * Hora de los datos en tiempo real y su frescura.
+ *
+ * Las estimaciones del portal llevan en ayto:fechActual el instante en que
+ * se calcularon; los segundos de ayto:tiempo1/2 cuentan desde ese instante,
+ * no desde que las descargamos. Las horas de llegada se calculan a partir de
+ * él y se dan en hora de Santander (Europe/Madrid), sea cual sea la zona
+ * horaria del servidor.
+ *
+ * Según su edad, los datos se clasifican en:
+ *   - "fresco": más recientes que TUS_FRESCURA_RETRASO_S (90 s)
+ *   - "retrasado": el portal va con retraso, pero aún orientan
+ *   - "caducado": más antiguos que TUS_FRESCURA_CADUCADO_S (300 s); las
+ *     llegadas que anuncian pueden haber pasado ya
+ */
+
+const ZONA = "Europe/Madrid";
+
+export const UMBRALES_FRESCURA = {
+  retrasoSegundos: parseInt(process.env.TUS_FRESCURA_RETRASO_S) || 90,
+  caducadoSegundos: parseInt(process.env.TUS_FRESCURA_CADUCADO_S) || 300,
+};
+
+const FORMATO_HORA = new Intl.DateTimeFormat("es-ES", {
+  timeZone: ZONA,
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+const FORMATO_PARTES = new Intl.DateTimeFormat("en-CA", {
+  timeZone: ZONA,
+  weekday: "short",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/** Diferencia (ms) entre la hora de Madrid y UTC en un instante dado */
+function desfaseMadrid(ms) {
+  const p = Object.fromEntries(
+    FORMATO_PARTES.formatToParts(new Date(ms)).map((x) => [x.type, x.value])
+  );
+  const comoUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return comoUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instante (ms) de una fecha del portal. Con zona (Z o ±hh:mm) se respeta;
+ * sin ella se interpreta como hora local de Santander. null si no se entiende.
+ */
+export function parsearFechaPortal(texto) {
+  if (!texto) return null;
+  const valor = texto.toString().trim();
+  const m = valor.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!m) return null;
+
+  const [, anio, mes, dia, hora, minuto, segundo = "0", fraccion = "0", zona] = m;
+  const ms = parseInt(fraccion.padEnd(3, "0").slice(0, 3));
+  const comoUtc = Date.UTC(anio, mes - 1, dia, hora, minuto, segundo, ms);
+  if (zona) {
+    if (zona === "Z") return comoUtc;
+    const signo = zona[0] === "-" ? -1 : 1;
+    const [hh, mm] = [zona.slice(1, 3), zona.slice(-2)].map(Number);
+    return comoUtc - signo * (hh * 60 + mm) * 60_000;
+  }
+
+  // Hora local: se corrige con el desfase de ese momento (cambia en verano)
+  const aprox = comoUtc - desfaseMadrid(comoUtc);
+  return comoUtc - desfaseMadrid(aprox);
+}
+
+const DIAS_SEMANA = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * Fecha ("YYYY-MM-DD"), día de la semana (1 = lunes … 7 = domingo) y
+ * minutos desde medianoche en Santander de un instante (ms), para agrupar
+ * por día y por franja horaria.
+ */
+export function partesMadrid(ms) {
+  const p = Object.fromEntries(
+    FORMATO_PARTES.formatToParts(new Date(ms)).map((x) => [x.type, x.value])
+  );
+  return {
+    fecha: `${p.year}-${p.month}-${p.day}`,
+    diaSemana: DIAS_SEMANA.indexOf(p.weekday) + 1,
+    minutosDia: parseInt(p.hour) * 60 + parseInt(p.minute),
+  };
+}
+
+/** Hora "HH:MM" en Santander de un instante (ms) */
+export function horaMadrid(ms) {
+  return FORMATO_HORA.format(new Date(ms));
+}
+
+/** Estado de unos datos según su edad en segundos */
+export function clasificarEdad(edadSegundos, umbrales = UMBRALES_FRESCURA) {
+  if (edadSegundos === null || edadSegundos === undefined) return "desconocido";
+  if (edadSegundos <= umbrales.retrasoSegundos) return "fresco";
+  if (edadSegundos <= umbrales.caducadoSegundos) return "retrasado";
+  return "caducado";
+}
+
+/**
+ * Frescura de un conjunto de estimaciones (ver mapEstimacion): fecha de los
+ * datos, edad en segundos, estado y, si no están frescos, un aviso para el
+ * usuario. Se toma la estimación más antigua, que es la menos fiable.
+ */
+export function evaluarFrescura(estimaciones, ahora = Date.now()) {
+  const fechas = estimaciones.map((e) => e.fechaDatos).filter((f) => f !== null && f !== undefined);
+  if (fechas.length === 0) {
+    return { fechaDatos: null, edadDatosSegundos: null, estadoDatos: "desconocido", aviso: null };
+  }
+
+  const fecha = Math.min(...fechas);
+  // Un reloj del portal algo adelantado no debe dar edades negativas
+  const edad = Math.max(0, Math.round((ahora - fecha) / 1000));
+  const estado = clasificarEdad(edad);
+
+  return {
+    fechaDatos: new Date(fecha).toISOString(),
+    edadDatosSegundos: edad,
+    estadoDatos: estado,
+    aviso: avisoFrescura(estado, edad),
+  };
+}
+
+function avisoFrescura(estado, edad) {
+  const minutos = Math.round(edad / 60);
+  if (estado === "retrasado") {
+    return `Las estimaciones tienen ${edad} s de antigüedad: el portal va con retraso y los tiempos pueden haberse adelantado algo.`;
+  }
+  if (estado === "caducado") {
+    return `Las estimaciones tienen unos ${minutos} min de antigüedad y no son fiables: los autobuses anunciados pueden haber pasado ya. No las des como tiempos de espera actuales.`;
+  }
+  return null;
+}
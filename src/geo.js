@@ -0,0 +1,107 @@
+/**
+ * Utilidades geográficas sobre coordenadas WGS84 (lat/lon en grados)
+ */
+
+const RADIO_TIERRA_M = 6371008.8;
+
+const rad = (grados) => (grados * Math.PI) / 180;
+
+/** Distancia en metros entre dos puntos según la fórmula del haversine */
+export function distanciaMetros(lat1, lon1, lat2, lon2) {
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * RADIO_TIERRA_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/** Indica si un punto tiene coordenadas utilizables */
+export function tieneCoordenadas(p) {
+  return p != null && Number.isFinite(p.lat) && Number.isFinite(p.lon);
+}
+
+// ─── Índice espacial ──────────────────────────────────────────────────────────
+
+const METROS_POR_GRADO = 111320;
+
+/**
+ * Índice en rejilla sobre un conjunto de puntos con lat/lon. Las celdas se
+ * calculan en una proyección equirectangular local (suficiente a escala de
+ * ciudad) y las distancias finales con el haversine.
+ */
+export function crearIndiceEspacial(puntos, { tamCeldaMetros = 250 } = {}) {
+  const validos = puntos.filter(tieneCoordenadas);
+  const latRef = validos.length
+    ? validos.reduce((acc, p) => acc + p.lat, 0) / validos.length
+    : 0;
+  const mLon = METROS_POR_GRADO * Math.cos(rad(latRef));
+
+  const celda = (lat, lon) => [
+    Math.floor((lon * mLon) / tamCeldaMetros),
+    Math.floor((lat * METROS_POR_GRADO) / tamCeldaMetros),
+  ];
+
+  const celdas = new Map();
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const p of validos) {
+    const [cx, cy] = celda(p.lat, p.lon);
+    const clave = `${cx},${cy}`;
+    if (!celdas.has(clave)) celdas.set(clave, []);
+    celdas.get(clave).push(p);
+    minX = Math.min(minX, cx); maxX = Math.max(maxX, cx);
+    minY = Math.min(minY, cy); maxY = Math.max(maxY, cy);
+  }
+
+  return {
+    total: validos.length,
+
+    /**
+     * Puntos más cercanos a (lat, lon), ordenados por distancia.
+     * opciones: n (máximo de resultados), radioMetros, filtro(p)
+     * Cada resultado es { punto, distanciaMetros }.
+     */
+    cercanos(lat, lon, { n = 5, radioMetros = Infinity, filtro = null } = {}) {
+      const resultados = [];
+      if (validos.length === 0 || n <= 0) return resultados;
+
+      const candidato = (p) => {
+        if (filtro && !filtro(p)) return;
+        const d = distanciaMetros(lat, lon, p.lat, p.lon);
+        if (d <= radioMetros) resultados.push({ punto: p, distanciaMetros: d });
+      };
+
+      const [cx, cy] = celda(lat, lon);
+      if (cx < minX || cx > maxX || cy < minY || cy > maxY) {
+        // Fuera de la rejilla los anillos serían enormes (y casi todos
+        // vacíos): se recorren todos los puntos
+        for (const p of validos) candidato(p);
+      } else {
+        // Anillos necesarios para cubrir todo el conjunto desde la celda de consulta
+        const maxAnillo = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy);
+
+        for (let r = 0; r <= maxAnillo; r++) {
+          for (let x = Math.max(cx - r, minX); x <= Math.min(cx + r, maxX); x++) {
+            for (let y = Math.max(cy - r, minY); y <= Math.min(cy + r, maxY); y++) {
+              if (Math.max(Math.abs(x - cx), Math.abs(y - cy)) !== r) continue;
+              for (const p of celdas.get(`${x},${y}`) ?? []) candidato(p);
+            }
+          }
+
+          // Todo lo que quede fuera del anillo r está al menos a r celdas
+          // (con un margen por la aproximación de la proyección)
+          const cubierto = r * tamCeldaMetros * 0.98;
+          if (cubierto >= radioMetros) break;
+          if (resultados.length >= n) {
+            resultados.sort((a, b) => a.distanciaMetros - b.distanciaMetros);
+            if (resultados[n - 1].distanciaMetros <= cubierto) break;
+          }
+        }
+      }
+
+      return resultados
+        .sort((a, b) => a.distanciaMetros - b.distanciaMetros)
+        .slice(0, n);
+    },
+  };
+}
@@ -0,0 +1,254 @@
+/**
+ * Exportación a GeoJSON (RFC 7946) de paradas, trazados de línea,
+ * itinerarios y posiciones de autobuses, para superponerlos en Leaflet, QGIS, etc.
+ *
+ * Las coordenadas GeoJSON van en orden [lon, lat]; las paradas de la
+ * secuencia que no están en paradas_bus se sitúan con su posición UTM
+ * convertida (ver proyeccion.js).
+ */
+
+import { getLineas, getParadas, getSecuencias, getSecuenciaLinea } from "./api.js";
+import { tieneCoordenadas } from "./geo.js";
+import { recorridoPrincipal } from "./regularidad.js";
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const geoPunto = (p) => ({ type: "Point", coordinates: [p.lon, p.lat] });
+
+const geoLinea = (puntos) => ({
+  type: "LineString",
+  coordinates: puntos.map((p) => [p.lon, p.lat]),
+});
+
+function feature(geometry, properties) {
+  return { type: "Feature", geometry, properties };
+}
+
+function coleccion(features) {
+  return { type: "FeatureCollection", features };
+}
+
+const etiqueta = (s) => (s.etiquetaLinea ?? s.linea)?.toString();
+
+/**
+ * Datos de la red que necesitan las geometrías: coordenadas de cada parada
+ * (paradas_bus y, si falta, la secuencia), líneas que la sirven y recorridos
+ * (línea + sentido + ruta) con sus paradas en orden.
+ */
+async function getDatosRed() {
+  const [paradas, secuencias] = await Promise.all([getParadas(), getSecuencias()]);
+
+  const coordenadas = new Map();
+  for (const p of paradas) {
+    if (p.numero && tieneCoordenadas(p)) coordenadas.set(p.numero.toString(), { lat: p.lat, lon: p.lon });
+  }
+
+  const lineasPorParada = new Map();
+  const recorridos = new Map();
+  for (const s of secuencias) {
+    const numero = s.numeroParada?.toString();
+    const l = etiqueta(s);
+    if (!numero || !l) continue;
+
+    if (!coordenadas.has(numero) && s.lat !== null) coordenadas.set(numero, { lat: s.lat, lon: s.lon });
+    if (!lineasPorParada.has(numero)) lineasPorParada.set(numero, new Set());
+    lineasPorParada.get(numero).add(l);
+
+    const clave = `${l.toUpperCase()}|${s.sentido}|${s.ruta ?? ""}`;
+    if (!recorridos.has(clave)) recorridos.set(clave, []);
+    recorridos.get(clave).push(numero);
+  }
+
+  return { coordenadas, lineasPorParada, recorridos: [...recorridos.entries()] };
+}
+
+// ─── Paradas ──────────────────────────────────────────────────────────────────
+
+/**
+ * FeatureCollection de puntos con las paradas dadas (por defecto todas),
+ * opcionalmente sólo las que sirve una línea. Cada parada lleva numero,
+ * nombre, direccion, sentido y las líneas que la sirven; si viene con
+ * distanciaMetros (paradas cercanas) o relevancia (búsqueda) también se
+ * incluyen.
+ */
+export async function paradasAGeoJson(paradas = null, { linea = null } = {}) {
+  const [lista, { lineasPorParada }] = await Promise.all([
+    paradas ?? getParadas(),
+    getDatosRed(),
+  ]);
+  const lineasDe = (p) => p.lineas ?? [...(lineasPorParada.get(p.numero?.toString()) ?? [])];
+  const lineaBuscada = linea?.toString().toUpperCase().trim();
+
+  return coleccion(
+    lista
+      .filter(tieneCoordenadas)
+      .filter((p) => !lineaBuscada || lineasDe(p).some((l) => l.toUpperCase() === lineaBuscada))
+      .map((p) =>
+        feature(geoPunto(p), {
+          numero: p.numero,
+          nombre: p.nombre,
+          direccion: p.direccion,
+          sentido: p.sentido,
+          lineas: lineasDe(p),
+          ...(p.distanciaMetros !== undefined && { distanciaMetros: p.distanciaMetros }),
+          ...(p.relevancia !== undefined && { relevancia: p.relevancia }),
+        })
+      )
+  );
+}
+
+// ─── Líneas ───────────────────────────────────────────────────────────────────
+
+/**
+ * FeatureCollection con un LineString por línea y sentido, en el orden de
+ * paso. Cada trazado sigue el recorrido principal del sentido: mezclar las
+ * paradas de sus variantes por punto kilométrico daría zigzags. Sin
+ * numeroLinea se exportan todas las líneas; sentido: 1 = ida, 2 = vuelta.
+ * Con { paradas: true } se añade además un punto por cada parada del
+ * recorrido principal.
+ */
+export async function lineasAGeoJson(numeroLinea = null, sentido = null, { paradas = false } = {}) {
+  const [lineas, secuencias] = await Promise.all([
+    getLineas(),
+    numeroLinea ? getSecuenciaLinea(numeroLinea, sentido) : getSecuencias(),
+  ]);
+  const nombres = new Map(lineas.map((l) => [l.numero?.toString().toUpperCase(), l.nombre]));
+
+  const porLinea = new Map();
+  for (const s of secuencias) {
+    const l = etiqueta(s);
+    if (!l) continue;
+    if (!porLinea.has(l)) porLinea.set(l, []);
+    porLinea.get(l).push(s);
+  }
+
+  const features = [];
+  const puntosParadas = [];
+  for (const [l, secuenciaLinea] of porLinea) {
+    for (const recorrido of recorridoPrincipal(secuenciaLinea)) {
+      const puntos = recorrido.paradas.filter((s) => s.lat !== null);
+      if (puntos.length < 2) continue;
+      features.push(
+        feature(geoLinea(puntos), {
+          linea: l,
+          nombre: nombres.get(l.toUpperCase()) ?? null,
+          sentido: recorrido.sentido,
+          numeroParadas: recorrido.paradas.length,
+          longitudKm: parseFloat((puntos.at(-1).puntoKm - puntos[0].puntoKm).toFixed(2)),
+        })
+      );
+      // Las paradas son los vértices del trazado, con el mismo orden
+      if (!paradas) continue;
+      puntos.forEach((s, i) =>
+        puntosParadas.push(
+          feature(geoPunto(s), {
+            linea: l,
+            sentido: recorrido.sentido,
+            orden: i + 1,
+            numero: s.numeroParada,
+            nombre: s.nombreParada,
+            puntoKm: s.puntoKm,
+          })
+        )
+      );
+    }
+  }
+  if (paradas) features.push(...puntosParadas);
+
+  return coleccion(features);
+}
+
+// ─── Itinerarios ──────────────────────────────────────────────────────────────
+
+/**
+ * Paradas por las que pasa un tramo en bus: el primer recorrido de su línea
+ * y sentido en el que la parada de destino va después de la de origen.
+ */
+function paradasTramo(recorridos, tramo) {
+  const prefijo = `${tramo.linea.toUpperCase()}|${tramo.sentido}|`;
+  const origen = tramo.paradaOrigen.numero.toString();
+  const destino = tramo.paradaDestino.numero.toString();
+
+  for (const [clave, paradas] of recorridos) {
+    if (!clave.startsWith(prefijo)) continue;
+    const i = paradas.indexOf(origen);
+    const j = paradas.indexOf(destino, i + 1);
+    if (i >= 0 && j > i) return paradas.slice(i, j + 1);
+  }
+  return [origen, destino];
+}
+
+/**
+ * FeatureCollection con un LineString por tramo (bus o a pie) de cada
+ * itinerario de un resultado de planificarRuta o
+ * planificarRutaDesdeCoordenadas. Los tramos en bus siguen las paradas del
+ * recorrido; los tramos a pie van en línea recta.
+ */
+export async function itinerariosAGeoJson(resultado) {
+  const { coordenadas, recorridos } = await getDatosRed();
+  const situar = (numero) => coordenadas.get(numero?.toString()) ?? null;
+
+  const features = [];
+  resultado.itinerarios.forEach((it, i) => {
+    it.tramos.forEach((t, j) => {
+      const puntos =
+        t.tipo === "bus"
+          ? paradasTramo(recorridos, t).map(situar)
+          : [
+              t.puntoOrigen ?? situar(t.paradaOrigen?.numero),
+              t.puntoDestino ?? situar(t.paradaDestino?.numero),
+            ];
+      const validos = puntos.filter(Boolean);
+      if (validos.length < 2) return;
+
+      features.push(
+        feature(geoLinea(validos), {
+          itinerario: i + 1,
+          tramo: j + 1,
+          tipo: t.tipo,
+          linea: t.linea ?? null,
+          sentido: t.sentido ?? null,
+          paradaOrigen: t.paradaOrigen?.numero ?? null,
+          nombreParadaOrigen: t.paradaOrigen?.nombre ?? null,
+          paradaDestino: t.paradaDestino?.numero ?? null,
+          nombreParadaDestino: t.paradaDestino?.nombre ?? null,
+          minutos: t.tipo === "bus" ? t.esperaMinutos + t.viajeMinutos : t.minutos,
+          distanciaMetros: t.tipo === "bus" ? Math.round(t.distanciaKm * 1000) : t.distanciaMetros,
+          tiempoEstimadoItinerario: it.tiempoEstimadoMinutos,
+          transbordos: it.transbordos,
+        })
+      );
+    });
+  });
+
+  return coleccion(features);
+}
+
+// ─── Posiciones de autobuses ──────────────────────────────────────────────────
+
+/**
+ * FeatureCollection con un punto por vehículo de un resultado de
+ * inferirPosicionesLinea (los que no se han podido situar se omiten).
+ */
+export function posicionesAGeoJson({ vehiculos }) {
+  return coleccion(
+    vehiculos
+      .filter((v) => v.lat !== null)
+      .map((v) =>
+        feature(geoPunto(v), {
+          id: v.id,
+          linea: v.linea,
+          sentido: v.sentido,
+          destino: v.destino,
+          puntoKm: v.puntoKm,
+          enCabecera: v.enCabecera,
+          paradaAnterior: v.paradaAnterior?.numero ?? null,
+          nombreParadaAnterior: v.paradaAnterior?.nombre ?? null,
+          paradaSiguiente: v.paradaSiguiente.numero,
+          nombreParadaSiguiente: v.paradaSiguiente.nombre,
+          distanciaParadaSiguienteMetros: v.paradaSiguiente.distanciaMetros,
+          llegadaParadaReferencia: v.referencia.llegada,
+        })
+      )
+  );
+}
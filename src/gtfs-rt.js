@@ -0,0 +1,227 @@
+/**
+ * Feed GTFS-Realtime (TripUpdates) a partir de control_flotas_estimaciones.
+ *
+ * Las estimaciones dan, por parada y línea, el tiempo hasta el próximo y el
+ * siguiente bus, sin identificar el vehículo. Cada predicción se publica como
+ * un TripUpdate con una sola parada, asociado al viaje tipo del feed estático
+ * (ver gtfs.js) que recorre esa línea y parada. Como los viajes van por
+ * frecuencias, la hora de salida (start_time) se deduce restando a la llegada
+ * prevista el tiempo teórico desde la cabecera.
+ */
+
+import { getEstimacionesCached } from "./api.js";
+import { getModeloGtfs, horaGtfs, OPCIONES_GTFS } from "./gtfs.js";
+import { plegarTexto } from "./busqueda.js";
+
+// ─── Codificación protobuf ────────────────────────────────────────────────────
+
+// Subconjunto de gtfs-realtime.proto necesario para TripUpdates:
+// campo → [número, tipo, valores del enum]
+const MENSAJES = {
+  FeedMessage: { header: [1, "FeedHeader"], entity: [2, "FeedEntity"] },
+  FeedHeader: {
+    gtfs_realtime_version: [1, "string"],
+    incrementality: [2, "enum", { FULL_DATASET: 0, DIFFERENTIAL: 1 }],
+    timestamp: [3, "uint64"],
+  },
+  FeedEntity: { id: [1, "string"], trip_update: [3, "TripUpdate"] },
+  TripUpdate: {
+    trip: [1, "TripDescriptor"],
+    stop_time_update: [2, "StopTimeUpdate"],
+    timestamp: [4, "uint64"],
+  },
+  TripDescriptor: {
+    trip_id: [1, "string"],
+    start_time: [2, "string"],
+    start_date: [3, "string"],
+    schedule_relationship: [4, "enum", { SCHEDULED: 0, ADDED: 1, UNSCHEDULED: 2, CANCELED: 3 }],
+    route_id: [5, "string"],
+    direction_id: [6, "uint32"],
+  },
+  StopTimeUpdate: {
+    stop_sequence: [1, "uint32"],
+    arrival: [2, "StopTimeEvent"],
+    departure: [3, "StopTimeEvent"],
+    stop_id: [4, "string"],
+    schedule_relationship: [5, "enum", { SCHEDULED: 0, SKIPPED: 1, NO_DATA: 2 }],
+  },
+  StopTimeEvent: { delay: [1, "int32"], time: [2, "int64"], uncertainty: [3, "int32"] },
+};
+
+function varint(valor) {
+  let n = BigInt.asUintN(64, BigInt(valor));
+  const bytes = [];
+  do {
+    let byte = Number(n & 0x7fn);
+    n >>= 7n;
+    if (n > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (n > 0n);
+  return Buffer.from(bytes);
+}
+
+function clave(numero, tipoCable) {
+  return varint((numero << 3) | tipoCable);
+}
+
+/** Codifica un objeto con nombres de campo de gtfs-realtime.proto */
+export function codificar(tipo, objeto) {
+  const esquema = MENSAJES[tipo];
+  const partes = [];
+
+  for (const [campo, valor] of Object.entries(objeto)) {
+    if (valor === null || valor === undefined) continue;
+    const def = esquema[campo];
+    if (!def) throw new Error(`Campo desconocido ${tipo}.${campo}`);
+    const [numero, tipoCampo, enumeracion] = def;
+
+    for (const v of Array.isArray(valor) ? valor : [valor]) {
+      if (tipoCampo === "string") {
+        const buf = Buffer.from(v.toString(), "utf8");
+        partes.push(clave(numero, 2), varint(buf.length), buf);
+      } else if (tipoCampo === "enum") {
+        partes.push(clave(numero, 0), varint(enumeracion[v]));
+      } else if (MENSAJES[tipoCampo]) {
+        const buf = codificar(tipoCampo, v);
+        partes.push(clave(numero, 2), varint(buf.length), buf);
+      } else {
+        partes.push(clave(numero, 0), varint(Math.trunc(v)));
+      }
+    }
+  }
+
+  return Buffer.concat(partes);
+}
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+const FORMATO_MADRID = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "Europe/Madrid",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/** Fecha de servicio (YYYYMMDD) y segundos desde medianoche en Europa/Madrid */
+function instanteMadrid(ms) {
+  const partes = Object.fromEntries(
+    FORMATO_MADRID.formatToParts(new Date(ms)).map((p) => [p.type, p.value])
+  );
+  return {
+    fecha: `${partes.year}${partes.month}${partes.day}`,
+    segundos: parseInt(partes.hour) * 3600 + parseInt(partes.minute) * 60 + parseInt(partes.second),
+  };
+}
+
+/**
+ * Viaje tipo al que corresponde una estimación: el de su línea que pasa por
+ * la parada y, si hay varios (ida y vuelta), el que termina en su destino.
+ */
+function elegirViaje(porLinea, estimacion) {
+  const candidatos = (porLinea.get(estimacion.linea?.toUpperCase()) ?? [])
+    .map((viaje) => ({
+      viaje,
+      idx: viaje.paradas.findIndex((p) => p.numeroParada?.toString() === estimacion.paradaId?.toString()),
+    }))
+    .filter((c) => c.idx >= 0);
+  if (candidatos.length <= 1) return candidatos[0] ?? null;
+
+  const destino = plegarTexto(estimacion.destino1);
+  return (
+    candidatos.find(({ viaje }) => {
+      const cabecera = plegarTexto(viaje.headsign);
+      return destino && cabecera && (cabecera.includes(destino) || destino.includes(cabecera));
+    }) ?? candidatos[0]
+  );
+}
+
+// Último feed generado, reutilizado mientras no cambien las estimaciones
+let _ultimo = { version: null, feed: null, buffer: null };
+
+/**
+ * Construye el FeedMessage de TripUpdates como objeto (nombres de campo del
+ * .proto), listo para serializar a JSON o a protobuf.
+ */
+export async function generarTripUpdates({ velocidadKmh = OPCIONES_GTFS.velocidadKmh } = {}) {
+  const { estimaciones, obtenidasEn } = await getEstimacionesCached();
+  const version = `${obtenidasEn}|${velocidadKmh}`;
+  if (_ultimo.version === version && _ultimo.feed) return _ultimo.feed;
+
+  const { viajes } = await getModeloGtfs();
+
+  const porLinea = new Map();
+  for (const v of viajes) {
+    const linea = v.linea.toUpperCase();
+    if (!porLinea.has(linea)) porLinea.set(linea, []);
+    porLinea.get(linea).push(v);
+  }
+
+  const segundosPorKm = 3600 / velocidadKmh;
+  // Las llegadas cuentan desde la fecha de cada estimación en el portal; la
+  // cabecera lleva la más reciente (o la de descarga si no traen fecha)
+  const fechas = estimaciones.map((e) => e.fechaDatos).filter((f) => f !== null);
+  const marca = Math.floor((fechas.length > 0 ? Math.max(...fechas) : obtenidasEn) / 1000);
+  const entidades = [];
+
+  for (const e of estimaciones) {
+    const elegido = elegirViaje(porLinea, e);
+    if (!elegido) continue;
+    const { viaje, idx } = elegido;
+    const parada = viaje.paradas[idx];
+    const desdeCabecera = (parada.puntoKm - viaje.km0) * segundosPorKm;
+    const fecha = e.fechaDatos !== null ? Math.floor(e.fechaDatos / 1000) : marca;
+
+    [e.proximoBus, e.segundoBus].forEach((bus, n) => {
+      if (bus.tiempoSegundos < 0) return;
+      const llegada = fecha + bus.tiempoSegundos;
+      const salida = instanteMadrid((llegada - desdeCabecera) * 1000);
+
+      entidades.push({
+        id: `${viaje.tripId}-${parada.numeroParada}-${n + 1}`,
+        trip_update: {
+          trip: {
+            trip_id: viaje.tripId,
+            route_id: viaje.routeId,
+            direction_id: viaje.directionId,
+            start_date: salida.fecha,
+            start_time: horaGtfs(salida.segundos),
+            schedule_relationship: "SCHEDULED",
+          },
+          stop_time_update: [
+            {
+              stop_sequence: idx + 1,
+              stop_id: parada.numeroParada.toString(),
+              arrival: { time: llegada },
+              schedule_relationship: "SCHEDULED",
+            },
+          ],
+          timestamp: fecha,
+        },
+      });
+    });
+  }
+
+  const feed = {
+    header: {
+      gtfs_realtime_version: "2.0",
+      incrementality: "FULL_DATASET",
+      timestamp: marca,
+    },
+    entity: entidades,
+  };
+  _ultimo = { version, feed, buffer: null };
+  return feed;
+}
+
+/** FeedMessage de TripUpdates serializado en protobuf */
+export async function generarTripUpdatesProtobuf(opciones = {}) {
+  const feed = await generarTripUpdates(opciones);
+  if (_ultimo.feed === feed && _ultimo.buffer) return _ultimo.buffer;
+  const buffer = codificar("FeedMessage", feed);
+  if (_ultimo.feed === feed) _ultimo.buffer = buffer;
+  return buffer;
+}
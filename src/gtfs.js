@@ -0,0 +1,323 @@
+/**
+ * Generador de un feed GTFS estático de la red TUS a partir de los datasets
+ * de datos abiertos (paradas, líneas y secuencia de paradas).
+ *
+ * TUS no publica horarios, así que cada recorrido (línea + sentido + ruta) se
+ * exporta como un viaje tipo con frequencies.txt: los tiempos entre paradas
+ * salen del punto kilométrico a una velocidad media configurable.
+ *
+ * Configuración por variables de entorno (o por opciones):
+ *   - TUS_GTFS_VELOCIDAD_KMH: velocidad media (13)
+ *   - TUS_GTFS_FRECUENCIA_MIN: minutos entre buses (15)
+ *   - TUS_GTFS_HORA_INICIO / TUS_GTFS_HORA_FIN: ventana de servicio (07:00 / 22:30)
+ */
+
+import { getLineas, getParadas, getSecuencias, getDatasetsEstaticos } from "./api.js";
+import { tieneCoordenadas } from "./geo.js";
+import { crearZip } from "./zip.js";
+
+export const OPCIONES_GTFS = {
+  velocidadKmh: parseFloat(process.env.TUS_GTFS_VELOCIDAD_KMH) || 13,
+  frecuenciaMinutos: parseInt(process.env.TUS_GTFS_FRECUENCIA_MIN) || 15,
+  horaInicio: process.env.TUS_GTFS_HORA_INICIO || "07:00",
+  horaFin: process.env.TUS_GTFS_HORA_FIN || "22:30",
+  diasVigencia: 365,
+};
+
+const AGENCIA = {
+  agency_id: "TUS",
+  agency_name: "Transportes Urbanos de Santander",
+  agency_url: "http://www.tusantander.es",
+  agency_timezone: "Europe/Madrid",
+  agency_lang: "es",
+};
+
+const SERVICIO = "DIARIO";
+
+// ─── Formato ──────────────────────────────────────────────────────────────────
+
+function campoCsv(valor) {
+  if (valor === null || valor === undefined) return "";
+  const s = valor.toString();
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Genera un CSV con las columnas dadas a partir de una lista de objetos */
+function csv(columnas, filas) {
+  const lineas = [columnas.join(",")];
+  for (const fila of filas) {
+    lineas.push(columnas.map((c) => campoCsv(fila[c])).join(","));
+  }
+  return lineas.join("\r\n") + "\r\n";
+}
+
+function segundosDesdeHora(hora) {
+  const [h, m = 0, s = 0] = hora.split(":").map((x) => parseInt(x));
+  return h * 3600 + m * 60 + s;
+}
+
+/** Hora GTFS (HH:MM:SS, puede pasar de 24) a partir de segundos */
+export function horaGtfs(segundos) {
+  const total = Math.round(segundos);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map((x) => x.toString().padStart(2, "0")).join(":");
+}
+
+/** Fecha YYYYMMDD en Europa/Madrid */
+export function fechaGtfs(fecha) {
+  const partes = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Europe/Madrid",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(fecha);
+  const v = (tipo) => partes.find((p) => p.type === tipo).value;
+  return `${v("year")}${v("month")}${v("day")}`;
+}
+
+function idSeguro(texto) {
+  return texto.toString().trim().replace(/[^A-Za-z0-9_-]+/g, "_");
+}
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+// Último modelo construido y los datasets de los que sale; se reconstruye
+// sólo cuando la cache entrega un dataset nuevo
+let _modelo = { fuentes: null, promesa: null };
+
+/**
+ * Modelo de la red con los identificadores del feed: paradas (stops.txt) y
+ * viajes tipo, uno por recorrido (línea + sentido + ruta), con sus paradas
+ * en orden. Lo comparten el feed estático y el de tiempo real.
+ */
+export async function getModeloGtfs() {
+  const fuentes = await getDatasetsEstaticos();
+  const previas = _modelo.fuentes;
+  if (!previas || Object.keys(fuentes).some((clave) => fuentes[clave] !== previas[clave])) {
+    const promesa = construirModeloGtfs();
+    _modelo = { fuentes, promesa };
+    promesa.catch(() => {
+      if (_modelo.promesa === promesa) _modelo = { fuentes: null, promesa: null };
+    });
+  }
+  return _modelo.promesa;
+}
+
+async function construirModeloGtfs() {
+  const [lineas, paradas, secuencias] = await Promise.all([
+    getLineas(),
+    getParadas(),
+    getSecuencias(),
+  ]);
+
+  // ── Paradas del dataset más las de la secuencia que falten ──
+  const stops = new Map();
+  for (const p of paradas) {
+    if (!p.numero || !tieneCoordenadas(p)) continue;
+    stops.set(p.numero.toString(), {
+      stop_id: p.numero,
+      stop_code: p.numero,
+      stop_name: p.nombre,
+      stop_desc: p.direccion,
+      stop_lat: p.lat,
+      stop_lon: p.lon,
+    });
+  }
+  for (const s of secuencias) {
+    const id = s.numeroParada?.toString();
+    if (!id || stops.has(id) || s.lat === null) continue;
+    stops.set(id, {
+      stop_id: id,
+      stop_code: id,
+      stop_name: s.nombreParada,
+      stop_lat: s.lat,
+      stop_lon: s.lon,
+    });
+  }
+
+  // ── Recorridos: línea + sentido + ruta, con sus paradas en orden ──
+  const recorridos = new Map();
+  for (const s of secuencias) {
+    const linea = (s.etiquetaLinea ?? s.linea)?.toString();
+    if (!linea || !s.numeroParada) continue;
+    const clave = `${linea}|${s.sentidoNumerico}|${s.ruta ?? ""}`;
+    if (!recorridos.has(clave)) {
+      recorridos.set(clave, {
+        linea,
+        sentido: s.sentidoNumerico,
+        ruta: s.ruta,
+        sublinea: s.sublinea,
+        paradas: [],
+      });
+    }
+    recorridos.get(clave).paradas.push(s);
+  }
+
+  const viajes = [];
+  for (const r of recorridos.values()) {
+    // Sólo paradas que existen en stops.txt
+    const paradasRecorrido = r.paradas.filter((p) => stops.has(p.numeroParada.toString()));
+    if (paradasRecorrido.length < 2) continue;
+
+    viajes.push({
+      tripId: idSeguro(`${r.linea}_${r.sentido}_${r.ruta ?? 1}`),
+      routeId: idSeguro(r.linea),
+      linea: r.linea,
+      directionId: r.sentido === 1 ? 0 : 1,
+      sublinea: r.sublinea,
+      headsign: paradasRecorrido[paradasRecorrido.length - 1].nombreParada,
+      km0: paradasRecorrido[0].puntoKm,
+      paradas: paradasRecorrido,
+    });
+  }
+
+  return { lineas, stops, viajes };
+}
+
+/**
+ * Genera los ficheros del feed GTFS. Devuelve { ficheros, resumen }, donde
+ * ficheros es un objeto { "stops.txt": contenido, ... }.
+ */
+export async function generarGtfs(opciones = {}) {
+  const opts = { ...OPCIONES_GTFS, ...opciones };
+  const { lineas, stops, viajes } = await getModeloGtfs();
+
+  // ── routes.txt ──
+  const nombresLinea = new Map(lineas.map((l) => [l.numero?.toString().toUpperCase(), l.nombre]));
+  const routes = [...new Set(viajes.map((v) => v.linea))].map((linea) => ({
+    route_id: idSeguro(linea),
+    agency_id: AGENCIA.agency_id,
+    route_short_name: linea,
+    route_long_name: nombresLinea.get(linea.toUpperCase()) ?? "",
+    route_type: 3,
+  }));
+
+  // ── trips.txt, stop_times.txt, shapes.txt, frequencies.txt ──
+  const trips = [];
+  const stopTimes = [];
+  const shapes = [];
+  const frequencies = [];
+  const inicio = segundosDesdeHora(opts.horaInicio);
+  const segundosPorKm = 3600 / opts.velocidadKmh;
+
+  for (const v of viajes) {
+    const { tripId: id, km0, paradas: paradasRecorrido } = v;
+
+    const puntosShape = paradasRecorrido.map((p) => {
+      const stop = stops.get(p.numeroParada.toString());
+      return {
+        lat: p.lat ?? stop.stop_lat,
+        lon: p.lon ?? stop.stop_lon,
+        metros: Math.round((p.puntoKm - km0) * 1000),
+      };
+    });
+    puntosShape.forEach((pt, i) =>
+      shapes.push({
+        shape_id: id,
+        shape_pt_lat: pt.lat,
+        shape_pt_lon: pt.lon,
+        shape_pt_sequence: i + 1,
+        shape_dist_traveled: pt.metros,
+      })
+    );
+
+    trips.push({
+      route_id: v.routeId,
+      service_id: SERVICIO,
+      trip_id: id,
+      trip_headsign: v.headsign,
+      trip_short_name: v.sublinea,
+      direction_id: v.directionId,
+      shape_id: id,
+    });
+
+    paradasRecorrido.forEach((p, i) => {
+      const hora = horaGtfs(inicio + (p.puntoKm - km0) * segundosPorKm);
+      stopTimes.push({
+        trip_id: id,
+        arrival_time: hora,
+        departure_time: hora,
+        stop_id: p.numeroParada,
+        stop_sequence: i + 1,
+        shape_dist_traveled: Math.round((p.puntoKm - km0) * 1000),
+      });
+    });
+
+    frequencies.push({
+      trip_id: id,
+      start_time: horaGtfs(inicio),
+      end_time: horaGtfs(segundosDesdeHora(opts.horaFin)),
+      headway_secs: opts.frecuenciaMinutos * 60,
+      exact_times: 0,
+    });
+  }
+
+  const hoy = new Date();
+  const fin = new Date(hoy.getTime() + opts.diasVigencia * 24 * 3600 * 1000);
+
+  const ficheros = {
+    "agency.txt": csv(Object.keys(AGENCIA), [AGENCIA]),
+    "stops.txt": csv(
+      ["stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon"],
+      [...stops.values()]
+    ),
+    "routes.txt": csv(
+      ["route_id", "agency_id", "route_short_name", "route_long_name", "route_type"],
+      routes
+    ),
+    "trips.txt": csv(
+      ["route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "shape_id"],
+      trips
+    ),
+    "stop_times.txt": csv(
+      ["trip_id", "arrival_time", "departure_time", "stop_id", "stop_sequence", "shape_dist_traveled"],
+      stopTimes
+    ),
+    "shapes.txt": csv(
+      ["shape_id", "shape_pt_lat", "shape_pt_lon", "shape_pt_sequence", "shape_dist_traveled"],
+      shapes
+    ),
+    "frequencies.txt": csv(
+      ["trip_id", "start_time", "end_time", "headway_secs", "exact_times"],
+      frequencies
+    ),
+    "calendar.txt": csv(
+      ["service_id", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday", "start_date", "end_date"],
+      [{
+        service_id: SERVICIO,
+        monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 1, sunday: 1,
+        start_date: fechaGtfs(hoy),
+        end_date: fechaGtfs(fin),
+      }]
+    ),
+    "feed_info.txt": csv(
+      ["feed_publisher_name", "feed_publisher_url", "feed_lang", "feed_start_date", "feed_end_date", "feed_version"],
+      [{
+        feed_publisher_name: "tus-santander-mcp",
+        feed_publisher_url: "http://datos.santander.es",
+        feed_lang: "es",
+        feed_start_date: fechaGtfs(hoy),
+        feed_end_date: fechaGtfs(fin),
+        feed_version: hoy.toISOString(),
+      }]
+    ),
+  };
+
+  return {
+    ficheros,
+    resumen: {
+      paradas: stops.size,
+      lineas: routes.length,
+      viajes: trips.length,
+      horarios: stopTimes.length,
+    },
+  };
+}
+
+/** Genera el feed GTFS empaquetado en un ZIP (Buffer) */
+export async function generarGtfsZip(opciones = {}) {
+  const { ficheros } = await generarGtfs(opciones);
+  return crearZip(ficheros);
+}
@@ -0,0 +1,259 @@
+/**
+ * Histórico de estimaciones en tiempo real, para poder responder preguntas
+ * como "¿suele ir con retraso la línea 7 a esta hora?".
+ *
+ * Un grabador opcional toma cada cierto tiempo el snapshot de estimaciones
+ * de la cache de 30 s (no hace peticiones propias al portal) y lo añade a
+ * un fichero JSONL por día (hora de Santander). Cada línea es una captura:
+ *
+ *   { "t": <fecha de los datos, ms>, "e": [[parada, linea, tiempo1, tiempo2,
+ *     distancia1, distancia2, destino], ...] }
+ *
+ * con -1 donde el portal no da tiempo o distancia. Si el portal no ha
+ * actualizado los datos desde la captura anterior, no se repite.
+ *
+ * Configuración por variables de entorno:
+ *   - TUS_HISTORIAL_DIR: carpeta de los ficheros (sin ella no se graba)
+ *   - TUS_HISTORIAL_INTERVALO_S: segundos entre capturas (60; mínimo 30,
+ *     el TTL de la cache de estimaciones)
+ *   - TUS_HISTORIAL_RETENCION_DIAS: días que se conservan (30)
+ */
+
+import { createReadStream } from "node:fs";
+import { appendFile, mkdir, readdir, stat, unlink } from "node:fs/promises";
+import path from "node:path";
+import { createInterface } from "node:readline";
+
+import { getEstimacionesCached } from "./api.js";
+import { partesMadrid } from "./frescura.js";
+
+const INTERVALO_MINIMO_S = 30;
+const PATRON_FICHERO = /^estimaciones-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/** Configuración del histórico a partir del entorno */
+export function configHistorial() {
+  const intervalo = parseInt(process.env.TUS_HISTORIAL_INTERVALO_S) || 60;
+  return {
+    dir: process.env.TUS_HISTORIAL_DIR || null,
+    intervaloSegundos: Math.max(INTERVALO_MINIMO_S, intervalo),
+    retencionDias: parseInt(process.env.TUS_HISTORIAL_RETENCION_DIAS) || 30,
+  };
+}
+
+const ficheroDia = (dir, fecha) => path.join(dir, `estimaciones-${fecha}.jsonl`);
+
+/** Ficheros del histórico con su día, ordenados del más antiguo al más reciente */
+async function listarFicheros(dir) {
+  let nombres;
+  try {
+    nombres = await readdir(dir);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  return nombres
+    .map((nombre) => ({ nombre, fecha: nombre.match(PATRON_FICHERO)?.[1] }))
+    .filter((f) => f.fecha)
+    .sort((a, b) => a.fecha.localeCompare(b.fecha))
+    .map(({ nombre, fecha }) => ({ fecha, fichero: path.join(dir, nombre) }));
+}
+
+// ─── Grabación ────────────────────────────────────────────────────────────────
+
+/** Captura compacta de un snapshot de estimaciones (ver mapEstimacion) */
+function compactar(estimaciones, obtenidasEn) {
+  const fechas = estimaciones.map((e) => e.fechaDatos).filter((f) => f !== null);
+  return {
+    t: fechas.length > 0 ? Math.max(...fechas) : obtenidasEn,
+    e: estimaciones
+      .filter((e) => e.paradaId && e.linea)
+      .map((e) => [
+        e.paradaId.toString(),
+        e.linea.toString(),
+        e.proximoBus.tiempoSegundos,
+        e.segundoBus.tiempoSegundos,
+        e.proximoBus.distanciaMetros ?? -1,
+        e.segundoBus.distanciaMetros ?? -1,
+        e.destino1 ?? null,
+      ]),
+  };
+}
+
+/** Borra los ficheros de días anteriores al periodo de retención */
+export async function podarHistorial({ dir, retencionDias } = configHistorial()) {
+  if (!dir) return [];
+  const limite = partesMadrid(Date.now() - retencionDias * 86_400_000).fecha;
+  const borrados = [];
+  for (const { fecha, fichero } of await listarFicheros(dir)) {
+    if (fecha >= limite) break;
+    await unlink(fichero);
+    borrados.push(fecha);
+  }
+  return borrados;
+}
+
+const _estado = {
+  activo: false,
+  capturas: 0,
+  ultimaCaptura: null,
+  ultimoError: null,
+};
+
+/**
+ * Arranca el grabador en segundo plano si TUS_HISTORIAL_DIR está definido.
+ * Devuelve { detener } o null si el histórico está desactivado. El
+ * temporizador no impide que el proceso termine.
+ */
+export function iniciarGrabadorHistorial(config = configHistorial()) {
+  if (!config.dir || _estado.activo) return null;
+
+  let ultimaFecha = null;
+  let diaPodado = null;
+  let enCurso = false;
+
+  async function capturar() {
+    if (enCurso) return;
+    enCurso = true;
+    try {
+      const { estimaciones, obtenidasEn } = await getEstimacionesCached();
+      const captura = compactar(estimaciones, obtenidasEn);
+      if (captura.e.length === 0 || captura.t === ultimaFecha) return;
+
+      const { fecha } = partesMadrid(captura.t);
+      await mkdir(config.dir, { recursive: true });
+      await appendFile(ficheroDia(config.dir, fecha), JSON.stringify(captura) + "\n");
+      ultimaFecha = captura.t;
+      _estado.capturas++;
+      _estado.ultimaCaptura = new Date(captura.t).toISOString();
+      _estado.ultimoError = null;
+
+      // Poda una vez al día, al empezar un fichero nuevo
+      if (diaPodado !== fecha) {
+        diaPodado = fecha;
+        const borrados = await podarHistorial(config);
+        if (borrados.length > 0) {
+          console.error(`Histórico: borrados ${borrados.length} días anteriores a la retención`);
+        }
+      }
+    } catch (e) {
+      _estado.ultimoError = e.message;
+      console.error(`Histórico: no se pudo guardar la captura: ${e.message}`);
+    } finally {
+      enCurso = false;
+    }
+  }
+
+  const temporizador = setInterval(capturar, config.intervaloSegundos * 1000);
+  temporizador.unref();
+  Object.assign(_estado, { activo: true, ...config });
+  capturar();
+
+  return {
+    detener() {
+      clearInterval(temporizador);
+      _estado.activo = false;
+    },
+  };
+}
+
+/** Estado del grabador: configuración, capturas guardadas y último error */
+export function getEstadoHistorial() {
+  return { ..._estado };
+}
+
+// ─── Consulta ─────────────────────────────────────────────────────────────────
+
+const aInstante = (valor) =>
+  valor === null || valor === undefined ? null : new Date(valor).getTime();
+
+/** "HH:MM" → minutos desde medianoche */
+function aMinutosDia(hora) {
+  const [h, m = "0"] = hora.toString().split(":");
+  return parseInt(h) * 60 + parseInt(m);
+}
+
+/**
+ * Recorre las capturas guardadas, de la más antigua a la más reciente, sin
+ * cargar el histórico entero en memoria. Cada captura es
+ *
+ *   { instante, observaciones: [{ paradaId, linea, destino, tiempo1Segundos,
+ *     tiempo2Segundos, distancia1Metros, distancia2Metros }] }
+ *
+ * con sólo las observaciones que cumplen los filtros de parada y línea (la
+ * captura se entrega aunque no quede ninguna: la línea no tenía buses).
+ *
+ * filtros (todos opcionales):
+ *   - desde, hasta: intervalo de fechas (Date, ms o ISO)
+ *   - parada, linea: número de parada y etiqueta de línea
+ *   - horaDesde, horaHasta: franja horaria "HH:MM" en hora de Santander,
+ *     cualquier día (si horaDesde > horaHasta la franja cruza la medianoche)
+ */
+export async function* recorrerCapturas(filtros = {}, { dir } = configHistorial()) {
+  if (!dir) return;
+
+  const desde = aInstante(filtros.desde);
+  const hasta = aInstante(filtros.hasta);
+  const parada = filtros.parada?.toString();
+  const linea = filtros.linea?.toString().toUpperCase();
+  const franja =
+    filtros.horaDesde || filtros.horaHasta
+      ? [aMinutosDia(filtros.horaDesde ?? "00:00"), aMinutosDia(filtros.horaHasta ?? "23:59")]
+      : null;
+  const enFranja = (minutos) =>
+    franja[0] <= franja[1]
+      ? minutos >= franja[0] && minutos <= franja[1]
+      : minutos >= franja[0] || minutos <= franja[1];
+
+  const diaDesde = desde !== null ? partesMadrid(desde).fecha : null;
+  const diaHasta = hasta !== null ? partesMadrid(hasta).fecha : null;
+
+  for (const { fecha, fichero } of await listarFicheros(dir)) {
+    if ((diaDesde && fecha < diaDesde) || (diaHasta && fecha > diaHasta)) continue;
+
+    const entrada = createReadStream(fichero);
+    const lineas = createInterface({ input: entrada, crlfDelay: Infinity });
+    try {
+      for await (const texto of lineas) {
+        let captura;
+        try {
+          captura = JSON.parse(texto);
+        } catch {
+          continue; // Línea a medio escribir o dañada
+        }
+        if (!Number.isFinite(captura?.t) || !Array.isArray(captura.e)) continue;
+        if ((desde !== null && captura.t < desde) || (hasta !== null && captura.t > hasta)) continue;
+        if (franja && !enFranja(partesMadrid(captura.t).minutosDia)) continue;
+
+        const observaciones = [];
+        for (const [paradaId, etiqueta, t1, t2, d1, d2, destino] of captura.e) {
+          if (parada && paradaId !== parada) continue;
+          if (linea && etiqueta.toUpperCase() !== linea) continue;
+          observaciones.push({
+            paradaId,
+            linea: etiqueta,
+            destino,
+            tiempo1Segundos: t1,
+            tiempo2Segundos: t2,
+            distancia1Metros: d1,
+            distancia2Metros: d2,
+          });
+        }
+        yield { instante: captura.t, observaciones };
+      }
+    } finally {
+      // Si quien consume corta antes de acabar, se cierra el fichero
+      lineas.close();
+      entrada.destroy();
+    }
+  }
+}
+
+/** Días guardados en el histórico, con su tamaño en bytes */
+export async function resumenHistorial({ dir } = configHistorial()) {
+  if (!dir) return { activo: false, dias: [] };
+  const ficheros = await listarFicheros(dir);
+  const dias = await Promise.all(
+    ficheros.map(async ({ fecha, fichero }) => ({ fecha, bytes: (await stat(fichero)).size }))
+  );
+  return { activo: true, dir, dias };
+}
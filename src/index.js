@@ -1,6 +1,11 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  McpError,
+} from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import express from "express";
 
@@ -15,10 +20,49 @@ import {
   getEstimacionesByParada,
   getEstimacionesByLinea,
   planificarRuta,
+  planificarRutaDesdeCoordenadas,
+  planificarRutaEntreCandidatas,
+  resolverNombre,
+  precargarCache,
+  getEstadoCache,
+  getEstadoPortal,
 } from "./api.js";
+import { generarGtfsZip } from "./gtfs.js";
+import {
+  paradasAGeoJson,
+  lineasAGeoJson,
+  itinerariosAGeoJson,
+  posicionesAGeoJson,
+} from "./geojson.js";
+import { evaluarFrescura, horaMadrid, parsearFechaPortal } from "./frescura.js";
+import {
+  iniciarGrabadorHistorial,
+  getEstadoHistorial,
+  configHistorial,
+  resumenHistorial,
+} from "./historial.js";
+import { calcularEstadisticasLinea } from "./estadisticas.js";
+import { analizarRegularidadLinea, recorridoPrincipal } from "./regularidad.js";
+import { inferirPosicionesLinea } from "./posiciones.js";
+import {
+  consultarLlegada,
+  crearVigilancia,
+  listarVigilancias,
+  cancelarVigilancia,
+  cancelarVigilanciasDe,
+} from "./vigilancia.js";
+import { montarTransporteMcp } from "./sesiones.js";
+import { ErrorPortal, ErrorPortalNoDisponible } from "./peticiones.js";
+import { generarTripUpdates, generarTripUpdatesProtobuf } from "./gtfs-rt.js";
+import { TOOLS } from "./tools.js";
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+/**
+ * Resultado de una herramienta: los datos como structuredContent (validado
+ * contra el outputSchema de tools.js) y, para los clientes que sólo leen
+ * texto, serializados en JSON.
+ */
 function ok(data) {
   return {
     content: [
@@ -27,6 +71,7 @@ function ok(data) {
         text: JSON.stringify(data, null, 2),
       },
     ],
+    structuredContent: data,
   };
 }
 
@@ -42,422 +87,1115 @@ function err(mensaje) {
   };
 }
 
-// ─── Factory ──────────────────────────────────────────────────────────────────
+/**
+ * Resultado de error para una excepción de una herramienta: los fallos del
+ * portal (ver peticiones.js) se explican al usuario; el resto se registra
+ * y se devuelve con su mensaje.
+ */
+function errorHerramienta(nombre, e) {
+  if (e instanceof ErrorPortalNoDisponible) {
+    return err(`${e.message} Vuelve a intentarlo pasado ese tiempo.`);
+  }
+  if (e instanceof ErrorPortal) {
+    return err(`${e.message} Vuelve a intentarlo en unos segundos.`);
+  }
+  console.error(`Fallo en la herramienta ${nombre}:`, e);
+  return err(`No se pudo completar la consulta: ${e.message}`);
+}
 
-function createServer() {
-  const server = new McpServer({
-    name: "tus-santander",
-    version: "1.0.0",
-  });
+const DEFINICIONES = new Map(TOOLS.map((t) => [t.name, t]));
 
-  // ─── Herramienta: listar_lineas ─────────────────────────────────────────────
+/** Definición de una herramienta en el registro de tools.js */
+function definicionHerramienta(nombre) {
+  const definicion = DEFINICIONES.get(nombre);
+  if (!definicion) throw new Error(`La herramienta ${nombre} no está definida en tools.js`);
+  return definicion;
+}
 
-  server.tool(
-    "listar_lineas",
-    "Lista todas las líneas de autobús urbano TUS de Santander con su número y nombre de ruta.",
-    {},
-    async () => {
-      const lineas = await getLineas();
-      return ok({
-        total: lineas.length,
-        lineas: lineas.map((l) => ({
-          numero: l.numero,
-          nombre: l.nombre,
-          id: l.id,
-        })),
-      });
+/** Contenido de un recurso MCP serializado como JSON */
+function recursoJson(uri, data) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+function recursoNoEncontrado(uri, mensaje) {
+  return new McpError(ErrorCode.InvalidParams, `${mensaje} (${uri.href})`);
+}
+
+const TAM_PAGINA_RECURSOS = 100;
+
+/**
+ * Página de una lista a partir del cursor opaco de MCP (la posición en base64).
+ * Devuelve { items, nextCursor }.
+ */
+function paginar(lista, cursor) {
+  let inicio = 0;
+  if (cursor) {
+    inicio = parseInt(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isInteger(inicio) || inicio < 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Cursor no válido: ${cursor}`);
     }
+  }
+  const fin = inicio + TAM_PAGINA_RECURSOS;
+  return {
+    items: lista.slice(inicio, fin),
+    nextCursor: fin < lista.length ? Buffer.from(fin.toString()).toString("base64url") : undefined,
+  };
+}
+
+/**
+ * Agrupa la secuencia de una línea por sentido: paradas en orden de paso y
+ * polilínea [lat, lon] de cada sentido. La polilínea sigue sólo el
+ * recorrido principal del sentido, para no zigzaguear entre variantes.
+ */
+function secuenciaPorSentido(secuencia) {
+  const rutas = {};
+  for (const s of secuencia) {
+    if (!rutas[s.sentido]) rutas[s.sentido] = [];
+    rutas[s.sentido].push({
+      orden: rutas[s.sentido].length + 1,
+      numeroParada: s.numeroParada,
+      nombreParada: s.nombreParada,
+      puntoKm: s.puntoKm,
+      lat: s.lat,
+      lon: s.lon,
+    });
+  }
+  const trazados = Object.fromEntries(
+    recorridoPrincipal(secuencia).map(({ sentido, paradas }) => [
+      sentido,
+      paradas.filter((s) => s.lat !== null).map((s) => [s.lat, s.lon]),
+    ])
   );
+  return { rutas, trazados };
+}
 
-  // ─── Herramienta: info_linea ────────────────────────────────────────────────
+/**
+ * Campos de frescura de una respuesta en tiempo real: fecha de los datos en
+ * el portal, edad en segundos, estado (fresco, retrasado, caducado o
+ * desconocido) y un aviso sólo si no están frescos.
+ */
+function frescuraDatos(estimaciones) {
+  const { aviso, ...frescura } = evaluarFrescura(estimaciones);
+  return aviso ? { ...frescura, aviso } : frescura;
+}
 
-  server.tool(
-    "info_linea",
-    "Obtiene información detallada de una línea de autobús concreta, incluyendo la secuencia ordenada de paradas por sentido (ida/vuelta).",
-    {
-      numero_linea: z
-        .string()
-        .describe('Número o etiqueta de la línea (ej: "1", "15", "N3", "24C2")'),
-      sentido: z
-        .enum(["ida", "vuelta", "ambos"])
-        .default("ambos")
-        .describe('Sentido de la ruta: "ida", "vuelta" o "ambos"'),
+/** Estimación de una línea en una parada, con el próximo y el siguiente bus */
+function formatearEstimacion(e) {
+  return {
+    linea: e.linea,
+    proximoBus: {
+      tiempoMinutos: e.proximoBus.tiempoMinutos,
+      llegadaEstimada: e.proximoBus.llegada,
+      distanciaMetros: e.proximoBus.distanciaMetros,
+      destino: e.destino1,
     },
-    async ({ numero_linea, sentido }) => {
-      const linea = await getLineaByNumero(numero_linea);
+    segundoBus:
+      e.segundoBus.tiempoSegundos >= 0
+        ? {
+            tiempoMinutos: e.segundoBus.tiempoMinutos,
+            llegadaEstimada: e.segundoBus.llegada,
+            distanciaMetros: e.segundoBus.distanciaMetros,
+            destino: e.destino2,
+          }
+        : null,
+  };
+}
 
-      const sentidoNum =
-        sentido === "ida" ? 1 : sentido === "vuelta" ? 2 : null;
-      const secuencia = await getSecuenciaLinea(numero_linea, sentidoNum);
+/** Prompt MCP con un único mensaje del usuario */
+function promptUsuario(texto) {
+  return {
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text: texto },
+      },
+    ],
+  };
+}
 
-      if (secuencia.length === 0) {
-        return err(
-          `No se encontró la línea "${numero_linea}". Usa listar_lineas para ver las líneas disponibles.`
-        );
-      }
+// Argumento común de los prompts: idioma de la respuesta
+const IDIOMA = z
+  .enum(["es", "en"])
+  .optional()
+  .describe('Idioma de la respuesta: "es" (por defecto) o "en"');
 
-      const porSentido = {};
-      for (const s of secuencia) {
-        if (!porSentido[s.sentido]) porSentido[s.sentido] = [];
-        porSentido[s.sentido].push({
-          orden: porSentido[s.sentido].length + 1,
-          numeroParada: s.numeroParada,
-          nombreParada: s.nombreParada,
-          puntoKm: s.puntoKm,
-        });
-      }
+function instruccionIdioma(idioma) {
+  return idioma === "en"
+    ? "Responde en inglés, de forma breve y directa."
+    : "Responde en español, de forma breve y directa.";
+}
 
-      return ok({
-        linea: {
-          numero: linea?.numero ?? numero_linea,
-          nombre: linea?.nombre ?? "No disponible",
-          id: linea?.id,
-        },
-        rutas: porSentido,
-        totalParadas: secuencia.length,
-      });
-    }
-  );
+/**
+ * Cómo se ha resuelto un nombre en ruta_desde_nombres: lugar del
+ * nomenclátor (si lo hay), parada elegida para la ruta y otras candidatas.
+ * Si se partió de un lugar, cada parada lleva su distancia a él; si no, su
+ * relevancia.
+ */
+function describirResolucion(termino, { lugar, paradas }, numeroElegida) {
+  const resumirParada = (p) => ({
+    numero: p.numero,
+    nombre: p.nombre,
+    ...(lugar ? { distanciaMetros: p.distanciaMetros } : { relevancia: p.relevancia }),
+  });
+  const elegida = paradas.find((p) => p.numero?.toString() === numeroElegida) ?? paradas[0];
 
-  // ─── Herramienta: buscar_paradas ────────────────────────────────────────────
+  return {
+    terminoBuscado: termino,
+    lugarEncontrado: lugar
+      ? {
+          nombre: lugar.nombre,
+          categoria: lugar.categoria,
+          coincidencia: lugar.coincidencia,
+          relevancia: lugar.relevancia,
+          lat: lugar.lat,
+          lon: lugar.lon,
+        }
+      : null,
+    paradaSeleccionada: { ...resumirParada(elegida), direccion: elegida.direccion },
+    otrasParadasEncontradas: paradas
+      .filter((p) => p !== elegida)
+      .slice(0, 3)
+      .map(resumirParada),
+  };
+}
+
+/** Texto para el resumen: el lugar y su parada, o sólo la parada */
+function etiquetaResolucion({ lugar, paradas }, numeroParada) {
+  const parada = paradas.find((p) => p.numero?.toString() === numeroParada) ?? paradas[0];
+  return lugar
+    ? `${lugar.nombre} (parada "${parada.nombre}", a ${parada.distanciaMetros} m)`
+    : `"${parada.nombre}"`;
+}
+
+/**
+ * Por qué se eligió la combinación de paradas de ruta_desde_nombres: cuántas
+ * se probaron, cómo queda frente a la siguiente y, si no es la de las primeras
+ * candidatas (las más relevantes o las más cercanas al lugar), qué pasaba con esa. null si ninguna tiene ruta.
+ */
+function motivoEleccion(combinaciones) {
+  const [elegida] = combinaciones;
+  if (!elegida?.itinerarios) return null;
+
+  const par = (c) => `${c.origen.numero} → ${c.destino.numero}`;
+  const datos = (c) => `${c.mejorTiempoMinutos} min y ${c.transbordos} transbordo(s)`;
+  const conRuta = combinaciones.filter((c) => c.itinerarios > 0);
+
+  if (combinaciones.length === 1) {
+    return `Sólo había una combinación de paradas con servicio (${par(elegida)}): ${datos(elegida)}.`;
+  }
+
+  let motivo = `Se probaron ${combinaciones.length} combinaciones de paradas y ${conRuta.length} tienen ruta. La elegida (${par(elegida)}) es la mejor por tiempo y transbordos: ${datos(elegida)}`;
+  const siguiente = conRuta[1];
+  motivo += siguiente ? `, frente a ${datos(siguiente)} de ${par(siguiente)}.` : "; es la única con ruta.";
+
+  const primeras = combinaciones.find((c) => c.origen.posicion === 1 && c.destino.posicion === 1);
+  if (primeras && primeras !== elegida && primeras !== siguiente) {
+    motivo += primeras.itinerarios > 0
+      ? ` Con las primeras paradas candidatas (${par(primeras)}) serían ${datos(primeras)}.`
+      : ` Entre las primeras paradas candidatas (${par(primeras)}) no hay ruta.`;
+  }
+  return motivo;
+}
+
+/** Resumen en una frase de los itinerarios encontrados, o null si no hay */
+function resumenItinerarios(itinerarios) {
+  if (itinerarios.length === 0) return null;
+  const directas = itinerarios.filter((i) => i.transbordos === 0).length;
+  const mejor = itinerarios[0];
+  const lineas = mejor.tramos.filter((t) => t.tipo === "bus").map((t) => t.linea).join(" → ");
+  const aPie = mejor.distanciaAPieMetros > 0
+    ? ` y ${mejor.distanciaAPieMetros} m a pie`
+    : "";
+  return `Se encontraron ${itinerarios.length} itinerario(s), ${directas} directo(s). El mejor (línea ${lineas}) tarda unos ${mejor.tiempoEstimadoMinutos} min con ${mejor.transbordos} transbordo(s)${aPie}.`;
+}
+
+/**
+ * Instante (ms) de un parámetro de fecha: "AAAA-MM-DD" (día completo en hora
+ * de Santander: su inicio, o su final con finDeDia) o fecha y hora ISO.
+ * null si no se entiende.
+ */
+function instanteParametro(texto, { finDeDia = false } = {}) {
+  const valor = texto.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+    return parsearFechaPortal(`${valor}T${finDeDia ? "23:59:59" : "00:00:00"}`);
+  }
+  return parsearFechaPortal(valor);
+}
+
+// ─── Factory ──────────────────────────────────────────────────────────────────
 
-  server.tool(
-    "buscar_paradas",
-    "Busca paradas de autobús por nombre, dirección o zona en Santander.",
+function createServer() {
+  const server = new McpServer(
     {
-      texto: z
-        .string()
-        .describe(
-          'Texto a buscar en nombre o dirección de la parada (ej: "Valdecilla", "Sardinero")'
-        ),
+      name: "tus-santander",
+      version: "1.0.0",
     },
-    async ({ texto }) => {
-      const paradas = await buscarParadas(texto);
-
-      if (paradas.length === 0) {
-        return ok({
-          mensaje: `No se encontraron paradas que coincidan con "${texto}".`,
-          sugerencia:
-            "Prueba con un término más genérico como el barrio o la calle principal.",
-          resultados: [],
-        });
+    {
+      // Los avisos de vigilar_llegada llegan como notifications/message
+      capabilities: { logging: {} },
+    }
+  );
+
+  // Cada herramienta se registra con su definición de tools.js. Ninguna
+  // excepción se escapa de una herramienta: se devuelve con err()
+  const herramienta = (nombre, handler) => {
+    const { description, inputSchema, outputSchema } = definicionHerramienta(nombre);
+    server.registerTool(nombre, { description, inputSchema, outputSchema }, async (...args) => {
+      try {
+        return await handler(...args);
+      } catch (e) {
+        return errorHerramienta(nombre, e);
       }
+    });
+  };
+
+  // ─── Herramienta: listar_lineas ─────────────────────────────────────────────
+
+  herramienta("listar_lineas", async () => {
+    const lineas = await getLineas();
+    return ok({
+      total: lineas.length,
+      lineas: lineas.map((l) => ({
+        numero: l.numero,
+        nombre: l.nombre,
+        id: l.id,
+      })),
+    });
+  });
+
+  // ─── Herramienta: info_linea ────────────────────────────────────────────────
+
+  herramienta("info_linea", async ({ numero_linea, sentido, formato }) => {
+    const linea = await getLineaByNumero(numero_linea);
 
+    const sentidoNum =
+      sentido === "ida" ? 1 : sentido === "vuelta" ? 2 : null;
+    const secuencia = await getSecuenciaLinea(numero_linea, sentidoNum);
+
+    if (secuencia.length === 0) {
+      return err(
+        `No se encontró la línea "${numero_linea}". Usa listar_lineas para ver las líneas disponibles.`
+      );
+    }
+
+    if (formato === "geojson") {
+      return ok(await lineasAGeoJson(numero_linea, sentidoNum, { paradas: true }));
+    }
+
+    const { rutas, trazados } = secuenciaPorSentido(secuencia);
+
+    return ok({
+      linea: {
+        numero: linea?.numero ?? numero_linea,
+        nombre: linea?.nombre ?? "No disponible",
+        id: linea?.id,
+      },
+      rutas,
+      // Polilínea [lat, lon] por sentido, en el orden de paso
+      trazados,
+      totalParadas: secuencia.length,
+    });
+  });
+
+  // ─── Herramienta: buscar_paradas ────────────────────────────────────────────
+
+  herramienta("buscar_paradas", async ({ texto, formato }) => {
+    const paradas = await buscarParadas(texto);
+
+    if (formato === "geojson") return ok(await paradasAGeoJson(paradas));
+
+    if (paradas.length === 0) {
       return ok({
-        total: paradas.length,
-        resultados: paradas.map((p) => ({
-          numero: p.numero,
-          nombre: p.nombre,
-          direccion: p.direccion,
-          sentido: p.sentido,
-          lat: p.lat,
-          lon: p.lon,
-        })),
+        mensaje: `No se encontraron paradas que coincidan con "${texto}".`,
+        sugerencia:
+          "Prueba con un término más genérico como el barrio o la calle principal.",
+        resultados: [],
       });
     }
-  );
+
+    return ok({
+      total: paradas.length,
+      resultados: paradas.map((p) => ({
+        numero: p.numero,
+        nombre: p.nombre,
+        direccion: p.direccion,
+        sentido: p.sentido,
+        relevancia: p.relevancia,
+        lat: p.lat,
+        lon: p.lon,
+      })),
+    });
+  });
 
   // ─── Herramienta: info_parada ───────────────────────────────────────────────
 
-  server.tool(
-    "info_parada",
-    "Obtiene los detalles de una parada específica por su número: nombre, dirección, sentido y coordenadas GPS.",
-    {
-      numero_parada: z
-        .string()
-        .describe('Número identificador de la parada (ej: "539")'),
-    },
-    async ({ numero_parada }) => {
-      const parada = await getParadaByNumero(numero_parada);
+  herramienta("info_parada", async ({ numero_parada }) => {
+    const parada = await getParadaByNumero(numero_parada);
 
-      if (!parada) {
-        return err(
-          `No se encontró la parada número "${numero_parada}". Usa buscar_paradas para encontrarla por nombre.`
-        );
-      }
-
-      return ok(parada);
+    if (!parada) {
+      return err(
+        `No se encontró la parada número "${numero_parada}". Usa buscar_paradas para encontrarla por nombre.`
+      );
     }
-  );
+
+    return ok(parada);
+  });
 
   // ─── Herramienta: paradas_cercanas ──────────────────────────────────────────
 
-  server.tool(
-    "paradas_cercanas",
-    "Encuentra las paradas de autobús más cercanas a unas coordenadas GPS dadas.",
-    {
-      latitud: z
-        .number()
-        .describe("Latitud en grados decimales (ej: 43.4628)"),
-      longitud: z
-        .number()
-        .describe("Longitud en grados decimales (ej: -3.8044)"),
-      numero_resultados: z
-        .number()
-        .int()
-        .min(1)
-        .max(20)
-        .default(5)
-        .describe("Número de paradas cercanas a devolver (por defecto: 5)"),
-    },
-    async ({ latitud, longitud, numero_resultados }) => {
-      const paradas = await getParadasCercanas(latitud, longitud, numero_resultados);
+  herramienta("paradas_cercanas", async ({
+    latitud,
+    longitud,
+    numero_resultados,
+    radio_metros,
+    linea,
+    sentido,
+    formato,
+  }) => {
+    const paradas = await getParadasCercanas(latitud, longitud, numero_resultados, {
+      radioMetros: radio_metros,
+      linea,
+      sentido,
+    });
 
-      return ok({
-        coordenadasConsulta: { lat: latitud, lon: longitud },
-        total: paradas.length,
-        paradasCercanas: paradas.map((p) => ({
-          numero: p.numero,
-          nombre: p.nombre,
-          direccion: p.direccion,
-          sentido: p.sentido,
-          distanciaMetrosAprox: p.distanciaMetrosAprox,
-          lat: p.lat,
-          lon: p.lon,
-        })),
-      });
-    }
-  );
+    if (formato === "geojson") return ok(await paradasAGeoJson(paradas));
+
+    return ok({
+      coordenadasConsulta: { lat: latitud, lon: longitud },
+      total: paradas.length,
+      paradasCercanas: paradas.map((p) => ({
+        numero: p.numero,
+        nombre: p.nombre,
+        direccion: p.direccion,
+        sentido: p.sentido,
+        lineas: p.lineas,
+        distanciaMetros: p.distanciaMetros,
+        // Nombre anterior del campo, cuando era una aproximación
+        distanciaMetrosAprox: p.distanciaMetros,
+        lat: p.lat,
+        lon: p.lon,
+      })),
+    });
+  });
 
   // ─── Herramienta: estimaciones_parada ──────────────────────────────────────
 
-  server.tool(
-    "estimaciones_parada",
-    "Consulta en tiempo real las estimaciones de llegada de autobuses a una parada concreta.",
-    {
-      numero_parada: z
-        .string()
-        .describe('Número de la parada (ej: "539")'),
-    },
-    async ({ numero_parada }) => {
-      const parada = await getParadaByNumero(numero_parada);
-      const estimaciones = await getEstimacionesByParada(numero_parada);
-
-      if (estimaciones.length === 0) {
-        return ok({
-          parada: parada
-            ? { numero: parada.numero, nombre: parada.nombre }
-            : { numero: numero_parada },
-          mensaje:
-            "No hay estimaciones disponibles en este momento para esta parada. Puede que no haya autobuses en servicio actualmente o que la parada no tenga buses asignados.",
-          estimaciones: [],
-          consultadoEn: new Date().toISOString(),
-        });
-      }
+  herramienta("estimaciones_parada", async ({ numero_parada }) => {
+    const parada = await getParadaByNumero(numero_parada);
+    const estimaciones = await getEstimacionesByParada(numero_parada);
 
+    if (estimaciones.length === 0) {
       return ok({
         parada: parada
-          ? {
-              numero: parada.numero,
-              nombre: parada.nombre,
-              direccion: parada.direccion,
-              sentido: parada.sentido,
-            }
+          ? { numero: parada.numero, nombre: parada.nombre }
           : { numero: numero_parada },
-        totalLineas: estimaciones.length,
-        estimaciones: estimaciones.map((e) => ({
-          linea: e.linea,
+        mensaje:
+          "No hay estimaciones disponibles en este momento para esta parada. Puede que no haya autobuses en servicio actualmente o que la parada no tenga buses asignados.",
+        estimaciones: [],
+        ...frescuraDatos(estimaciones),
+        consultadoEn: new Date().toISOString(),
+      });
+    }
+
+    return ok({
+      parada: parada
+        ? {
+            numero: parada.numero,
+            nombre: parada.nombre,
+            direccion: parada.direccion,
+            sentido: parada.sentido,
+          }
+        : { numero: numero_parada },
+      totalLineas: estimaciones.length,
+      estimaciones: estimaciones.map(formatearEstimacion),
+      ...frescuraDatos(estimaciones),
+      consultadoEn: new Date().toISOString(),
+    });
+  });
+
+  // ─── Herramienta: estimaciones_linea ───────────────────────────────────────
+
+  herramienta("estimaciones_linea", async ({ numero_linea }) => {
+    const [linea, estimaciones] = await Promise.all([
+      getLineaByNumero(numero_linea),
+      getEstimacionesByLinea(numero_linea),
+    ]);
+
+    if (estimaciones.length === 0) {
+      return ok({
+        linea: linea
+          ? { numero: linea.numero, nombre: linea.nombre }
+          : { numero: numero_linea },
+        mensaje:
+          "No hay estimaciones disponibles en este momento para esta línea.",
+        estimaciones: [],
+        ...frescuraDatos(estimaciones),
+        consultadoEn: new Date().toISOString(),
+      });
+    }
+
+    const paradasMap = new Map();
+    try {
+      const paradas = await getParadas();
+      for (const p of paradas) {
+        paradasMap.set(p.numero?.toString(), p.nombre);
+      }
+    } catch (_) {
+      // Si falla, continuamos sin nombres
+    }
+
+    return ok({
+      linea: linea
+        ? { numero: linea.numero, nombre: linea.nombre }
+        : { numero: numero_linea },
+      totalParadasConBuses: estimaciones.length,
+      posicionesBuses: estimaciones
+        .filter((e) => e.proximoBus.tiempoSegundos >= 0)
+        .sort((a, b) => a.proximoBus.tiempoSegundos - b.proximoBus.tiempoSegundos)
+        .map((e) => ({
+          paradaId: e.paradaId,
+          nombreParada: paradasMap.get(e.paradaId?.toString()) ?? null,
           proximoBus: {
             tiempoMinutos: e.proximoBus.tiempoMinutos,
             llegadaEstimada: e.proximoBus.llegada,
             distanciaMetros: e.proximoBus.distanciaMetros,
             destino: e.destino1,
           },
-          segundoBus:
-            e.segundoBus.tiempoSegundos >= 0
-              ? {
-                  tiempoMinutos: e.segundoBus.tiempoMinutos,
-                  llegadaEstimada: e.segundoBus.llegada,
-                  distanciaMetros: e.segundoBus.distanciaMetros,
-                  destino: e.destino2,
-                }
-              : null,
         })),
+      ...frescuraDatos(estimaciones),
+      consultadoEn: new Date().toISOString(),
+    });
+  });
+
+  // ─── Herramienta: posiciones_buses ──────────────────────────────────────────
+
+  herramienta("posiciones_buses", async ({ numero_linea, formato }) => {
+    const linea = await getLineaByNumero(numero_linea);
+    if (!linea) {
+      return err(
+        `No se encontró la línea "${numero_linea}". Usa listar_lineas para ver las líneas disponibles.`
+      );
+    }
+
+    const resultado = await inferirPosicionesLinea(linea.numero);
+    if (formato === "geojson") return ok(posicionesAGeoJson(resultado));
+
+    const { vehiculos, estimaciones } = resultado;
+    return ok({
+      linea: { numero: linea.numero, nombre: linea.nombre },
+      totalVehiculos: vehiculos.length,
+      vehiculos,
+      ...(vehiculos.length === 0 && {
+        mensaje:
+          estimaciones.length === 0
+            ? "No hay estimaciones para esta línea en este momento: probablemente no está en servicio."
+            : "No se ha podido situar ningún autobús con las distancias que dan las estimaciones de esta línea.",
+      }),
+      ...frescuraDatos(estimaciones),
+      consultadoEn: new Date().toISOString(),
+    });
+  });
+
+  // ─── Herramienta: regularidad_linea ─────────────────────────────────────────
+
+  herramienta("regularidad_linea", async ({
+    numero_linea,
+    umbral_agrupamiento_min,
+    umbral_hueco_min,
+  }) => {
+    const linea = await getLineaByNumero(numero_linea);
+    if (!linea) {
+      return err(
+        `No se encontró la línea "${numero_linea}". Usa listar_lineas para ver las líneas disponibles.`
+      );
+    }
+
+    const { estimaciones, ...analisis } = await analizarRegularidadLinea(linea.numero, {
+      agrupamientoMinutos: umbral_agrupamiento_min,
+      huecoMinutos: umbral_hueco_min,
+    });
+    const datosLinea = { numero: linea.numero, nombre: linea.nombre };
+
+    if (estimaciones.length === 0) {
+      return ok({
+        linea: datosLinea,
+        mensaje:
+          "No hay estimaciones para esta línea en este momento: probablemente no está en servicio.",
+        ...frescuraDatos(estimaciones),
         consultadoEn: new Date().toISOString(),
       });
     }
+
+    const totalBuses = analisis.sentidos.reduce((n, s) => n + s.totalBuses, 0);
+    const contar = (estado) =>
+      analisis.sentidos.reduce((n, s) => n + s.buses.filter((b) => b.estado === estado).length, 0);
+    const agrupados = contar("agrupado");
+    const huecos = contar("hueco");
+    const paradasEnHueco = analisis.sentidos.reduce(
+      (n, s) => n + s.paradas.filter((p) => p.enHueco).length,
+      0
+    );
+    const porSentido = analisis.sentidos.map((s) => `${s.totalBuses} en ${s.sentido}`).join(", ");
+
+    return ok({
+      linea: datosLinea,
+      ...analisis,
+      resumen:
+        `Línea ${linea.numero}: ${totalBuses} bus(es) detectados (${porSentido}). ` +
+        (agrupados + huecos + paradasEnHueco === 0
+          ? "El servicio es regular."
+          : `${agrupados} agrupamiento(s), ${huecos} hueco(s) largo(s) entre buses y ${paradasEnHueco} parada(s) con esperas de ${umbral_hueco_min} min o más.`),
+      ...frescuraDatos(estimaciones),
+      consultadoEn: new Date().toISOString(),
+    });
+  });
+
+  // ─── Herramienta: vigilar_llegada ───────────────────────────────────────────
+
+  herramienta("vigilar_llegada", async ({
+    numero_parada,
+    numero_linea,
+    umbral_minutos,
+    duracion_minutos,
+  }, extra) => {
+    const [parada, linea] = await Promise.all([
+      getParadaByNumero(numero_parada),
+      getLineaByNumero(numero_linea),
+    ]);
+    if (!parada) {
+      return err(
+        `No se encontró la parada número "${numero_parada}". Usa buscar_paradas para encontrarla por nombre.`
+      );
+    }
+    if (!linea) {
+      return err(
+        `No se encontró la línea "${numero_linea}". Usa listar_lineas para ver las líneas disponibles.`
+      );
+    }
+
+    const actual = await consultarLlegada(parada.numero, linea.numero);
+    if (actual && actual.minutos <= umbral_minutos) {
+      return ok({
+        vigilando: false,
+        mensaje: `El próximo ${linea.numero} ya está a ${actual.minutos} min de "${parada.nombre}": no hace falta vigilarlo.`,
+        proximoBus: actual,
+      });
+    }
+
+    let vigilancia;
+    try {
+      vigilancia = crearVigilancia(
+        {
+          parada: parada.numero,
+          nombreParada: parada.nombre,
+          linea: linea.numero,
+          umbralMinutos: umbral_minutos,
+          duracionMinutos: duracion_minutos,
+        },
+        {
+          propietario: server,
+          notificar: (evento) =>
+            server.sendLoggingMessage(
+              {
+                level: evento.tipo === "llegada" ? "notice" : "info",
+                logger: "vigilar_llegada",
+                data: evento,
+              },
+              extra.sessionId
+            ),
+        }
+      );
+    } catch (e) {
+      return err(e.message);
+    }
+
+    return ok({
+      vigilando: true,
+      vigilancia,
+      estimacionActual: actual,
+      mensaje:
+        `Se avisará cuando el próximo ${linea.numero} esté a ${umbral_minutos} min o menos de "${parada.nombre}". ` +
+        `La vigilancia caduca a las ${horaMadrid(Date.parse(vigilancia.expiraEn))}.` +
+        (actual ? "" : " Ahora mismo no hay estimación para esta línea en la parada."),
+    });
+  });
+
+  // ─── Herramienta: listar_vigilancias ────────────────────────────────────────
+
+  herramienta("listar_vigilancias", async () => {
+    const vigilancias = listarVigilancias(server);
+    return ok({ total: vigilancias.length, vigilancias });
+  });
+
+  // ─── Herramienta: cancelar_vigilancia ───────────────────────────────────────
+
+  herramienta("cancelar_vigilancia", async ({ id }) => {
+    const vigilancia = cancelarVigilancia(id, server);
+    if (!vigilancia) {
+      return err(
+        `No hay ninguna vigilancia activa con id "${id}" en esta sesión. Usa listar_vigilancias para ver las activas.`
+      );
+    }
+    return ok({ cancelada: vigilancia });
+  });
+
+  // ─── Herramienta: planificar_ruta ───────────────────────────────────────────
+
+  herramienta("planificar_ruta", async ({
+    parada_origen,
+    parada_destino,
+    max_transbordos,
+    radio_transbordo_metros,
+    formato,
+  }) => {
+    if (parada_origen === parada_destino) {
+      return err("La parada de origen y destino son la misma.");
+    }
+
+    const resultado = await planificarRuta(parada_origen, parada_destino, {
+      maxTransbordos: max_transbordos,
+      radioTransbordoMetros: radio_transbordo_metros,
+    });
+
+    if (formato === "geojson") return ok(await itinerariosAGeoJson(resultado));
+
+    return ok({
+      ...resultado,
+      resumen: resumenItinerarios(resultado.itinerarios)
+        ?? "No se encontraron rutas entre estas paradas. Verifica los números de parada con buscar_paradas.",
+    });
+  });
+
+  // ─── Herramienta: ruta_desde_nombres ───────────────────────────────────────
+
+  herramienta("ruta_desde_nombres", async ({ origen, destino, max_candidatos, formato }) => {
+    const [resolucionOrigen, resolucionDestino] = await Promise.all([
+      resolverNombre(origen),
+      resolverNombre(destino),
+    ]);
+
+    if (resolucionOrigen.paradas.length === 0) {
+      return err(
+        `No se encontraron paradas cerca de "${origen}". Prueba con un nombre diferente.`
+      );
+    }
+    if (resolucionDestino.paradas.length === 0) {
+      return err(
+        `No se encontraron paradas cerca de "${destino}". Prueba con un nombre diferente.`
+      );
+    }
+
+    const { combinaciones, ...resultado } = await planificarRutaEntreCandidatas(
+      resolucionOrigen.paradas,
+      resolucionDestino.paradas,
+      {
+        candidatos: max_candidatos,
+        lugarOrigen: resolucionOrigen.lugar,
+        lugarDestino: resolucionDestino.lugar,
+      }
+    );
+
+    if (formato === "geojson") return ok(await itinerariosAGeoJson(resultado));
+
+    const resumen = resumenItinerarios(resultado.itinerarios);
+    const desde = etiquetaResolucion(resolucionOrigen, resultado.origen.numero);
+    const hasta = etiquetaResolucion(resolucionDestino, resultado.destino.numero);
+
+    return ok({
+      busqueda: {
+        origen: describirResolucion(origen, resolucionOrigen, resultado.origen.numero),
+        destino: describirResolucion(destino, resolucionDestino, resultado.destino.numero),
+      },
+      ruta: resultado,
+      combinacionesProbadas: combinaciones,
+      motivoEleccion: motivoEleccion(combinaciones),
+      resumen: resumen
+        ? `De ${desde} a ${hasta}: ${resumen}`
+        : combinaciones.length > 0
+          ? `No se encontraron rutas entre ${desde} y ${hasta} con ninguna de las ${combinaciones.length} combinaciones de paradas probadas. Prueba con otras paradas cercanas usando buscar_paradas.`
+          : `Las paradas encontradas para ${desde} o ${hasta} no tienen servicio. Prueba con otras paradas cercanas usando buscar_paradas.`,
+    });
+  });
+
+  // ─── Herramienta: ruta_desde_coordenadas ────────────────────────────────────
+
+  herramienta("ruta_desde_coordenadas", async ({
+    latitud_origen,
+    longitud_origen,
+    latitud_destino,
+    longitud_destino,
+    max_transbordos,
+    max_distancia_a_pie_metros,
+    formato,
+  }) => {
+    const resultado = await planificarRutaDesdeCoordenadas(
+      { lat: latitud_origen, lon: longitud_origen },
+      { lat: latitud_destino, lon: longitud_destino },
+      {
+        maxTransbordos: max_transbordos,
+        maxAPieMetros: max_distancia_a_pie_metros,
+      }
+    );
+
+    if (resultado.paradasCandidatas.origen.length === 0) {
+      return err(
+        `No hay paradas con servicio a menos de ${max_distancia_a_pie_metros} m del origen. Prueba a aumentar max_distancia_a_pie_metros.`
+      );
+    }
+    if (resultado.paradasCandidatas.destino.length === 0) {
+      return err(
+        `No hay paradas con servicio a menos de ${max_distancia_a_pie_metros} m del destino. Prueba a aumentar max_distancia_a_pie_metros.`
+      );
+    }
+
+    if (formato === "geojson") return ok(await itinerariosAGeoJson(resultado));
+
+    const resumen = resumenItinerarios(resultado.itinerarios);
+    const mejor = resultado.itinerarios[0];
+    const mejorAPie =
+      !mejor || resultado.soloAPie.minutos <= mejor.tiempoEstimadoMinutos
+        ? ` Caminando se tarda unos ${resultado.soloAPie.minutos} min (${resultado.soloAPie.distanciaMetros} m en línea recta), que es la mejor opción.`
+        : "";
+
+    return ok({
+      ...resultado,
+      resumen:
+        (resumen ?? "No se encontraron rutas en autobús entre las paradas cercanas.") + mejorAPie,
+    });
+  });
+
+  // ─── Herramienta: estadisticas_linea ────────────────────────────────────────
+
+  herramienta("estadisticas_linea", async ({ numero_linea, numero_parada, desde, hasta }) => {
+    if (!configHistorial().dir) {
+      return err(
+        "El histórico de estimaciones no está activado en este servidor. Configura TUS_HISTORIAL_DIR para empezar a grabarlo."
+      );
+    }
+
+    const inicio = desde ? instanteParametro(desde) : Date.now() - 7 * 86_400_000;
+    const fin = hasta ? instanteParametro(hasta, { finDeDia: true }) : Date.now();
+    if (inicio === null || fin === null) {
+      return err('Fecha no válida. Usa "AAAA-MM-DD" o una fecha y hora ISO (ej: "2024-05-01T08:00").');
+    }
+    if (inicio > fin) return err('La fecha "desde" es posterior a "hasta".');
+
+    const linea = await getLineaByNumero(numero_linea);
+    if (!linea) {
+      return err(
+        `No se encontró la línea "${numero_linea}". Usa listar_lineas para ver las líneas disponibles.`
+      );
+    }
+
+    const estadisticas = await calcularEstadisticasLinea(linea.numero, {
+      parada: numero_parada ?? null,
+      desde: inicio,
+      hasta: fin,
+    });
+
+    return ok({
+      ...estadisticas,
+      linea: { numero: linea.numero, nombre: linea.nombre },
+      ...(estadisticas.resumen.capturas === 0 && {
+        mensaje:
+          "No hay capturas en el histórico para ese periodo. Amplía las fechas o espera a que el grabador acumule datos.",
+      }),
+    });
+  });
+
+  // ─── Recurso: tus://lineas ──────────────────────────────────────────────────
+
+  server.resource(
+    "lineas",
+    "tus://lineas",
+    {
+      title: "Líneas TUS",
+      description: "Todas las líneas de autobús urbano TUS de Santander con su número y nombre.",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      const lineas = await getLineas();
+      return recursoJson(uri, {
+        total: lineas.length,
+        lineas: lineas.map((l) => ({
+          numero: l.numero,
+          nombre: l.nombre,
+          uri: `tus://linea/${encodeURIComponent(l.numero)}`,
+        })),
+      });
+    }
   );
 
-  // ─── Herramienta: estimaciones_linea ───────────────────────────────────────
+  // ─── Recurso: tus://linea/{numero} ──────────────────────────────────────────
+
+  const completarLinea = async (valor) => {
+    const prefijo = (valor ?? "").toUpperCase();
+    return (await getLineas())
+      .map((l) => l.numero?.toString())
+      .filter((n) => n && n.toUpperCase().startsWith(prefijo))
+      .slice(0, 100);
+  };
+
+  const completarParada = async (valor) =>
+    (await getParadas())
+      .map((p) => p.numero?.toString())
+      .filter((n) => n && n.startsWith(valor ?? ""))
+      .slice(0, 100);
 
-  server.tool(
-    "estimaciones_linea",
-    "Consulta en tiempo real las estimaciones de paso de todos los autobuses en circulación de una línea concreta.",
+  server.resource(
+    "linea",
+    new ResourceTemplate("tus://linea/{numero}", {
+      list: undefined,
+      complete: { numero: completarLinea },
+    }),
     {
-      numero_linea: z
-        .string()
-        .describe('Número o etiqueta de la línea (ej: "1", "15", "N3")'),
+      title: "Línea TUS",
+      description: "Una línea con la secuencia ordenada de paradas y el trazado de cada sentido.",
+      mimeType: "application/json",
     },
-    async ({ numero_linea }) => {
-      const [linea, estimaciones] = await Promise.all([
-        getLineaByNumero(numero_linea),
-        getEstimacionesByLinea(numero_linea),
+    async (uri, { numero }) => {
+      const numeroLinea = decodeURIComponent(numero.toString());
+      const [linea, secuencia] = await Promise.all([
+        getLineaByNumero(numeroLinea),
+        getSecuenciaLinea(numeroLinea),
       ]);
-
-      if (estimaciones.length === 0) {
-        return ok({
-          linea: linea
-            ? { numero: linea.numero, nombre: linea.nombre }
-            : { numero: numero_linea },
-          mensaje:
-            "No hay estimaciones disponibles en este momento para esta línea.",
-          estimaciones: [],
-          consultadoEn: new Date().toISOString(),
-        });
+      if (!linea && secuencia.length === 0) {
+        throw recursoNoEncontrado(uri, `No existe la línea "${numeroLinea}"`);
       }
 
-      const paradasMap = new Map();
-      try {
-        const paradas = await getParadas();
-        for (const p of paradas) {
-          paradasMap.set(p.numero?.toString(), p.nombre);
-        }
-      } catch (_) {
-        // Si falla, continuamos sin nombres
+      const { rutas, trazados } = secuenciaPorSentido(secuencia);
+      return recursoJson(uri, {
+        linea: {
+          numero: linea?.numero ?? numeroLinea,
+          nombre: linea?.nombre ?? "No disponible",
+          id: linea?.id,
+        },
+        rutas,
+        trazados,
+        totalParadas: secuencia.length,
+      });
+    }
+  );
+
+  // ─── Recurso: tus://parada/{numero}/estimaciones ────────────────────────────
+
+  server.resource(
+    "estimaciones_parada",
+    new ResourceTemplate("tus://parada/{numero}/estimaciones", {
+      list: undefined,
+      complete: { numero: completarParada },
+    }),
+    {
+      title: "Estimaciones de una parada",
+      description: "Próximos autobuses de cada línea en una parada, en tiempo real.",
+      mimeType: "application/json",
+    },
+    async (uri, { numero }) => {
+      const numeroParada = decodeURIComponent(numero.toString());
+      const [parada, estimaciones] = await Promise.all([
+        getParadaByNumero(numeroParada),
+        getEstimacionesByParada(numeroParada),
+      ]);
+      if (!parada && estimaciones.length === 0) {
+        throw recursoNoEncontrado(uri, `No existe la parada "${numeroParada}"`);
       }
 
-      return ok({
-        linea: linea
-          ? { numero: linea.numero, nombre: linea.nombre }
-          : { numero: numero_linea },
-        totalParadasConBuses: estimaciones.length,
-        posicionesBuses: estimaciones
-          .filter((e) => e.proximoBus.tiempoSegundos >= 0)
-          .sort((a, b) => a.proximoBus.tiempoSegundos - b.proximoBus.tiempoSegundos)
-          .map((e) => ({
-            paradaId: e.paradaId,
-            nombreParada: paradasMap.get(e.paradaId?.toString()) ?? null,
-            proximoBus: {
-              tiempoMinutos: e.proximoBus.tiempoMinutos,
-              llegadaEstimada: e.proximoBus.llegada,
-              distanciaMetros: e.proximoBus.distanciaMetros,
-              destino: e.destino1,
-            },
-          })),
+      return recursoJson(uri, {
+        parada: parada
+          ? { numero: parada.numero, nombre: parada.nombre }
+          : { numero: numeroParada },
+        totalLineas: estimaciones.length,
+        estimaciones: estimaciones.map(formatearEstimacion),
+        ...frescuraDatos(estimaciones),
         consultadoEn: new Date().toISOString(),
       });
     }
   );
 
-  // ─── Herramienta: planificar_ruta ───────────────────────────────────────────
+  // ─── Recurso: tus://parada/{numero} ─────────────────────────────────────────
 
-  server.tool(
-    "planificar_ruta",
-    "Planifica cómo ir desde una parada de origen a una parada de destino usando el autobús TUS de Santander.",
+  server.resource(
+    "parada",
+    new ResourceTemplate("tus://parada/{numero}", {
+      list: undefined,
+      complete: { numero: completarParada },
+    }),
     {
-      parada_origen: z
-        .string()
-        .describe('Número de la parada de origen (ej: "539")'),
-      parada_destino: z
-        .string()
-        .describe('Número de la parada de destino (ej: "1234")'),
+      title: "Parada TUS",
+      description: "Una parada con su nombre, dirección, sentido y coordenadas GPS.",
+      mimeType: "application/json",
     },
-    async ({ parada_origen, parada_destino }) => {
-      if (parada_origen === parada_destino) {
-        return err("La parada de origen y destino son la misma.");
+    async (uri, { numero }) => {
+      const numeroParada = decodeURIComponent(numero.toString());
+      const parada = await getParadaByNumero(numeroParada);
+      if (!parada) {
+        throw recursoNoEncontrado(uri, `No existe la parada "${numeroParada}"`);
       }
 
-      const resultado = await planificarRuta(parada_origen, parada_destino);
-
-      const hayRutas =
-        resultado.rutasDirectas.length > 0 ||
-        resultado.rutasConTransbordo.length > 0;
-
-      return ok({
-        ...resultado,
-        resumen: hayRutas
-          ? `Se encontraron ${resultado.rutasDirectas.length} ruta(s) directa(s) y ${resultado.rutasConTransbordo.length} ruta(s) con transbordo.`
-          : "No se encontraron rutas entre estas paradas. Verifica los números de parada con buscar_paradas.",
+      return recursoJson(uri, {
+        ...parada,
+        estimaciones: `tus://parada/${encodeURIComponent(parada.numero)}/estimaciones`,
       });
     }
   );
 
-  // ─── Herramienta: ruta_desde_nombres ───────────────────────────────────────
+  // ─── resources/list paginado ────────────────────────────────────────────────
+  // El listado por defecto del SDK no pagina; con cientos de paradas se
+  // sustituye por uno que devuelve páginas de TAM_PAGINA_RECURSOS.
+
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    const [lineas, paradas] = await Promise.all([getLineas(), getParadas()]);
+    const recursos = [
+      {
+        uri: "tus://lineas",
+        name: "lineas",
+        title: "Líneas TUS",
+        mimeType: "application/json",
+      },
+      ...lineas.map((l) => ({
+        uri: `tus://linea/${encodeURIComponent(l.numero)}`,
+        name: `linea-${l.numero}`,
+        title: `Línea ${l.numero}${l.nombre ? ` · ${l.nombre}` : ""}`,
+        mimeType: "application/json",
+      })),
+      ...paradas
+        .filter((p) => p.numero)
+        .map((p) => ({
+          uri: `tus://parada/${encodeURIComponent(p.numero)}`,
+          name: `parada-${p.numero}`,
+          title: `Parada ${p.numero}${p.nombre ? ` · ${p.nombre}` : ""}`,
+          mimeType: "application/json",
+        })),
+    ];
+
+    const { items, nextCursor } = paginar(recursos, request.params?.cursor);
+    return { resources: items, ...(nextCursor && { nextCursor }) };
+  });
+
+  // ─── Prompt: proximo_bus ────────────────────────────────────────────────────
 
-  server.tool(
-    "ruta_desde_nombres",
-    "Planifica una ruta entre dos puntos buscándolos por nombre o dirección, sin necesidad de saber el número de parada.",
+  server.prompt(
+    "proximo_bus",
+    "Cuándo pasa el próximo autobús por una parada, dada por número o por nombre.",
     {
-      origen: z
-        .string()
-        .describe(
-          'Nombre del lugar o dirección de origen (ej: "Hospital Valdecilla", "Sardinero")'
-        ),
-      destino: z
+      parada: z
         .string()
-        .describe(
-          'Nombre del lugar o dirección de destino (ej: "Cuatro Caminos", "Plaza del Ayuntamiento")'
-        ),
+        .describe('Número de parada (ej: "539") o nombre/dirección (ej: "Valdecilla")'),
+      idioma: IDIOMA,
     },
-    async ({ origen, destino }) => {
-      const [paradasOrigen, paradasDestino] = await Promise.all([
-        buscarParadas(origen),
-        buscarParadas(destino),
-      ]);
+    ({ parada, idioma }) =>
+      promptUsuario(
+        [
+          `Quiero saber cuándo pasa el próximo autobús por la parada "${parada}".`,
+          "",
+          "Pasos:",
+          "1. Si es un número, úsalo directamente. Si es un nombre o una dirección, llama a buscar_paradas y elige la parada que mejor coincida; si hay varias razonables (por ejemplo, una en cada sentido), consulta todas.",
+          "2. Llama a estimaciones_parada con el número de parada.",
+          "3. Indica para cada línea los minutos hasta el próximo bus y el siguiente, y su destino. Si no hay estimaciones, dilo y sugiere que puede no haber servicio ahora.",
+          "4. Mira estadoDatos: si es \"retrasado\", avisa de que los tiempos pueden haberse adelantado; si es \"caducado\", no des los minutos como actuales y di cuántos minutos de antigüedad tienen los datos.",
+          "",
+          instruccionIdioma(idioma),
+        ].join("\n")
+      )
+  );
 
-      if (paradasOrigen.length === 0) {
-        return err(
-          `No se encontraron paradas cerca de "${origen}". Prueba con un nombre diferente.`
-        );
-      }
-      if (paradasDestino.length === 0) {
-        return err(
-          `No se encontraron paradas cerca de "${destino}". Prueba con un nombre diferente.`
-        );
-      }
+  // ─── Prompt: como_llegar ────────────────────────────────────────────────────
 
-      const paradaOrigen = paradasOrigen[0];
-      const paradaDestino = paradasDestino[0];
+  server.prompt(
+    "como_llegar",
+    "Cómo ir en autobús TUS de un lugar a otro de Santander, dados por nombre o dirección.",
+    {
+      origen: z.string().describe('Lugar de origen (ej: "Hospital Valdecilla")'),
+      destino: z.string().describe('Lugar de destino (ej: "Sardinero")'),
+      idioma: IDIOMA,
+    },
+    ({ origen, destino, idioma }) =>
+      promptUsuario(
+        [
+          `¿Cómo llego en autobús desde "${origen}" hasta "${destino}"?`,
+          "",
+          "Pasos:",
+          "1. Llama a ruta_desde_nombres con el origen y el destino tal cual. No uses planificar_ruta con nombres: sólo acepta números de parada.",
+          "2. Si no encuentra paradas o rutas, busca alternativas con buscar_paradas y usa planificar_ruta con los números de parada; si conoces las coordenadas, usa ruta_desde_coordenadas.",
+          "3. Resume el mejor itinerario: líneas, paradas de subida, bajada y transbordo, tramos a pie y tiempo estimado. Menciona brevemente otra opción si es casi igual de buena.",
+          "",
+          instruccionIdioma(idioma),
+        ].join("\n")
+      )
+  );
 
-      const resultado = await planificarRuta(
-        paradaOrigen.numero,
-        paradaDestino.numero
-      );
+  // ─── Prompt: buses_cerca ────────────────────────────────────────────────────
 
-      const hayRutas =
-        resultado.rutasDirectas.length > 0 ||
-        resultado.rutasConTransbordo.length > 0;
+  server.prompt(
+    "buses_cerca",
+    "Qué autobuses se pueden coger cerca de una ubicación GPS.",
+    {
+      latitud: z.string().describe("Latitud en grados decimales (ej: 43.4628)"),
+      longitud: z.string().describe("Longitud en grados decimales (ej: -3.8044)"),
+      idioma: IDIOMA,
+    },
+    ({ latitud, longitud, idioma }) =>
+      promptUsuario(
+        [
+          `Estoy en las coordenadas ${latitud}, ${longitud}. ¿Qué autobuses puedo coger cerca?`,
+          "",
+          "Pasos:",
+          "1. Llama a paradas_cercanas con esas coordenadas (radio_metros: 500).",
+          "2. Para las dos o tres paradas más cercanas, llama a estimaciones_parada.",
+          "3. Indica cada parada con su distancia a pie y las líneas que pasan, con los minutos hasta el próximo bus y su destino. Si estadoDatos es \"caducado\", advierte de que esos tiempos no son fiables.",
+          "",
+          instruccionIdioma(idioma),
+        ].join("\n")
+      )
+  );
 
-      return ok({
-        busqueda: {
-          origen: {
-            terminoBuscado: origen,
-            paradaSeleccionada: {
-              numero: paradaOrigen.numero,
-              nombre: paradaOrigen.nombre,
-              direccion: paradaOrigen.direccion,
-            },
-            otrasParadasEncontradas: paradasOrigen.slice(1, 4).map((p) => ({
-              numero: p.numero,
-              nombre: p.nombre,
-            })),
-          },
-          destino: {
-            terminoBuscado: destino,
-            paradaSeleccionada: {
-              numero: paradaDestino.numero,
-              nombre: paradaDestino.nombre,
-              direccion: paradaDestino.direccion,
-            },
-            otrasParadasEncontradas: paradasDestino.slice(1, 4).map((p) => ({
-              numero: p.numero,
-              nombre: p.nombre,
-            })),
-          },
-        },
-        ruta: resultado,
-        resumen: hayRutas
-          ? `Se encontraron ${resultado.rutasDirectas.length} ruta(s) directa(s) y ${resultado.rutasConTransbordo.length} ruta(s) con transbordo entre "${paradaOrigen.nombre}" y "${paradaDestino.nombre}".`
-          : `No se encontraron rutas directas entre "${paradaOrigen.nombre}" y "${paradaDestino.nombre}". Prueba con otras paradas cercanas usando buscar_paradas.`,
-      });
-    }
+  // ─── Prompt: estado_linea ───────────────────────────────────────────────────
+
+  server.prompt(
+    "estado_linea",
+    "Si una línea está funcionando con normalidad ahora mismo.",
+    {
+      linea: completable(
+        z.string().describe('Número o etiqueta de la línea (ej: "1", "N3")'),
+        completarLinea
+      ),
+      idioma: IDIOMA,
+    },
+    ({ linea, idioma }) =>
+      promptUsuario(
+        [
+          `¿Está funcionando con normalidad la línea ${linea}?`,
+          "",
+          "Pasos:",
+          "1. Llama a estimaciones_linea para ver los buses en circulación y a info_linea para conocer su recorrido.",
+          "2. Si no hay estimaciones, la línea probablemente no está en servicio en este momento (horario nocturno o festivo); dilo así.",
+          "3. Si las hay, valora si el servicio es regular: cuántas paradas tienen bus próximo y si hay tramos largos del recorrido sin ningún bus cerca.",
+          "4. Contesta primero sí o no y después da el detalle en una o dos frases.",
+          "",
+          instruccionIdioma(idioma),
+        ].join("\n")
+      )
   );
 
+  // Las vigilancias no sobreviven a la sesión que las creó
+  server.server.onclose = () => cancelarVigilanciasDe(server);
+
   return server;
 }
 
 // ─── Arranque ─────────────────────────────────────────────────────────────────
 
+// Histórico de estimaciones, sólo si se ha configurado TUS_HISTORIAL_DIR
+iniciarGrabadorHistorial();
+
 if (process.env.MCP_TRANSPORT === "stdio") {
   const server = createServer();
   const transport = new StdioServerTransport();
@@ -466,21 +1204,145 @@ if (process.env.MCP_TRANSPORT === "stdio") {
   const app = express();
   app.use(express.json());
 
-  app.get("/health", (_req, res) => {
-    res.json({ status: "ok" });
-  });
+  // /mcp (Streamable HTTP) y /sse + /messages (HTTP+SSE antiguo)
+  const transporteMcp = montarTransporteMcp(app, createServer);
 
-  app.post("/mcp", async (req, res) => {
-    const server = createServer();
-    const transport = new StreamableHTTPServerTransport({
-      sessionIdGenerator: undefined,
+  app.get("/health", async (_req, res) => {
+    // Un fallo al listar el histórico no debe tumbar la comprobación de salud
+    const { dias } = await resumenHistorial().catch(() => ({ dias: null }));
+    res.json({
+      status: "ok",
+      cache: getEstadoCache(),
+      portal: getEstadoPortal(),
+      historial: { ...getEstadoHistorial(), dias },
+      mcp: transporteMcp.estado(),
     });
-    await server.connect(transport);
-    await transport.handleRequest(req, res, req.body);
+  });
+
+  app.get("/gtfs.zip", async (_req, res) => {
+    try {
+      const zip = await generarGtfsZip();
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": 'attachment; filename="tus-santander-gtfs.zip"',
+      });
+      res.send(zip);
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el GTFS: ${e.message}` });
+    }
+  });
+
+  // ─── GeoJSON ──
+
+  const enviarGeoJson = (res, geojson) => {
+    res.type("application/geo+json").send(JSON.stringify(geojson));
+  };
+
+  app.get("/geojson/paradas", async (req, res) => {
+    try {
+      enviarGeoJson(res, await paradasAGeoJson(null, { linea: req.query.linea }));
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el GeoJSON: ${e.message}` });
+    }
+  });
+
+  app.get("/geojson/lineas", async (req, res) => {
+    try {
+      const { linea, sentido } = req.query;
+      const sentidoNum = sentido === "ida" ? 1 : sentido === "vuelta" ? 2 : null;
+      enviarGeoJson(res, await lineasAGeoJson(linea || null, sentidoNum, { paradas: Boolean(linea) }));
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el GeoJSON: ${e.message}` });
+    }
+  });
+
+  // origen y destino: dos números de parada o dos coordenadas "lat,lon"
+  app.get("/geojson/ruta", async (req, res) => {
+    const { origen, destino } = req.query;
+    const coordenadas = (valor) => {
+      const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(valor ?? "");
+      return m ? { lat: parseFloat(m[1]), lon: parseFloat(m[2]) } : null;
+    };
+    const [o, d] = [coordenadas(origen), coordenadas(destino)];
+    if (!origen || !destino || Boolean(o) !== Boolean(d)) {
+      return res.status(400).json({
+        error: 'Indica "origen" y "destino" como números de parada o ambos como coordenadas "lat,lon"',
+      });
+    }
+
+    const mismoPunto = o ? o.lat === d.lat && o.lon === d.lon : String(origen).trim() === String(destino).trim();
+    if (mismoPunto) {
+      return res.status(400).json({ error: "El origen y el destino son el mismo" });
+    }
+    if ([o, d].some((c) => c && (Math.abs(c.lat) > 90 || Math.abs(c.lon) > 180))) {
+      return res.status(400).json({
+        error: "Las coordenadas deben tener la latitud entre -90 y 90 y la longitud entre -180 y 180",
+      });
+    }
+
+    const opciones = {};
+    if (req.query.max_transbordos !== undefined) {
+      if (!/^[0-3]$/.test(req.query.max_transbordos)) {
+        return res.status(400).json({ error: '"max_transbordos" debe ser un entero entre 0 y 3' });
+      }
+      opciones.maxTransbordos = parseInt(req.query.max_transbordos);
+    }
+
+    try {
+      const resultado = o
+        ? await planificarRutaDesdeCoordenadas(o, d, opciones)
+        : await planificarRuta(origen, destino, opciones);
+      enviarGeoJson(res, await itinerariosAGeoJson(resultado));
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el GeoJSON: ${e.message}` });
+    }
+  });
+
+  app.get("/geojson/buses", async (req, res) => {
+    if (!req.query.linea) {
+      return res.status(400).json({ error: 'Indica la línea con "?linea=1"' });
+    }
+    try {
+      const linea = await getLineaByNumero(req.query.linea);
+      if (!linea) {
+        return res.status(404).json({ error: `No se encontró la línea "${req.query.linea}"` });
+      }
+      enviarGeoJson(res, posicionesAGeoJson(await inferirPosicionesLinea(linea.numero)));
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el GeoJSON: ${e.message}` });
+    }
+  });
+
+  app.get("/gtfs-rt/trip-updates", async (_req, res) => {
+    try {
+      const feed = await generarTripUpdatesProtobuf();
+      res.set({
+        "Content-Type": "application/x-protobuf",
+        "Cache-Control": "public, max-age=15",
+      });
+      res.send(feed);
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el feed GTFS-RT: ${e.message}` });
+    }
+  });
+
+  // Vista JSON del mismo feed, para depuración
+  app.get("/gtfs-rt/trip-updates.json", async (_req, res) => {
+    try {
+      res.set("Cache-Control", "public, max-age=15");
+      res.json(await generarTripUpdates());
+    } catch (e) {
+      res.status(502).json({ error: `No se pudo generar el feed GTFS-RT: ${e.message}` });
+    }
   });
 
   const port = process.env.PORT || 3000;
   app.listen(port, () => {
     console.error(`TUS Santander MCP server listening on port ${port}`);
   });
+
+  // Calentar la cache sin bloquear el arranque
+  precargarCache().catch((e) =>
+    console.error(`No se pudo precargar la cache: ${e.message}`)
+  );
 }
@@ -0,0 +1,90 @@
+/**
+ * Nomenclátor de lugares de interés de Santander (hospitales, estaciones,
+ * playas, museos...) para resolver nombres que no son de ninguna parada.
+ *
+ * Se carga de data/lugares.json, o del fichero indicado en
+ * TUS_LUGARES_FILE: una lista de { nombre, alias, categoria, lat, lon }.
+ * Las coordenadas son aproximadas (la entrada principal del lugar); basta
+ * con que caigan cerca de las paradas que lo sirven.
+ */
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { crearIndiceBusqueda } from "./busqueda.js";
+import { tieneCoordenadas } from "./geo.js";
+
+const DEFAULT_FICHERO_LUGARES = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "data",
+  "lugares.json"
+);
+
+// Relevancia mínima para dar un lugar por encontrado: más estricta que la de
+// paradas, porque un lugar elegido por error lleva a otra zona de la ciudad
+const MIN_RELEVANCIA_LUGAR = 0.8;
+
+let _lugares = null; // { fichero, promesa }
+
+async function cargarLugares(fichero) {
+  const lista = JSON.parse(await readFile(fichero, "utf8"));
+  if (!Array.isArray(lista)) {
+    throw new Error(`${fichero} debe contener una lista de lugares`);
+  }
+
+  const lugares = lista
+    .filter((l) => l?.nombre && tieneCoordenadas(l))
+    .map((l) => ({
+      nombre: l.nombre,
+      alias: Array.isArray(l.alias) ? l.alias : [],
+      categoria: l.categoria ?? null,
+      lat: l.lat,
+      lon: l.lon,
+    }));
+
+  // Se indexa cada nombre y alias por separado y luego se agrupa por lugar
+  const variantes = lugares.flatMap((lugar) =>
+    [lugar.nombre, ...lugar.alias].map((nombre) => ({ nombre, lugar }))
+  );
+  return { lugares, indice: crearIndiceBusqueda(variantes, { pesos: { nombre: 1 } }) };
+}
+
+function getDatosLugares() {
+  const fichero = process.env.TUS_LUGARES_FILE || DEFAULT_FICHERO_LUGARES;
+  if (!_lugares || _lugares.fichero !== fichero) {
+    const promesa = cargarLugares(fichero);
+    // Si falla la carga se reintenta en la siguiente llamada
+    promesa.catch(() => {
+      if (_lugares?.promesa === promesa) _lugares = null;
+    });
+    _lugares = { fichero, promesa };
+  }
+  return _lugares.promesa;
+}
+
+/** Todos los lugares del nomenclátor */
+export async function getLugares() {
+  const { lugares } = await getDatosLugares();
+  return lugares;
+}
+
+/**
+ * Busca lugares por nombre o alias con la misma tolerancia que la búsqueda
+ * de paradas. Cada resultado lleva su relevancia y el nombre o alias con el
+ * que ha coincidido.
+ */
+export async function buscarLugares(texto, { n = 5, minRelevancia = MIN_RELEVANCIA_LUGAR } = {}) {
+  const { indice } = await getDatosLugares();
+  const vistos = new Set();
+  const resultados = [];
+
+  for (const { elemento, relevancia } of indice.buscar(texto, { n: Infinity, minRelevancia })) {
+    if (vistos.has(elemento.lugar)) continue;
+    vistos.add(elemento.lugar);
+    resultados.push({ ...elemento.lugar, coincidencia: elemento.nombre, relevancia });
+    if (resultados.length >= n) break;
+  }
+  return resultados;
+}
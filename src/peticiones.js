@@ -0,0 +1,300 @@
+/**
+ * Peticiones HTTP al portal de datos abiertos con tiempo límite, reintentos
+ * y cortocircuito.
+ *
+ * - Cada petición se aborta si no ha terminado (cuerpo incluido) en
+ *   TUS_HTTP_TIMEOUT_MS.
+ * - Los fallos de red, los tiempos agotados, las respuestas 5xx y 429 y las
+ *   respuestas que no son JSON (el portal devuelve páginas HTML de error) se
+ *   reintentan hasta TUS_HTTP_REINTENTOS veces, con espera exponencial y
+ *   aleatoria para no reintentar todos a la vez. Lo mismo las que no
+ *   tienen la forma que espera quien las pide.
+ * - Tras TUS_CIRCUITO_FALLOS peticiones fallidas seguidas el circuito se
+ *   abre: durante TUS_CIRCUITO_PAUSA_S no se consulta el portal y se falla
+ *   al momento. Pasada la pausa se deja pasar una petición de prueba; si va
+ *   bien se cierra el circuito y, si no, vuelve a abrirse.
+ *
+ * - Las peticiones idénticas (misma URL con la misma query) que coinciden
+ *   en el tiempo se hacen una sola vez y comparten la respuesta, que por
+ *   eso no se debe modificar.
+ * - Como mucho TUS_HTTP_CONCURRENCIA peticiones van a la vez al portal, sea
+ *   cual sea la sesión o herramienta que las pide; el resto espera turno.
+ *
+ * Los fallos se lanzan como subclases de ErrorPortal, con un mensaje que se
+ * puede enseñar al usuario.
+ */
+
+function enteroEnv(nombre, defecto) {
+  const valor = parseInt(process.env[nombre]);
+  return Number.isFinite(valor) && valor >= 0 ? valor : defecto;
+}
+
+/** Configuración de las peticiones a partir del entorno */
+export function configPeticiones() {
+  return {
+    timeoutMs: enteroEnv("TUS_HTTP_TIMEOUT_MS", 10_000),
+    reintentos: enteroEnv("TUS_HTTP_REINTENTOS", 2),
+    esperaBaseMs: 500,
+    esperaMaximaMs: 5_000,
+    paginasConcurrentes: Math.max(1, enteroEnv("TUS_HTTP_PAGINAS_CONCURRENTES", 4)),
+    concurrencia: Math.max(1, enteroEnv("TUS_HTTP_CONCURRENCIA", 6)),
+    fallosParaAbrir: Math.max(1, enteroEnv("TUS_CIRCUITO_FALLOS", 5)),
+    pausaCircuitoMs: enteroEnv("TUS_CIRCUITO_PAUSA_S", 30) * 1000,
+  };
+}
+
+// ─── Errores ──────────────────────────────────────────────────────────────────
+
+/** Fallo al consultar el portal; reintentable indica si merece repetirse */
+export class ErrorPortal extends Error {
+  constructor(mensaje, { url = null, reintentable = false, cause } = {}) {
+    super(mensaje, { cause });
+    this.name = this.constructor.name;
+    this.url = url;
+    this.reintentable = reintentable;
+  }
+}
+
+/** El portal no ha respondido a tiempo */
+export class ErrorTiempoAgotado extends ErrorPortal {
+  constructor(url, timeoutMs) {
+    super(`El portal de datos abiertos de Santander no ha respondido en ${timeoutMs / 1000} s.`, {
+      url,
+      reintentable: true,
+    });
+  }
+}
+
+/** No se ha podido conectar (DNS, conexión rechazada o cortada...) */
+export class ErrorRedPortal extends ErrorPortal {
+  constructor(url, cause) {
+    // fetch envuelve el error de red; con varias direcciones es un AggregateError
+    const motivo =
+      cause?.cause?.code ?? cause?.cause?.errors?.[0]?.code ?? cause?.cause?.message ?? cause?.message;
+    super(`No se pudo conectar con el portal de datos abiertos de Santander: ${motivo}.`, {
+      url,
+      reintentable: true,
+      cause,
+    });
+  }
+}
+
+/** El portal ha respondido con un código HTTP de error */
+export class ErrorHttpPortal extends ErrorPortal {
+  constructor(url, status) {
+    super(`El portal de datos abiertos de Santander ha respondido con un error HTTP ${status}.`, {
+      url,
+      reintentable: status >= 500 || status === 429,
+    });
+    this.status = status;
+  }
+}
+
+/** La respuesta no es el JSON esperado */
+export class ErrorRespuestaPortal extends ErrorPortal {
+  constructor(url, detalle) {
+    super(`El portal de datos abiertos de Santander ha devuelto una respuesta no válida (${detalle}).`, {
+      url,
+      reintentable: true,
+    });
+  }
+}
+
+/** El circuito está abierto: el portal ha fallado seguido y no se consulta */
+export class ErrorPortalNoDisponible extends ErrorPortal {
+  constructor(reintentarEnMs) {
+    const segundos = Math.ceil(reintentarEnMs / 1000);
+    super(`El portal de datos abiertos de Santander está fallando y no se consultará durante ${segundos} s.`);
+    this.reintentarEnMs = reintentarEnMs;
+  }
+}
+
+// ─── Límite de concurrencia ───────────────────────────────────────────────────
+
+/**
+ * Limita cuántas tareas se ejecutan a la vez; las demás esperan su turno en
+ * orden de llegada. Devuelve { ejecutar(tarea), estado() }.
+ */
+export function crearLimitador(maximo) {
+  let activas = 0;
+  const cola = [];
+
+  return {
+    async ejecutar(tarea) {
+      if (activas < maximo) activas++;
+      else await new Promise((resolve) => cola.push(resolve)); // hereda el hueco de quien termina
+      try {
+        return await tarea();
+      } finally {
+        const siguiente = cola.shift();
+        if (siguiente) siguiente();
+        else activas--;
+      }
+    },
+
+    estado() {
+      return { activas, enCola: cola.length, maximo };
+    },
+  };
+}
+
+// Compartido por todos los clientes: es el tráfico total hacia el portal
+const _limitador = crearLimitador(configPeticiones().concurrencia);
+
+// ─── Cliente ──────────────────────────────────────────────────────────────────
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Un intento: GET con tiempo límite y el cuerpo interpretado como JSON.
+ * validar(datos), si se indica, devuelve qué falla en la respuesta o null.
+ */
+async function intentar(url, timeoutMs, validar) {
+  const controlador = new AbortController();
+  const temporizador = setTimeout(() => controlador.abort(), timeoutMs);
+  try {
+    let res;
+    let texto;
+    try {
+      res = await fetch(url, { signal: controlador.signal, headers: { accept: "application/json" } });
+      texto = await res.text();
+    } catch (e) {
+      if (controlador.signal.aborted) throw new ErrorTiempoAgotado(url, timeoutMs);
+      throw new ErrorRedPortal(url, e);
+    }
+
+    if (!res.ok) throw new ErrorHttpPortal(url, res.status);
+    let datos;
+    try {
+      datos = JSON.parse(texto);
+    } catch {
+      const tipo = res.headers.get("content-type")?.split(";")[0] ?? "sin tipo";
+      throw new ErrorRespuestaPortal(url, `se esperaba JSON y llegó ${tipo}`);
+    }
+    const problema = validar?.(datos);
+    if (problema) throw new ErrorRespuestaPortal(url, problema);
+    return datos;
+  } finally {
+    clearTimeout(temporizador);
+  }
+}
+
+/**
+ * Crea un cliente para el portal. opciones sobrescribe configPeticiones().
+ * Devuelve { obtenerJson(url, { validar }), estado() }.
+ */
+export function crearClientePortal(opciones = {}) {
+  const config = { ...configPeticiones(), ...opciones };
+  const circuito = { fallosSeguidos: 0, abiertoHasta: 0, pruebaEnCurso: false };
+  const enCurso = new Map(); // url → promesa de la petición
+  let compartidas = 0;
+
+  function comprobarCircuito() {
+    if (circuito.fallosSeguidos < config.fallosParaAbrir) return false;
+    const resta = circuito.abiertoHasta - Date.now();
+    if (resta > 0 || circuito.pruebaEnCurso) {
+      throw new ErrorPortalNoDisponible(Math.max(resta, 1000));
+    }
+    // Pausa cumplida: esta petición es la de prueba
+    circuito.pruebaEnCurso = true;
+    return true;
+  }
+
+  // Sólo cuentan los fallos del portal; un 4xx es una respuesta válida
+  function anotarResultado(e) {
+    if (!e?.reintentable) {
+      if (circuito.fallosSeguidos >= config.fallosParaAbrir) {
+        console.error("Portal: vuelve a responder, se reanudan las consultas");
+      }
+      circuito.fallosSeguidos = 0;
+      return;
+    }
+    circuito.fallosSeguidos++;
+    if (circuito.fallosSeguidos === config.fallosParaAbrir) {
+      console.error(
+        `Portal: ${circuito.fallosSeguidos} fallos seguidos, se deja de consultar durante ${config.pausaCircuitoMs / 1000} s`
+      );
+    }
+    if (circuito.fallosSeguidos >= config.fallosParaAbrir) {
+      circuito.abiertoHasta = Date.now() + config.pausaCircuitoMs;
+    }
+  }
+
+  async function pedir(url, validar) {
+    const esPrueba = comprobarCircuito();
+    try {
+      for (let intento = 0; ; intento++) {
+        try {
+          const datos = await _limitador.ejecutar(() => intentar(url, config.timeoutMs, validar));
+          anotarResultado(null);
+          return datos;
+        } catch (e) {
+          // La petición de prueba no se reintenta: el circuito vuelve a abrirse
+          if (!e.reintentable || intento >= config.reintentos || esPrueba) {
+            anotarResultado(e);
+            throw e;
+          }
+          const tope = Math.min(config.esperaMaximaMs, config.esperaBaseMs * 2 ** intento);
+          await esperar(tope / 2 + Math.random() * (tope / 2));
+        }
+      }
+    } finally {
+      if (esPrueba) circuito.pruebaEnCurso = false;
+    }
+  }
+
+  return {
+    /**
+     * GET de una URL del portal interpretada como JSON. Si ya hay una
+     * petición en curso a la misma URL se espera a ésa. validar(datos)
+     * devuelve qué falla en la respuesta o null; una respuesta que no pasa
+     * la validación cuenta como fallo del portal y se reintenta.
+     */
+    obtenerJson(url, { validar } = {}) {
+      if (enCurso.has(url)) {
+        compartidas++;
+        return enCurso.get(url);
+      }
+      const peticion = pedir(url, validar).finally(() => enCurso.delete(url));
+      enCurso.set(url, peticion);
+      return peticion;
+    },
+
+    /** Estado del circuito y de las peticiones, para /health */
+    estado() {
+      const abierto = circuito.fallosSeguidos >= config.fallosParaAbrir;
+      return {
+        circuito: abierto ? (circuito.abiertoHasta > Date.now() ? "abierto" : "semiabierto") : "cerrado",
+        fallosSeguidos: circuito.fallosSeguidos,
+        ...(abierto && { reintentoDesde: new Date(circuito.abiertoHasta).toISOString() }),
+        peticiones: { ..._limitador.estado(), enCurso: enCurso.size, compartidas },
+      };
+    },
+  };
+}
+
+/**
+ * Ejecuta tareas (funciones que devuelven una promesa) con como mucho
+ * limite en curso a la vez; el resultado respeta el orden de las tareas.
+ * Si una falla, no se empiezan más y se rechaza con su error.
+ */
+export async function enParalelo(tareas, limite) {
+  const resultados = new Array(tareas.length);
+  let siguiente = 0;
+  let fallo = false;
+
+  async function trabajador() {
+    while (!fallo && siguiente < tareas.length) {
+      const i = siguiente++;
+      try {
+        resultados[i] = await tareas[i]();
+      } catch (e) {
+        fallo = true;
+        throw e;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limite, tareas.length) }, trabajador));
+  return resultados;
+}
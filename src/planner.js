@@ -0,0 +1,366 @@
+/**
+ * Planificador de itinerarios sobre la red TUS.
+ *
+ * La red se modela como un conjunto de rutas (línea + sentido) con sus paradas
+ * ordenadas por punto kilométrico, más enlaces a pie entre paradas cercanas.
+ * La búsqueda sigue el esquema de RAPTOR por rondas: la ronda k obtiene el
+ * mejor coste para llegar a cada parada usando k autobuses (y caminando tras
+ * cada uno). Como TUS no publica horarios, el coste es un tiempo estimado en
+ * minutos: espera en parada + recorrido a velocidad media + tramos a pie.
+ */
+
+import { crearIndiceEspacial, tieneCoordenadas } from "./geo.js";
+import { utmAGeograficas } from "./proyeccion.js";
+
+export const OPCIONES_PLANIFICADOR = {
+  maxTransbordos: 2,
+  velocidadKmh: 13, // velocidad comercial media incluyendo paradas
+  esperaMinutos: 7, // espera supuesta cuando no hay estimación en tiempo real
+  maxResultados: 5,
+  radioTransbordoMetros: 300, // 0 desactiva los transbordos a pie
+  velocidadPieKmh: 4.5,
+  minutoSalida: 0, // minutos desde ahora hasta llegar a la parada de origen
+};
+
+// Las calles no van en línea recta: la distancia a pie se estima sobre la
+// distancia geodésica con este factor
+const FACTOR_RODEO = 1.25;
+
+/** Minutos a pie para una distancia en línea recta */
+export function minutosAPie(metros, velocidadPieKmh = OPCIONES_PLANIFICADOR.velocidadPieKmh) {
+  return (metros * FACTOR_RODEO) / ((velocidadPieKmh * 1000) / 60);
+}
+
+// ─── Red ──────────────────────────────────────────────────────────────────────
+
+function etiquetaLinea(s) {
+  return (s["dc:EtiquetaLinea"] ?? s["ayto:Linea"])?.toString();
+}
+
+/**
+ * Construye la red a partir de los recursos crudos de lineas_bus_secuencia.
+ * Devuelve las rutas y, para cada parada, las posiciones que ocupa en ellas.
+ * Si se pasan las paradas (getParadas) se añaden enlaces a pie entre las que
+ * estén a menos de radioTransbordoMetros.
+ */
+export function construirRed(secuencias, paradas = [], { radioTransbordoMetros } = OPCIONES_PLANIFICADOR) {
+  const rutas = new Map();
+
+  for (const s of secuencias) {
+    const linea = etiquetaLinea(s);
+    const parada = s["ayto:NParada"]?.toString();
+    if (!linea || !parada) continue;
+
+    const sentido = parseInt(s["ayto:SentidoRuta"]);
+    const key = `${linea}|${sentido}|${s["ayto:Ruta"] ?? ""}`;
+    if (!rutas.has(key)) {
+      rutas.set(key, { key, linea, sentido, paradas: [] });
+    }
+    rutas.get(key).paradas.push({
+      numero: parada,
+      nombre: s["ayto:NombreParada"],
+      km: parseFloat(s["ayto:PuntoKM"] ?? 0),
+      geo: utmAGeograficas(parseFloat(s["ayto:PosX"]), parseFloat(s["ayto:PosY"])),
+    });
+  }
+
+  const rutasPorParada = new Map();
+  const nombres = new Map();
+
+  for (const ruta of rutas.values()) {
+    ruta.paradas.sort((a, b) => a.km - b.km);
+    ruta.paradas.forEach((p, idx) => {
+      if (!rutasPorParada.has(p.numero)) rutasPorParada.set(p.numero, []);
+      rutasPorParada.get(p.numero).push({ ruta, idx });
+      if (p.nombre && !nombres.has(p.numero)) nombres.set(p.numero, p.nombre);
+    });
+  }
+
+  const coordenadas = new Map();
+  for (const p of paradas) {
+    const numero = p.numero?.toString();
+    if (!numero || !tieneCoordenadas(p)) continue;
+    coordenadas.set(numero, { lat: p.lat, lon: p.lon });
+    if (p.nombre && !nombres.has(numero)) nombres.set(numero, p.nombre);
+  }
+  // Paradas de la secuencia que no están en paradas_bus: se ubican con su
+  // posición proyectada
+  for (const ruta of rutas.values()) {
+    for (const p of ruta.paradas) {
+      if (!coordenadas.has(p.numero) && p.geo) coordenadas.set(p.numero, p.geo);
+    }
+  }
+
+  return {
+    rutas,
+    rutasPorParada,
+    nombres,
+    coordenadas,
+    enlacesPie: calcularEnlacesPie(rutasPorParada, coordenadas, radioTransbordoMetros),
+  };
+}
+
+/** Enlaces a pie entre paradas con servicio separadas menos de radioMetros */
+function calcularEnlacesPie(rutasPorParada, coordenadas, radioMetros) {
+  const enlaces = new Map();
+  if (!radioMetros) return enlaces;
+
+  const conServicio = [...rutasPorParada.keys()]
+    .filter((n) => coordenadas.has(n))
+    .map((numero) => ({ numero, ...coordenadas.get(numero) }));
+  const indice = crearIndiceEspacial(conServicio, { tamCeldaMetros: radioMetros });
+
+  for (const p of conServicio) {
+    const vecinas = indice
+      .cercanos(p.lat, p.lon, { n: Infinity, radioMetros, filtro: (q) => q.numero !== p.numero })
+      .map(({ punto, distanciaMetros }) => ({ numero: punto.numero, metros: Math.round(distanciaMetros) }));
+    if (vecinas.length > 0) enlaces.set(p.numero, vecinas);
+  }
+  return enlaces;
+}
+
+// ─── Búsqueda ─────────────────────────────────────────────────────────────────
+
+/**
+ * Espera estimada en una parada para una línea, llegando en el minuto t.
+ * tiempos(parada, linea) devuelve los minutos hasta los próximos buses
+ * según el tiempo real, o null si no hay datos.
+ */
+function espera(tiempos, parada, linea, t, esperaDefecto) {
+  const proximos = tiempos?.(parada, linea);
+  if (proximos) {
+    const siguiente = proximos.find((m) => m >= t);
+    if (siguiente !== undefined) return siguiente - t;
+  }
+  return esperaDefecto;
+}
+
+/**
+ * Ejecuta las rondas de búsqueda y devuelve los itinerarios Pareto-óptimos
+ * (mejor tiempo para cada número de autobuses), como listas de tramos.
+ */
+function raptor(red, origen, destino, { tiempos, rutaPermitida, maxTransbordos, velocidadKmh, esperaMinutos, velocidadPieKmh, minutoSalida }) {
+  const minutosPorKm = 60 / velocidadKmh;
+  const rondas = [new Map([[origen, { coste: minutoSalida, padre: null }]])];
+  const mejor = new Map([[origen, minutoSalida]]);
+  let marcadas = new Set([origen]);
+  const resultados = [];
+
+  for (let k = 1; k <= maxTransbordos + 1 && marcadas.size > 0; k++) {
+    const anterior = rondas[k - 1];
+    const actual = new Map();
+    rondas.push(actual);
+
+    // Rutas que pasan por alguna parada mejorada en la ronda anterior,
+    // con la primera posición desde la que se puede subir
+    const porRecorrer = new Map();
+    for (const parada of marcadas) {
+      for (const { ruta, idx } of red.rutasPorParada.get(parada) ?? []) {
+        if (!rutaPermitida(ruta)) continue;
+        const previo = porRecorrer.get(ruta);
+        if (previo === undefined || idx < previo) porRecorrer.set(ruta, idx);
+      }
+    }
+    marcadas = new Set();
+
+    for (const [ruta, desde] of porRecorrer) {
+      let abordo = null; // { coste, idx, espera } al subir
+
+      for (let i = desde; i < ruta.paradas.length; i++) {
+        const p = ruta.paradas[i];
+
+        if (abordo) {
+          const coste = abordo.coste + (p.km - ruta.paradas[abordo.idx].km) * minutosPorKm;
+          const cota = Math.min(mejor.get(p.numero) ?? Infinity, mejor.get(destino) ?? Infinity);
+          if (coste < cota) {
+            actual.set(p.numero, {
+              coste,
+              padre: { tipo: "bus", ruta, subida: abordo.idx, bajada: i, espera: abordo.espera },
+            });
+            mejor.set(p.numero, coste);
+            marcadas.add(p.numero);
+          }
+        }
+
+        const llegada = anterior.get(p.numero);
+        if (llegada && p.numero !== destino) {
+          const e = espera(tiempos, p.numero, ruta.linea, llegada.coste, esperaMinutos);
+          const costeSubida = llegada.coste + e;
+          const costeAbordo = abordo
+            ? abordo.coste + (p.km - ruta.paradas[abordo.idx].km) * minutosPorKm
+            : Infinity;
+          if (costeSubida < costeAbordo) {
+            abordo = { coste: costeSubida, idx: i, espera: e };
+          }
+        }
+      }
+    }
+
+    // Tras bajar del bus se puede caminar a una parada cercana. Sólo se
+    // camina desde paradas alcanzadas en bus y hacia paradas que no lo
+    // fueron en esta ronda, para no encadenar dos tramos a pie.
+    const alcanzadasEnBus = [...marcadas];
+    for (const desde of alcanzadasEnBus) {
+      const { coste: costeDesde } = actual.get(desde);
+      for (const { numero, metros } of red.enlacesPie.get(desde) ?? []) {
+        if (actual.get(numero)?.padre.tipo === "bus") continue;
+        const minutos = minutosAPie(metros, velocidadPieKmh);
+        const coste = costeDesde + minutos;
+        const cota = Math.min(mejor.get(numero) ?? Infinity, mejor.get(destino) ?? Infinity);
+        if (coste < cota) {
+          actual.set(numero, {
+            coste,
+            padre: { tipo: "pie", desde, hasta: numero, metros, minutos },
+          });
+          mejor.set(numero, coste);
+          marcadas.add(numero);
+        }
+      }
+    }
+
+    const llegadaDestino = actual.get(destino);
+    if (llegadaDestino) {
+      resultados.push(reconstruir(rondas, k, destino));
+    }
+  }
+
+  return resultados;
+}
+
+function reconstruir(rondas, k, destino) {
+  const tramos = [];
+  let parada = destino;
+  for (let ronda = k; ronda > 0; ronda--) {
+    let { padre } = rondas[ronda].get(parada);
+    if (padre.tipo === "pie") {
+      tramos.unshift(padre);
+      padre = rondas[ronda].get(padre.desde).padre;
+    }
+    tramos.unshift(padre);
+    parada = padre.ruta.paradas[padre.subida].numero;
+  }
+  return tramos;
+}
+
+// ─── Itinerarios ──────────────────────────────────────────────────────────────
+
+function firmaItinerario(tramos) {
+  return tramos
+    .map((t) =>
+      t.tipo === "pie"
+        ? `pie:${t.desde}>${t.hasta}`
+        : `${t.ruta.key}:${t.ruta.paradas[t.subida].numero}>${t.ruta.paradas[t.bajada].numero}`
+    )
+    .join(",");
+}
+
+function describirItinerario(tramos, red, { velocidadKmh, proximoBus }) {
+  const minutosPorKm = 60 / velocidadKmh;
+  let tiempoTotal = 0;
+  let distanciaTotal = 0;
+  let metrosAPie = 0;
+
+  const descritos = tramos.map((t) => {
+    if (t.tipo === "pie") {
+      tiempoTotal += t.minutos;
+      metrosAPie += t.metros;
+      return {
+        tipo: "pie",
+        paradaOrigen: { numero: t.desde, nombre: red.nombres.get(t.desde) ?? null },
+        paradaDestino: { numero: t.hasta, nombre: red.nombres.get(t.hasta) ?? null },
+        distanciaMetros: t.metros,
+        minutos: Math.max(1, Math.round(t.minutos)),
+      };
+    }
+
+    const subida = t.ruta.paradas[t.subida];
+    const bajada = t.ruta.paradas[t.bajada];
+    const distanciaKm = bajada.km - subida.km;
+    const tiempoViaje = distanciaKm * minutosPorKm;
+    tiempoTotal += t.espera + tiempoViaje;
+    distanciaTotal += distanciaKm;
+
+    return {
+      tipo: "bus",
+      linea: t.ruta.linea,
+      sentido: t.ruta.sentido === 1 ? "ida" : "vuelta",
+      paradaOrigen: { numero: subida.numero, nombre: subida.nombre },
+      paradaDestino: { numero: bajada.numero, nombre: bajada.nombre },
+      numeroParadas: t.bajada - t.subida,
+      distanciaKm: parseFloat(distanciaKm.toFixed(2)),
+      esperaMinutos: Math.round(t.espera),
+      viajeMinutos: Math.round(tiempoViaje),
+      proximoBus: proximoBus?.(subida.numero, t.ruta.linea) ?? null,
+    };
+  });
+
+  const enBus = tramos.filter((t) => t.tipo === "bus").length;
+  return {
+    tipo: enBus === 1 ? "directa" : "transbordo",
+    transbordos: enBus - 1,
+    tiempoEstimadoMinutos: Math.round(tiempoTotal),
+    distanciaKm: parseFloat(distanciaTotal.toFixed(2)),
+    distanciaAPieMetros: metrosAPie,
+    tramos: descritos,
+  };
+}
+
+function compararItinerarios(a, b) {
+  return (
+    a.tiempoEstimadoMinutos - b.tiempoEstimadoMinutos ||
+    a.transbordos - b.transbordos ||
+    a.distanciaKm - b.distanciaKm
+  );
+}
+
+/**
+ * Busca los mejores itinerarios entre dos paradas.
+ *
+ * opciones:
+ *   - maxTransbordos, velocidadKmh, esperaMinutos, velocidadPieKmh, maxResultados
+ *   - minutoSalida: minutos hasta llegar a la parada de origen (ej: caminando),
+ *     para casar la primera espera con el tiempo real
+ *   - lineasActivas: Set de líneas en servicio; si se indica, sólo se usan esas
+ *   - tiempos(parada, linea): minutos hasta los próximos buses (tiempo real)
+ *   - proximoBus(parada, linea): resumen del próximo bus para cada tramo
+ *
+ * Además de los itinerarios óptimos por número de transbordos, se buscan
+ * alternativas vetando cada ruta usada en ellos, y se ordenan por tiempo
+ * estimado, transbordos y distancia recorrida.
+ */
+export function buscarItinerarios(red, origen, destino, opciones = {}) {
+  const opts = { ...OPCIONES_PLANIFICADOR };
+  for (const [clave, valor] of Object.entries(opciones)) {
+    if (valor !== undefined) opts[clave] = valor;
+  }
+  origen = origen.toString();
+  destino = destino.toString();
+
+  const activa = (ruta) =>
+    !opts.lineasActivas || opts.lineasActivas.has(ruta.linea.toUpperCase());
+
+  const encontrados = new Map();
+  const anadir = (tramos) => {
+    const firma = firmaItinerario(tramos);
+    if (!encontrados.has(firma)) encontrados.set(firma, tramos);
+  };
+
+  const principales = raptor(red, origen, destino, { ...opts, rutaPermitida: activa });
+  principales.forEach(anadir);
+
+  const vetables = new Set(
+    principales.flatMap((tramos) => tramos.filter((t) => t.tipo === "bus").map((t) => t.ruta))
+  );
+  for (const vetada of vetables) {
+    if (encontrados.size >= opts.maxResultados * 2) break;
+    raptor(red, origen, destino, {
+      ...opts,
+      rutaPermitida: (ruta) => ruta !== vetada && activa(ruta),
+    }).forEach(anadir);
+  }
+
+  return [...encontrados.values()]
+    .map((tramos) => describirItinerario(tramos, red, opts))
+    .sort(compararItinerarios)
+    .slice(0, opts.maxResultados);
+}
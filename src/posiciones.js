@@ -0,0 +1,131 @@
+/**
+ * Posición aproximada de los autobuses de una línea en tiempo real.
+ *
+ * El portal no publica dónde están los vehículos, pero para cada parada da
+ * la distancia por carretera al próximo bus. Recorriendo las paradas de un
+ * sentido en orden (por punto kilométrico), mientras se trata del mismo bus
+ * esa distancia crece lo que mide el tramo entre paradas; si crece menos es
+ * que entre las dos paradas va otro bus. Cada bus se sitúa en el recorrido
+ * restando su distancia al punto kilométrico de la primera parada que tiene
+ * por delante, y sus coordenadas se interpolan entre las dos paradas que lo
+ * rodean.
+ *
+ * La posición es la del momento en que el portal calculó las estimaciones
+ * (ver frescura.js), no la de ahora.
+ */
+
+import { getEstimacionesCached, getSecuenciaLinea } from "./api.js";
+import { recorridoPrincipal } from "./regularidad.js";
+
+// Diferencia mínima con la distancia esperada para suponer otro bus;
+// absorbe el ruido de las estimaciones
+const TOLERANCIA_METROS = 150;
+// Un bus algo antes de la primera parada se da por en la cabecera; más
+// lejos aún está recorriendo el otro sentido y se sitúa allí
+const MARGEN_CABECERA_METROS = 300;
+
+const redondear = (x, decimales) => parseFloat(x.toFixed(decimales));
+
+/**
+ * Punto del recorrido en un punto kilométrico: coordenadas interpoladas y
+ * paradas anterior y siguiente. Antes de la primera parada se queda en ella.
+ */
+function situarEnRecorrido(paradas, km) {
+  let i = paradas.findIndex((p) => p.puntoKm >= km);
+  if (i < 0) i = paradas.length - 1;
+  const siguiente = paradas[i];
+  const anterior = i > 0 ? paradas[i - 1] : null;
+
+  const tramo = anterior ? siguiente.puntoKm - anterior.puntoKm : 0;
+  const progreso = tramo > 0 ? Math.min(1, Math.max(0, (km - anterior.puntoKm) / tramo)) : 1;
+  const desde = anterior?.lat != null ? anterior : siguiente;
+  const hasta = siguiente.lat != null ? siguiente : desde;
+  if (desde.lat == null) return { anterior, siguiente, progreso, lat: null, lon: null };
+
+  return {
+    anterior,
+    siguiente,
+    progreso,
+    lat: redondear(desde.lat + (hasta.lat - desde.lat) * progreso, 6),
+    lon: redondear(desde.lon + (hasta.lon - desde.lon) * progreso, 6),
+  };
+}
+
+const resumenParada = (p) => (p ? { numero: p.numeroParada.toString(), nombre: p.nombreParada } : null);
+
+/** Vehículos de un sentido, del más adelantado al último */
+function inferirSentido(linea, sentido, paradas, porParada) {
+  const vehiculos = [];
+  // Distancia esperada en esta parada si el próximo bus es el de la anterior
+  let esperada = null;
+  let kmAnterior = null;
+
+  for (const p of paradas) {
+    const e = porParada.get(p.numeroParada.toString());
+    const distancia = e?.proximoBus.distanciaMetros ?? null;
+    if (distancia === null) continue;
+    if (esperada !== null) esperada += (p.puntoKm - kmAnterior) * 1000;
+
+    if (esperada === null || distancia < esperada - TOLERANCIA_METROS) {
+      const km = p.puntoKm - distancia / 1000;
+      const antesDeCabecera = paradas[0].puntoKm - km;
+      if (antesDeCabecera * 1000 <= MARGEN_CABECERA_METROS) {
+        const punto = situarEnRecorrido(paradas, km);
+        vehiculos.push({
+          linea,
+          sentido,
+          destino: e.destino1 ?? paradas.at(-1).nombreParada,
+          lat: punto.lat,
+          lon: punto.lon,
+          puntoKm: redondear(Math.max(km, paradas[0].puntoKm), 3),
+          enCabecera: antesDeCabecera >= 0,
+          paradaAnterior: antesDeCabecera >= 0 ? null : resumenParada(punto.anterior),
+          paradaSiguiente: {
+            ...resumenParada(punto.siguiente),
+            distanciaMetros: Math.max(0, Math.round((punto.siguiente.puntoKm - km) * 1000)),
+          },
+          progresoTramo: redondear(punto.progreso, 2),
+          // La estimación de la que sale la posición
+          referencia: {
+            parada: p.numeroParada.toString(),
+            distanciaMetros: distancia,
+            tiempoMinutos: e.proximoBus.tiempoMinutos,
+            llegada: e.proximoBus.llegada,
+          },
+        });
+      }
+    }
+    esperada = distancia;
+    kmAnterior = p.puntoKm;
+  }
+
+  return vehiculos.reverse();
+}
+
+/**
+ * Posiciones inferidas de los autobuses de una línea con el snapshot de
+ * estimaciones compartido (sin peticiones extra al portal). Devuelve
+ * { vehiculos, estimaciones }: cada vehículo con id, sentido, destino,
+ * lat/lon, punto kilométrico, paradas anterior y siguiente y la estimación
+ * de la que se ha deducido; estimaciones son las de la línea usadas, para
+ * evaluar su frescura.
+ */
+export async function inferirPosicionesLinea(numeroLinea) {
+  const etiqueta = numeroLinea.toString().toUpperCase().trim();
+
+  const [secuencia, { estimaciones: todas }] = await Promise.all([
+    getSecuenciaLinea(etiqueta),
+    getEstimacionesCached(),
+  ]);
+  const estimaciones = todas.filter((e) => e.linea?.toUpperCase() === etiqueta);
+  const porParada = new Map(estimaciones.map((e) => [e.paradaId?.toString(), e]));
+
+  const vehiculos = recorridoPrincipal(secuencia).flatMap(({ sentido, paradas }) =>
+    inferirSentido(etiqueta, sentido, paradas, porParada).map((v, i) => ({
+      id: `${etiqueta}-${sentido}-${i + 1}`,
+      ...v,
+    }))
+  );
+
+  return { vehiculos, estimaciones };
+}
@@ -0,0 +1,68 @@
+/**
+ * Conversión de coordenadas UTM (ETRS89) a geográficas.
+ *
+ * La secuencia de paradas (ayto:PosX / ayto:PosY) viene proyectada en UTM
+ * ETRS89 huso 30 norte. ETRS89 y WGS84 difieren en menos de un metro, así
+ * que el resultado se puede usar directamente junto a wgs84_pos:lat/long.
+ */
+
+// Elipsoide GRS80
+const A = 6378137;
+const F = 1 / 298.257222101;
+const K0 = 0.9996;
+const FALSO_ESTE = 500000;
+const FALSO_NORTE_SUR = 10000000;
+
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const E1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+
+export const HUSO_SANTANDER = 30;
+
+/**
+ * Convierte coordenadas UTM a { lat, lon } en grados decimales.
+ * Devuelve null si las coordenadas no son válidas (ausentes o a cero).
+ */
+export function utmAGeograficas(x, y, { huso = HUSO_SANTANDER, norte = true } = {}) {
+  if (!Number.isFinite(x) || !Number.isFinite(y) || x === 0 || y === 0) return null;
+
+  const lon0 = ((huso - 1) * 6 - 180 + 3) * (Math.PI / 180);
+  const m = (norte ? y : y - FALSO_NORTE_SUR) / K0;
+  const mu = m / (A * (1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256));
+
+  // Latitud del pie de la perpendicular
+  const phi1 =
+    mu +
+    ((3 * E1) / 2 - (27 * E1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * E1 ** 2) / 16 - (55 * E1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * E1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * E1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sen = Math.sin(phi1);
+  const cos = Math.cos(phi1);
+  const tan = Math.tan(phi1);
+  const n1 = A / Math.sqrt(1 - E2 * sen ** 2);
+  const t1 = tan ** 2;
+  const c1 = EP2 * cos ** 2;
+  const r1 = (A * (1 - E2)) / (1 - E2 * sen ** 2) ** 1.5;
+  const d = (x - FALSO_ESTE) / (n1 * K0);
+
+  const lat =
+    phi1 -
+    ((n1 * tan) / r1) *
+      (d ** 2 / 2 -
+        ((5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * EP2) * d ** 4) / 24 +
+        ((61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * EP2 - 3 * c1 ** 2) * d ** 6) / 720);
+
+  const lon =
+    lon0 +
+    (d -
+      ((1 + 2 * t1 + c1) * d ** 3) / 6 +
+      ((5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * EP2 + 24 * t1 ** 2) * d ** 5) / 120) /
+      cos;
+
+  return {
+    lat: parseFloat(((lat * 180) / Math.PI).toFixed(7)),
+    lon: parseFloat(((lon * 180) / Math.PI).toFixed(7)),
+  };
+}
@@ -0,0 +1,11 @@
+/**
+ * Graba los datasets del portal como fixtures para el modo "replay".
+ * Uso: npm run fixtures:record
+ */
+
+import { grabarFixtures } from "./datasource.js";
+
+const resumen = await grabarFixtures();
+for (const { endpoint, items } of resumen) {
+  console.error(`${endpoint}: ${items} recursos grabados`);
+}
@@ -0,0 +1,179 @@
+/**
+ * Regularidad de una línea en tiempo real: dónde van sus autobuses en cada
+ * sentido, cuánto se separan entre sí y qué paradas quedan en un hueco.
+ *
+ * El portal no da la posición de los buses, así que se deduce recorriendo
+ * las paradas en orden: el tiempo hasta el próximo bus crece parada a
+ * parada y, cuando cae bruscamente, es que entre esa parada y la anterior
+ * hay otro autobús. La separación entre un bus y el que le sigue se mide en
+ * la primera parada que tiene por delante: la diferencia entre el próximo y
+ * el segundo bus anunciados allí.
+ */
+
+import { getEstimacionesCached, getSecuenciaLinea } from "./api.js";
+
+// Caída mínima del tiempo de espera entre dos paradas para suponer otro bus;
+// absorbe el ruido de las estimaciones
+const TOLERANCIA_S = 60;
+
+export const UMBRALES_REGULARIDAD = {
+  agrupamientoMinutos: 3,
+  huecoMinutos: 20,
+};
+
+const minutos = (segundos) => Math.round(segundos / 6) / 10;
+
+/**
+ * Recorrido principal de cada sentido: el de más paradas (las variantes
+ * cortas comparten paradas con él), sin paradas repetidas. También lo usan
+ * posiciones.js y los trazados de las líneas.
+ */
+export function recorridoPrincipal(secuencia) {
+  const porRuta = new Map();
+  for (const s of secuencia) {
+    const clave = `${s.sentidoNumerico}|${s.ruta ?? ""}`;
+    if (!porRuta.has(clave)) porRuta.set(clave, []);
+    porRuta.get(clave).push(s);
+  }
+
+  const porSentido = new Map();
+  for (const paradas of porRuta.values()) {
+    const sentido = paradas[0].sentido;
+    if ((porSentido.get(sentido)?.length ?? 0) < paradas.length) porSentido.set(sentido, paradas);
+  }
+
+  return [...porSentido.entries()].map(([sentido, paradas]) => {
+    const vistas = new Set();
+    return {
+      sentido,
+      paradas: paradas.filter((p) => {
+        const numero = p.numeroParada?.toString();
+        if (!numero || vistas.has(numero)) return false;
+        vistas.add(numero);
+        return true;
+      }),
+    };
+  });
+}
+
+function estadoIntervalo(min, { agrupamientoMinutos, huecoMinutos }) {
+  if (min === null) return "desconocido";
+  if (min <= agrupamientoMinutos) return "agrupado";
+  if (min >= huecoMinutos) return "hueco";
+  return "regular";
+}
+
+/** Buses, intervalos, esperas por parada y alertas de un sentido */
+function analizarSentido(sentido, paradas, porParada, umbrales) {
+  const filas = paradas.map((p, i) => ({
+    orden: i + 1,
+    numero: p.numeroParada.toString(),
+    nombre: p.nombreParada,
+    e: porParada.get(p.numeroParada.toString()) ?? null,
+  }));
+
+  // Buses de atrás hacia delante, según se encuentran recorriendo las paradas
+  const buses = [];
+  let anterior = null;
+  filas.forEach((f, i) => {
+    const t1 = f.e?.proximoBus.tiempoSegundos ?? -1;
+    if (t1 < 0) return;
+    if (anterior === null || t1 < anterior - TOLERANCIA_S) {
+      const t2 = f.e.segundoBus.tiempoSegundos;
+      buses.push({
+        paradaAnterior: i > 0 ? { numero: filas[i - 1].numero, nombre: filas[i - 1].nombre } : null,
+        paradaSiguiente: { numero: f.numero, nombre: f.nombre },
+        minutosHastaParada: minutos(t1),
+        distanciaMetros: f.e.proximoBus.distanciaMetros,
+        // El que le sigue pasa por la misma parada t2 − t1 segundos después
+        intervaloConSiguienteMin: t2 >= 0 ? minutos(t2 - t1) : null,
+      });
+    }
+    anterior = t1;
+  });
+
+  // Numerados desde el más adelantado (el más cercano al final del recorrido)
+  buses.reverse();
+  const conEstado = buses.map((b, i) => ({
+    bus: i + 1,
+    ...b,
+    estado: estadoIntervalo(b.intervaloConSiguienteMin, umbrales),
+  }));
+
+  const alertas = [];
+  const nombreSentido = `Sentido ${sentido}`;
+  for (const b of conEstado) {
+    const donde = b.paradaAnterior
+      ? `entre "${b.paradaAnterior.nombre}" y "${b.paradaSiguiente.nombre}"`
+      : `antes de "${b.paradaSiguiente.nombre}" (cabecera)`;
+    const detras = b.bus < conEstado.length ? `el bus ${b.bus + 1}` : "el siguiente";
+    if (b.estado === "agrupado") {
+      alertas.push(`${nombreSentido}: el bus ${b.bus} (${donde}) y ${detras} van agrupados, a ${b.intervaloConSiguienteMin} min.`);
+    } else if (b.estado === "hueco") {
+      alertas.push(`${nombreSentido}: hueco de ${b.intervaloConSiguienteMin} min detrás del bus ${b.bus} (${donde}).`);
+    }
+  }
+
+  const esperas = filas.map((f) => {
+    const t1 = f.e?.proximoBus.tiempoSegundos ?? -1;
+    const t2 = f.e?.segundoBus.tiempoSegundos ?? -1;
+    const espera = t1 >= 0 ? minutos(t1) : null;
+    return {
+      orden: f.orden,
+      numero: f.numero,
+      nombre: f.nombre,
+      esperaMinutos: espera,
+      siguienteMinutos: t2 >= 0 ? minutos(t2) : null,
+      enHueco: espera !== null && espera >= umbrales.huecoMinutos,
+    };
+  });
+
+  const enHueco = esperas.filter((p) => p.enHueco);
+  if (enHueco.length > 0) {
+    const nombres = enHueco.slice(0, 3).map((p) => `"${p.nombre}"`).join(", ");
+    const mas = enHueco.length > 3 ? ` y ${enHueco.length - 3} más` : "";
+    alertas.push(`${nombreSentido}: ${enHueco.length} parada(s) esperan ${umbrales.huecoMinutos} min o más: ${nombres}${mas}.`);
+  }
+
+  return {
+    sentido,
+    destino: filas.at(-1)?.nombre ?? null,
+    totalBuses: conEstado.length,
+    buses: conEstado,
+    paradas: esperas,
+    alertas,
+  };
+}
+
+/**
+ * Analiza la regularidad de una línea con el snapshot de estimaciones
+ * compartido (sin peticiones extra al portal) y la secuencia de paradas de
+ * cada sentido. opciones: agrupamientoMinutos (buses a esta separación o
+ * menos van agrupados) y huecoMinutos (separación o espera que se considera
+ * un hueco).
+ *
+ * Devuelve { sentidos, alertas, estimaciones }: estimaciones son las de la
+ * línea usadas, para evaluar su frescura.
+ */
+export async function analizarRegularidadLinea(numeroLinea, opciones = {}) {
+  const umbrales = { ...UMBRALES_REGULARIDAD, ...opciones };
+  const etiqueta = numeroLinea.toString().toUpperCase().trim();
+
+  const [secuencia, { estimaciones: todas }] = await Promise.all([
+    getSecuenciaLinea(etiqueta),
+    getEstimacionesCached(),
+  ]);
+  const estimaciones = todas.filter((e) => e.linea?.toUpperCase() === etiqueta);
+  const porParada = new Map(estimaciones.map((e) => [e.paradaId?.toString(), e]));
+
+  const sentidos = recorridoPrincipal(secuencia).map(({ sentido, paradas }) =>
+    analizarSentido(sentido, paradas, porParada, umbrales)
+  );
+
+  return {
+    umbrales,
+    sentidos,
+    alertas: sentidos.flatMap((s) => s.alertas),
+    estimaciones,
+  };
+}
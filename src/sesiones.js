@@ -0,0 +1,216 @@
+/**
+ * Transporte MCP por HTTP con sesiones.
+ *
+ * Cada cliente tiene su propia sesión, con su servidor MCP y su transporte,
+ * identificada por la cabecera mcp-session-id:
+ *
+ *   - POST /mcp: peticiones JSON-RPC; la de initialize crea la sesión
+ *   - GET /mcp: stream SSE de notificaciones de la sesión (vigilar_llegada)
+ *   - DELETE /mcp: cierra la sesión
+ *
+ * Los mensajes enviados por SSE se guardan en un almacén de eventos, de
+ * modo que un cliente que pierde la conexión puede reanudar el stream con
+ * la cabecera Last-Event-ID sin perder avisos. El almacén por defecto vive
+ * en memoria y guarda los últimos eventos de cada sesión; se puede cambiar
+ * por otro que implemente la interfaz EventStore del SDK (storeEvent,
+ * replayEventsAfter y, opcionalmente, getStreamIdForEventId).
+ *
+ * Para los clientes que aún usan el transporte HTTP+SSE antiguo (protocolo
+ * 2024-11-05) se mantienen GET /sse, que abre la sesión y su stream, y
+ * POST /messages?sessionId=..., por el que envían las peticiones.
+ *
+ * Las sesiones sin actividad ni streams abiertos durante
+ * TUS_MCP_SESION_INACTIVA_S (1800 s) se cierran.
+ *
+ * Configuración por variables de entorno:
+ *   - TUS_MCP_SESION_INACTIVA_S: segundos de inactividad antes de cerrar
+ *     una sesión (1800)
+ *   - TUS_MCP_EVENTOS_MAX: eventos que se guardan por sesión para reanudar
+ *     streams (500)
+ */
+
+import { randomUUID } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+/** Configuración de las sesiones a partir del entorno */
+export function configSesiones() {
+  return {
+    inactividadSegundos: parseInt(process.env.TUS_MCP_SESION_INACTIVA_S) || 1800,
+    maxEventos: parseInt(process.env.TUS_MCP_EVENTOS_MAX) || 500,
+  };
+}
+
+// ─── Almacén de eventos ───────────────────────────────────────────────────────
+
+/**
+ * Almacén de eventos en memoria (interfaz EventStore del SDK) que conserva
+ * los últimos maxEventos. Los ids llevan el stream y un contador, así que
+ * de un id se sabe a qué stream pertenece.
+ */
+export function crearAlmacenEventosMemoria({ maxEventos = configSesiones().maxEventos } = {}) {
+  const eventos = new Map(); // id → { streamId, message }, en orden de llegada
+  let contador = 0;
+
+  const streamDe = (eventId) => eventos.get(eventId)?.streamId;
+
+  return {
+    async storeEvent(streamId, message) {
+      const id = `${streamId}_${(++contador).toString().padStart(10, "0")}`;
+      eventos.set(id, { streamId, message });
+      if (eventos.size > maxEventos) eventos.delete(eventos.keys().next().value);
+      return id;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      return streamDe(eventId);
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const streamId = streamDe(lastEventId);
+      if (streamId === undefined) return "";
+
+      let encontrado = false;
+      for (const [id, evento] of eventos) {
+        if (id === lastEventId) {
+          encontrado = true;
+        } else if (encontrado && evento.streamId === streamId) {
+          await send(id, evento.message);
+        }
+      }
+      return streamId;
+    },
+  };
+}
+
+// ─── Rutas ────────────────────────────────────────────────────────────────────
+
+function errorJsonRpc(res, status, mensaje) {
+  res.status(status).json({ jsonrpc: "2.0", error: { code: -32000, message: mensaje }, id: null });
+}
+
+/**
+ * Monta en una app de Express las rutas MCP (/mcp, /sse y /messages).
+ * crearServidor() devuelve un McpServer nuevo para cada sesión. opciones:
+ * inactividadSegundos y crearAlmacenEventos, una función que devuelve el
+ * almacén de eventos de cada sesión (por defecto, en memoria).
+ *
+ * Devuelve { estado }, con el número de sesiones abiertas para /health.
+ */
+export function montarTransporteMcp(app, crearServidor, opciones = {}) {
+  const {
+    inactividadSegundos,
+    maxEventos,
+    crearAlmacenEventos = () => crearAlmacenEventosMemoria({ maxEventos }),
+  } = { ...configSesiones(), ...opciones };
+
+  // id → { tipo, servidor, transporte, ultimaActividad, streamsAbiertos }
+  const sesiones = new Map();
+
+  const registrar = (id, tipo, servidor, transporte) => {
+    sesiones.set(id, { tipo, servidor, transporte, ultimaActividad: Date.now(), streamsAbiertos: 0 });
+  };
+
+  // Busca la sesión de la petición y anota la actividad; si no existe,
+  // responde con el error y devuelve null
+  const sesionDe = (req, res, tipo, id) => {
+    if (!id) {
+      errorJsonRpc(res, 400, tipo === "sse" ? "Falta el parámetro sessionId" : "Falta la cabecera mcp-session-id");
+      return null;
+    }
+    const sesion = sesiones.get(id);
+    if (!sesion || sesion.tipo !== tipo) {
+      errorJsonRpc(res, 404, "Sesión no encontrada o caducada");
+      return null;
+    }
+    sesion.ultimaActividad = Date.now();
+    return sesion;
+  };
+
+  // Mientras un stream SSE está abierto la sesión no caduca
+  const seguirStream = (sesion, res) => {
+    sesion.streamsAbiertos++;
+    res.on("close", () => {
+      sesion.streamsAbiertos--;
+      sesion.ultimaActividad = Date.now();
+    });
+  };
+
+  // ─── Streamable HTTP ──────────────────────────────────────────────────────
+
+  app.post("/mcp", async (req, res) => {
+    const id = req.get("mcp-session-id");
+    if (id) {
+      const sesion = sesionDe(req, res, "streamable", id);
+      if (sesion) await sesion.transporte.handleRequest(req, res, req.body);
+      return;
+    }
+    if (!isInitializeRequest(req.body)) {
+      return errorJsonRpc(res, 400, "Falta la cabecera mcp-session-id");
+    }
+
+    const servidor = crearServidor();
+    const transporte = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: crearAlmacenEventos(),
+      onsessioninitialized: (sesionId) => registrar(sesionId, "streamable", servidor, transporte),
+    });
+    transporte.onclose = () => {
+      if (transporte.sessionId) sesiones.delete(transporte.sessionId);
+    };
+    await servidor.connect(transporte);
+    await transporte.handleRequest(req, res, req.body);
+  });
+
+  app.get("/mcp", async (req, res) => {
+    const sesion = sesionDe(req, res, "streamable", req.get("mcp-session-id"));
+    if (!sesion) return;
+    seguirStream(sesion, res);
+    await sesion.transporte.handleRequest(req, res);
+  });
+
+  app.delete("/mcp", async (req, res) => {
+    const sesion = sesionDe(req, res, "streamable", req.get("mcp-session-id"));
+    if (sesion) await sesion.transporte.handleRequest(req, res);
+  });
+
+  // ─── HTTP+SSE antiguo ─────────────────────────────────────────────────────
+
+  app.get("/sse", async (_req, res) => {
+    const servidor = crearServidor();
+    const transporte = new SSEServerTransport("/messages", res);
+    registrar(transporte.sessionId, "sse", servidor, transporte);
+    seguirStream(sesiones.get(transporte.sessionId), res);
+    transporte.onclose = () => sesiones.delete(transporte.sessionId);
+    await servidor.connect(transporte);
+  });
+
+  app.post("/messages", async (req, res) => {
+    const sesion = sesionDe(req, res, "sse", req.query.sessionId);
+    if (sesion) await sesion.transporte.handlePostMessage(req, res, req.body);
+  });
+
+  // ─── Caducidad ────────────────────────────────────────────────────────────
+
+  const limiteMs = inactividadSegundos * 1000;
+  const barrido = setInterval(() => {
+    const ahora = Date.now();
+    for (const [id, sesion] of sesiones) {
+      if (sesion.streamsAbiertos > 0 || ahora - sesion.ultimaActividad < limiteMs) continue;
+      sesiones.delete(id);
+      sesion.transporte
+        .close()
+        .catch((e) => console.error(`No se pudo cerrar la sesión ${id}: ${e.message}`));
+    }
+  }, Math.min(60_000, limiteMs));
+  barrido.unref();
+
+  return {
+    estado() {
+      const porTipo = { streamable: 0, sse: 0 };
+      for (const s of sesiones.values()) porTipo[s.tipo]++;
+      return { sesiones: sesiones.size, ...porTipo, inactividadSegundos };
+    },
+  };
+}
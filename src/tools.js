@@ -1,173 +1,712 @@
 /**
- * Definiciones de las herramientas MCP del servidor TUS Santander
+ * Registro de las herramientas MCP del servidor TUS Santander.
+ *
+ * Cada herramienta se define aquí una sola vez, con zod: nombre, grupo y
+ * resumen para la documentación, descripción para el modelo, parámetros
+ * (inputSchema) y forma del resultado (outputSchema). index.js registra las
+ * herramientas a partir de este registro y devuelve cada resultado como
+ * structuredContent, validado contra outputSchema, además de como texto;
+ * docs-herramientas.js genera con él la documentación.
+ *
+ * Los objetos de los resultados son z.looseObject: los campos descritos
+ * están garantizados, pero añadir otros no rompe a los clientes que validan
+ * con el JSON Schema publicado. Los resultados de las herramientas con
+ * parámetro formato llevan los campos del JSON o, con "geojson", una
+ * FeatureCollection (type y features).
  */
 
+import { z } from "zod";
+
+import { UMBRALES_REGULARIDAD } from "./regularidad.js";
+
+// ─── Parámetros comunes ───────────────────────────────────────────────────────
+
+const NUMERO_LINEA = z.string().describe('Número o etiqueta de la línea (ej: "1", "15", "N3")');
+
+const NUMERO_PARADA = z.string().describe('Número de la parada (ej: "539")');
+
+// Formato de salida común a las herramientas que devuelven geometrías
+const FORMATO = z
+  .enum(["json", "geojson"])
+  .default("json")
+  .describe('Formato de salida: "json" (por defecto) o "geojson" (FeatureCollection para mapas)');
+
+const MAX_TRANSBORDOS = z
+  .number()
+  .int()
+  .min(0)
+  .max(3)
+  .default(2)
+  .describe("Número máximo de transbordos permitidos (por defecto: 2)");
+
+// ─── Resultados comunes ───────────────────────────────────────────────────────
+
+const objeto = z.looseObject;
+
+const FECHA_ISO = z.string().describe("Fecha y hora ISO 8601");
+
+const LINEA = objeto({
+  numero: z.string(),
+  nombre: z.string().nullish(),
+});
+
+const PARADA = objeto({
+  numero: z.string(),
+  nombre: z.string().nullish(),
+});
+
+const PUNTO = objeto({ lat: z.number(), lon: z.number() });
+
+// Campos de frescura de las respuestas en tiempo real (ver frescura.js)
+const FRESCURA = {
+  fechaDatos: FECHA_ISO.nullable().describe("Fecha de los datos en el portal"),
+  edadDatosSegundos: z.number().nullable().describe("Antigüedad de los datos al consultarlos"),
+  estadoDatos: z.enum(["fresco", "retrasado", "caducado", "desconocido"]),
+  aviso: z.string().optional().describe("Sólo si los datos no están frescos"),
+};
+
+const TIEMPO_REAL = {
+  ...FRESCURA,
+  consultadoEn: FECHA_ISO,
+};
+
+const ESTIMACION_BUS = objeto({
+  tiempoMinutos: z.number().nullable().describe("Minutos hasta la llegada según el portal"),
+  llegadaEstimada: z.string().nullable().describe('Hora de llegada "HH:MM" en Santander'),
+  distanciaMetros: z.number().nullable(),
+  destino: z.string().nullish(),
+});
+
+const GEOJSON = objeto({
+  type: z.literal("FeatureCollection"),
+  features: z.array(
+    objeto({
+      type: z.literal("Feature"),
+      geometry: objeto({ type: z.string() }),
+      properties: objeto({}),
+    })
+  ),
+});
+
+/** JSON Schema de salida de un esquema, para anidarlo en otro */
+function jsonSchema(esquema) {
+  const { $schema, ...resto } = z.toJSONSchema(esquema, { io: "output" });
+  return resto;
+}
+
+/**
+ * Resultado de una herramienta con parámetro formato: o el JSON de forma o
+ * una FeatureCollection, cada uno validado entero. El SDK sólo admite
+ * esquemas de objeto en outputSchema, así que la alternativa se comprueba en
+ * un refinamiento y se publica como anyOf.
+ */
+function conGeoJson(forma) {
+  const json = objeto(forma);
+  return objeto({})
+    .superRefine((valor, ctx) => {
+      const esquema = valor.type === "FeatureCollection" ? GEOJSON : json;
+      for (const issue of esquema.safeParse(valor).error?.issues ?? []) ctx.addIssue(issue);
+    })
+    .meta({ anyOf: [jsonSchema(json), jsonSchema(GEOJSON)] });
+}
+
+const PARADA_COMPLETA = objeto({
+  numero: z.string(),
+  nombre: z.string().nullish(),
+  direccion: z.string().nullish(),
+  sentido: z.string().nullish(),
+  lat: z.number().nullable(),
+  lon: z.number().nullable(),
+});
+
+const LLEGADA = objeto({
+  minutos: z.number().describe("Minutos hasta la llegada, descontada la antigüedad del dato"),
+  llegadaEstimada: z.string().nullable(),
+  destino: z.string().nullable(),
+  estadoDatos: z.string(),
+});
+
+const VIGILANCIA = objeto({
+  id: z.string(),
+  parada: z.string(),
+  nombreParada: z.string().nullable(),
+  linea: z.string(),
+  umbralMinutos: z.number(),
+  creadaEn: FECHA_ISO,
+  expiraEn: FECHA_ISO,
+  ultimaEstimacion: LLEGADA.extend({ comprobadaEn: FECHA_ISO }).nullable(),
+});
+
+const TRAMO = objeto({
+  tipo: z.enum(["bus", "pie"]),
+  linea: z.string().optional(),
+  sentido: z.enum(["ida", "vuelta"]).optional(),
+  paradaOrigen: PARADA.optional(),
+  paradaDestino: PARADA.optional(),
+  puntoOrigen: PUNTO.optional(),
+  puntoDestino: PUNTO.optional(),
+  numeroParadas: z.number().optional(),
+  distanciaKm: z.number().optional(),
+  distanciaMetros: z.number().optional(),
+  esperaMinutos: z.number().optional(),
+  viajeMinutos: z.number().optional(),
+  minutos: z.number().optional().describe("Minutos caminando"),
+  proximoBus: objeto({
+    tiempoMinutos: z.number(),
+    llegadaEstimada: z.string().nullable(),
+    destino: z.string().nullish(),
+  })
+    .nullable()
+    .optional(),
+});
+
+const ITINERARIO = objeto({
+  tipo: z.enum(["directa", "transbordo"]),
+  transbordos: z.number(),
+  tiempoEstimadoMinutos: z.number(),
+  distanciaKm: z.number(),
+  distanciaAPieMetros: z.number(),
+  tramos: z.array(TRAMO),
+});
+
+const RUTA = {
+  origen: PARADA,
+  destino: PARADA,
+  itinerarios: z.array(ITINERARIO).describe("Del más rápido al más lento"),
+  datosTiempoReal: objeto({
+    ...FRESCURA,
+    aviso: z.string().nullish(),
+    estimacionesDescartadas: z.number().optional(),
+  }),
+  tiempoConsulta: FECHA_ISO,
+};
+
+const PARADA_RESUELTA = objeto({
+  numero: z.string(),
+  nombre: z.string().nullish(),
+  distanciaMetros: z.number().optional().describe("Distancia al lugar encontrado"),
+  relevancia: z.number().optional().describe("Si no se encontró un lugar"),
+});
+
+const RESOLUCION = objeto({
+  terminoBuscado: z.string(),
+  lugarEncontrado: objeto({
+    nombre: z.string(),
+    categoria: z.string(),
+    coincidencia: z.string(),
+    relevancia: z.number(),
+    lat: z.number(),
+    lon: z.number(),
+  }).nullable(),
+  paradaSeleccionada: PARADA_RESUELTA.extend({ direccion: z.string().nullish() }),
+  otrasParadasEncontradas: z.array(PARADA_RESUELTA),
+});
+
+const TABLA = objeto({
+  columnas: z.array(z.string()),
+  filas: z.array(z.array(z.union([z.string(), z.number(), z.null()]))),
+});
+
+// ─── Herramientas ─────────────────────────────────────────────────────────────
+
 export const TOOLS = [
   // ── Líneas ──────────────────────────────────────────────────────────────────
   {
     name: "listar_lineas",
+    grupo: "Líneas",
+    resumen: "Lista todas las líneas TUS activas (32 líneas)",
     description:
-      "Lista todas las líneas de autobús urbano TUS de Santander con su número y nombre de ruta. Úsalo para conocer qué líneas existen antes de hacer consultas más detalladas.",
-    inputSchema: {
-      type: "object",
-      properties: {},
-      required: [],
-    },
+      "Lista todas las líneas de autobús urbano TUS de Santander con su número y nombre de ruta.",
+    inputSchema: {},
+    outputSchema: objeto({
+      total: z.number(),
+      lineas: z.array(LINEA.extend({ id: z.string().nullish() })),
+    }),
   },
   {
     name: "info_linea",
+    grupo: "Líneas",
+    resumen: "Secuencia completa de paradas de una línea por sentido, con coordenadas y trazado",
     description:
-      "Obtiene información detallada de una línea de autobús concreta, incluyendo la secuencia ordenada de paradas por sentido (ida/vuelta).",
+      "Obtiene información detallada de una línea de autobús concreta, incluyendo la secuencia ordenada de paradas por sentido (ida/vuelta) con sus coordenadas y el trazado de cada sentido.",
     inputSchema: {
-      type: "object",
-      properties: {
-        numero_linea: {
-          type: "string",
-          description:
-            'Número o etiqueta de la línea (ej: "1", "15", "N3", "24C2")',
-        },
-        sentido: {
-          type: "string",
-          enum: ["ida", "vuelta", "ambos"],
-          description:
-            'Sentido de la ruta: "ida" (1), "vuelta" (2) o "ambos". Por defecto: "ambos"',
-          default: "ambos",
-        },
-      },
-      required: ["numero_linea"],
+      numero_linea: z.string().describe('Número o etiqueta de la línea (ej: "1", "15", "N3", "24C2")'),
+      sentido: z
+        .enum(["ida", "vuelta", "ambos"])
+        .default("ambos")
+        .describe('Sentido de la ruta: "ida", "vuelta" o "ambos"'),
+      formato: FORMATO,
     },
+    outputSchema: conGeoJson({
+      linea: LINEA.extend({ id: z.string().nullish() }),
+      rutas: z
+        .record(
+          z.string(),
+          z.array(
+            objeto({
+              orden: z.number(),
+              numeroParada: z.string(),
+              nombreParada: z.string().nullish(),
+              puntoKm: z.number().nullable(),
+              lat: z.number().nullable(),
+              lon: z.number().nullable(),
+            })
+          )
+        )
+        .describe("Paradas en orden de paso por sentido (ida, vuelta)"),
+      trazados: z
+        .record(z.string(), z.array(z.array(z.number())))
+        .describe("Polilínea [lat, lon] por sentido"),
+      totalParadas: z.number(),
+    }),
   },
 
   // ── Paradas ─────────────────────────────────────────────────────────────────
   {
     name: "buscar_paradas",
+    grupo: "Paradas",
+    resumen:
+      "Busca paradas por nombre o dirección, sin distinguir tildes y tolerando abreviaturas y erratas, ordenadas por relevancia",
     description:
-      "Busca paradas de autobús por nombre, dirección o zona. Devuelve paradas que coincidan con el texto de búsqueda junto con sus coordenadas y número de parada.",
+      "Busca paradas de autobús por nombre, dirección o zona en Santander. No distingue tildes ni mayúsculas, entiende abreviaturas (Avda., C/, Pza.) y tolera pequeñas erratas; los resultados vienen ordenados por relevancia.",
     inputSchema: {
-      type: "object",
-      properties: {
-        texto: {
-          type: "string",
-          description:
-            'Texto a buscar en nombre o dirección de la parada (ej: "Valdecilla", "Plaza del Ayuntamiento", "Sardinero")',
-        },
-      },
-      required: ["texto"],
+      texto: z
+        .string()
+        .describe('Texto a buscar en nombre o dirección de la parada (ej: "Valdecilla", "Sardinero")'),
+      formato: FORMATO,
     },
+    outputSchema: conGeoJson({
+      total: z.number().optional(),
+      resultados: z.array(PARADA_COMPLETA.extend({ relevancia: z.number() })),
+      mensaje: z.string().optional().describe("Sólo si no hay resultados"),
+      sugerencia: z.string().optional(),
+    }),
   },
   {
     name: "info_parada",
+    grupo: "Paradas",
+    resumen: "Detalle de una parada por su número",
     description:
-      "Obtiene los detalles de una parada específica por su número de parada: nombre, dirección, sentido y coordenadas GPS.",
+      "Obtiene los detalles de una parada específica por su número: nombre, dirección, sentido y coordenadas GPS.",
     inputSchema: {
-      type: "object",
-      properties: {
-        numero_parada: {
-          type: "string",
-          description: 'Número identificador de la parada (ej: "539", "1234")',
-        },
-      },
-      required: ["numero_parada"],
+      numero_parada: z.string().describe('Número identificador de la parada (ej: "539")'),
     },
+    outputSchema: PARADA_COMPLETA.extend({
+      id: z.string().nullish(),
+      coordX: z.number().nullish().describe("Coordenada UTM X"),
+      coordY: z.number().nullish().describe("Coordenada UTM Y"),
+      ultimaActualizacion: z.string().nullish(),
+    }),
   },
   {
     name: "paradas_cercanas",
-    description:
-      "Encuentra las paradas de autobús más cercanas a unas coordenadas GPS dadas. Útil para saber qué bus coger desde una ubicación concreta.",
+    grupo: "Paradas",
+    resumen:
+      "Paradas más cercanas a unas coordenadas GPS, con filtros opcionales por radio en metros, línea y sentido",
+    description: "Encuentra las paradas de autobús más cercanas a unas coordenadas GPS dadas.",
     inputSchema: {
-      type: "object",
-      properties: {
-        latitud: {
-          type: "number",
-          description: "Latitud en grados decimales (ej: 43.4628)",
-        },
-        longitud: {
-          type: "number",
-          description: "Longitud en grados decimales (ej: -3.8044)",
-        },
-        numero_resultados: {
-          type: "integer",
-          description: "Número de paradas cercanas a devolver (por defecto: 5)",
-          default: 5,
-          minimum: 1,
-          maximum: 20,
-        },
-      },
-      required: ["latitud", "longitud"],
+      latitud: z.number().min(-90).max(90).describe("Latitud en grados decimales (ej: 43.4628)"),
+      longitud: z.number().min(-180).max(180).describe("Longitud en grados decimales (ej: -3.8044)"),
+      numero_resultados: z
+        .number()
+        .int()
+        .min(1)
+        .max(20)
+        .default(5)
+        .describe("Número de paradas cercanas a devolver (por defecto: 5)"),
+      radio_metros: z
+        .number()
+        .int()
+        .min(10)
+        .max(5000)
+        .optional()
+        .describe("Distancia máxima en metros; las paradas más lejanas se descartan"),
+      linea: z.string().optional().describe('Sólo paradas por las que pasa esta línea (ej: "1", "N3")'),
+      sentido: z
+        .string()
+        .optional()
+        .describe(
+          'Con linea, "ida" o "vuelta" filtra por el sentido de la línea; si no, texto a buscar en el sentido de la parada (ej: "Sardinero")'
+        ),
+      formato: FORMATO,
     },
+    outputSchema: conGeoJson({
+      coordenadasConsulta: PUNTO,
+      total: z.number(),
+      paradasCercanas: z.array(
+        PARADA_COMPLETA.extend({
+          lineas: z.array(z.string()).describe("Líneas que paran en ella"),
+          distanciaMetros: z.number().describe("Distancia real en línea recta"),
+          distanciaMetrosAprox: z
+            .number()
+            .describe("Obsoleto: el mismo valor que distanciaMetros, con el nombre que tenía antes"),
+        })
+      ),
+    }),
   },
 
-  // ── Estimaciones en tiempo real ──────────────────────────────────────────────
+  // ── Tiempo real ─────────────────────────────────────────────────────────────
   {
     name: "estimaciones_parada",
+    grupo: "Tiempo real",
+    resumen: "Próximos autobuses en una parada (tiempo real)",
     description:
-      "Consulta en tiempo real las estimaciones de llegada de autobuses a una parada concreta. Devuelve el tiempo en minutos y la hora estimada de llegada del próximo bus y el siguiente para cada línea que para en esa parada.",
+      "Consulta en tiempo real las estimaciones de llegada de autobuses a una parada concreta. Incluye la antigüedad de los datos (edadDatosSegundos y estadoDatos) y un aviso si no son fiables.",
     inputSchema: {
-      type: "object",
-      properties: {
-        numero_parada: {
-          type: "string",
-          description: 'Número de la parada (ej: "539")',
-        },
-      },
-      required: ["numero_parada"],
+      numero_parada: NUMERO_PARADA,
     },
+    outputSchema: objeto({
+      parada: PARADA.extend({ direccion: z.string().nullish(), sentido: z.string().nullish() }),
+      totalLineas: z.number().optional(),
+      estimaciones: z.array(
+        objeto({
+          linea: z.string(),
+          proximoBus: ESTIMACION_BUS,
+          segundoBus: ESTIMACION_BUS.nullable(),
+        })
+      ),
+      mensaje: z.string().optional().describe("Sólo si no hay estimaciones"),
+      ...TIEMPO_REAL,
+    }),
   },
   {
     name: "estimaciones_linea",
+    grupo: "Tiempo real",
+    resumen: "Posición de los buses de una línea (tiempo real)",
     description:
-      "Consulta en tiempo real las estimaciones de paso de todos los autobuses en circulación de una línea concreta, mostrando en qué paradas están y cuánto tardan.",
+      "Consulta en tiempo real las estimaciones de paso de todos los autobuses en circulación de una línea concreta, parada a parada (para situar los buses en el mapa usa posiciones_buses). Incluye la antigüedad de los datos (edadDatosSegundos y estadoDatos) y un aviso si no son fiables.",
     inputSchema: {
-      type: "object",
-      properties: {
-        numero_linea: {
-          type: "string",
-          description: 'Número o etiqueta de la línea (ej: "1", "15", "N3")',
-        },
-      },
-      required: ["numero_linea"],
+      numero_linea: NUMERO_LINEA,
     },
+    outputSchema: objeto({
+      linea: LINEA,
+      totalParadasConBuses: z.number().optional(),
+      posicionesBuses: z
+        .array(
+          objeto({
+            paradaId: z.string(),
+            nombreParada: z.string().nullable(),
+            proximoBus: ESTIMACION_BUS,
+          })
+        )
+        .optional()
+        .describe("Paradas con un bus en camino, de la llegada más próxima a la más lejana"),
+      estimaciones: z.array(z.unknown()).optional().describe("Vacío; sólo si no hay estimaciones"),
+      mensaje: z.string().optional(),
+      ...TIEMPO_REAL,
+    }),
+  },
+  {
+    name: "posiciones_buses",
+    grupo: "Tiempo real",
+    resumen: "Posición aproximada en el mapa de los buses de una línea (tiempo real)",
+    description:
+      'Sitúa en el mapa los autobuses en circulación de una línea: para cada uno da sentido, destino, coordenadas aproximadas y las paradas entre las que va. La posición se deduce de las distancias de las estimaciones en tiempo real. Con formato "geojson" devuelve un punto por autobús.',
+    inputSchema: {
+      numero_linea: NUMERO_LINEA,
+      formato: FORMATO,
+    },
+    outputSchema: conGeoJson({
+      linea: LINEA,
+      totalVehiculos: z.number(),
+      vehiculos: z.array(
+        objeto({
+          id: z.string(),
+          linea: z.string(),
+          sentido: z.string(),
+          destino: z.string().nullish(),
+          lat: z.number().nullable(),
+          lon: z.number().nullable(),
+          puntoKm: z.number(),
+          enCabecera: z.boolean().describe("Aún antes de la primera parada del sentido"),
+          paradaAnterior: PARADA.nullable(),
+          paradaSiguiente: PARADA.extend({ distanciaMetros: z.number() }),
+          progresoTramo: z.number().nullable().describe("Fracción recorrida del tramo entre paradas (0-1)"),
+          referencia: objeto({
+            parada: z.string(),
+            distanciaMetros: z.number(),
+            tiempoMinutos: z.number().nullable(),
+            llegada: z.string().nullable(),
+          }).describe("Estimación de la que se deduce la posición"),
+        })
+      ),
+      mensaje: z.string().optional().describe("Sólo si no se ha situado ningún bus"),
+      ...TIEMPO_REAL,
+    }),
+  },
+  {
+    name: "regularidad_linea",
+    grupo: "Tiempo real",
+    resumen: "Buses agrupados y huecos largos entre buses de una línea (tiempo real)",
+    description:
+      'Analiza en tiempo real la regularidad de una línea: deduce dónde van sus autobuses en cada sentido, la separación entre cada bus y el siguiente, y la espera en cada parada. Señala los buses agrupados y los huecos largos; sirve para explicar esperas anómalas ("¿por qué llevo 25 minutos esperando el 1?").',
+    inputSchema: {
+      numero_linea: NUMERO_LINEA,
+      umbral_agrupamiento_min: z
+        .number()
+        .int()
+        .min(1)
+        .max(10)
+        .default(UMBRALES_REGULARIDAD.agrupamientoMinutos)
+        .describe("Separación en minutos a partir de la cual dos buses se consideran agrupados (por defecto: 3)"),
+      umbral_hueco_min: z
+        .number()
+        .int()
+        .min(5)
+        .max(90)
+        .default(UMBRALES_REGULARIDAD.huecoMinutos)
+        .describe("Separación o espera en minutos que se considera un hueco (por defecto: 20)"),
+    },
+    outputSchema: objeto({
+      linea: LINEA,
+      umbrales: objeto({ agrupamientoMinutos: z.number(), huecoMinutos: z.number() }).optional(),
+      sentidos: z
+        .array(
+          objeto({
+            sentido: z.string(),
+            destino: z.string().nullish(),
+            totalBuses: z.number(),
+            buses: z.array(
+              objeto({
+                bus: z.number().describe("1 es el más adelantado"),
+                paradaAnterior: PARADA.nullable(),
+                paradaSiguiente: PARADA,
+                minutosHastaParada: z.number().nullable(),
+                distanciaMetros: z.number().nullable(),
+                intervaloConSiguienteMin: z.number().nullable(),
+                estado: z
+                  .enum(["agrupado", "hueco", "regular", "desconocido"])
+                  .describe("desconocido si no se anuncia el bus que le sigue"),
+              })
+            ),
+            paradas: z.array(
+              objeto({
+                orden: z.number(),
+                numero: z.string(),
+                nombre: z.string().nullish(),
+                esperaMinutos: z.number().nullable(),
+                siguienteMinutos: z.number().nullable(),
+                enHueco: z.boolean(),
+              })
+            ),
+            alertas: z.array(z.string()),
+          })
+        )
+        .optional(),
+      alertas: z.array(z.string()).optional(),
+      resumen: z.string().optional(),
+      mensaje: z.string().optional().describe("Sólo si la línea no tiene estimaciones"),
+      ...TIEMPO_REAL,
+    }),
+  },
+  {
+    name: "estadisticas_linea",
+    grupo: "Tiempo real",
+    resumen: "Intervalos, esperas y huecos sin servicio de una línea según el histórico",
+    description:
+      "Estadísticas de fiabilidad de una línea a partir del histórico de estimaciones: intervalo típico entre autobuses, dispersión de la espera en una parada, porcentaje del horario de servicio sin ningún bus y cuánto varían las predicciones entre capturas. Incluye una tabla por hora del día y otra por día de la semana. Requiere que el servidor grabe el histórico (TUS_HISTORIAL_DIR).",
+    inputSchema: {
+      numero_linea: z.string().describe('Número o etiqueta de la línea, como en listar_lineas (ej: "1", "N3")'),
+      numero_parada: z
+        .string()
+        .optional()
+        .describe("Limitar las estadísticas a una parada de la línea (por defecto, todas)"),
+      desde: z
+        .string()
+        .optional()
+        .describe('Inicio del periodo: "AAAA-MM-DD" o fecha y hora ISO (por defecto, hace 7 días)'),
+      hasta: z
+        .string()
+        .optional()
+        .describe('Final del periodo: "AAAA-MM-DD" (incluido) o fecha y hora ISO (por defecto, ahora)'),
+    },
+    outputSchema: objeto({
+      linea: LINEA,
+      parada: z.string().nullable(),
+      periodo: objeto({ desde: FECHA_ISO.nullable(), hasta: FECHA_ISO.nullable(), dias: z.number() }),
+      horarioServicio: z.string().describe('Franja "HH:MM-HH:MM" en la que se esperan buses'),
+      resumen: objeto({
+        capturas: z.number(),
+        pasosDetectados: z.number(),
+        intervaloMedianoMin: z.number().nullable(),
+        intervaloP90Min: z.number().nullable(),
+        esperaMediaMin: z.number().nullable(),
+        esperaMedianaMin: z.number().nullable(),
+        esperaP90Min: z.number().nullable(),
+        esperaMaximaMin: z.number().nullable(),
+        sinBusesEnHorarioPct: z.number().nullable(),
+        derivaPrediccion: objeto({
+          comparaciones: z.number(),
+          mediaSegundos: z.number().nullable(),
+          medianaAbsSegundos: z.number().nullable(),
+          p90AbsSegundos: z.number().nullable(),
+        }),
+      }),
+      porHora: TABLA,
+      porDiaSemana: TABLA,
+      mensaje: z.string().optional().describe("Sólo si no hay capturas en el periodo"),
+    }),
+  },
+
+  // ── Avisos ──────────────────────────────────────────────────────────────────
+  {
+    name: "vigilar_llegada",
+    grupo: "Avisos",
+    resumen: "Avisa con una notificación cuando una línea esté a menos de N minutos de una parada",
+    description:
+      'Vigila la llegada de una línea a una parada y avisa con una notificación (notifications/message, logger "vigilar_llegada") cuando el próximo bus esté a menos de umbral_minutos, o cuando la vigilancia caduque sin que llegue. Sirve para "avísame cuando el 12 esté a 5 minutos" sin consultar una y otra vez. Si el bus ya está dentro del umbral se dice en la respuesta y no se crea la vigilancia.',
+    inputSchema: {
+      numero_parada: NUMERO_PARADA,
+      numero_linea: NUMERO_LINEA,
+      umbral_minutos: z
+        .number()
+        .int()
+        .min(1)
+        .max(30)
+        .default(5)
+        .describe("Avisar cuando falten estos minutos o menos (por defecto: 5)"),
+      duracion_minutos: z
+        .number()
+        .int()
+        .min(5)
+        .max(120)
+        .default(30)
+        .describe("Minutos que dura la vigilancia antes de caducar (por defecto: 30)"),
+    },
+    outputSchema: objeto({
+      vigilando: z.boolean().describe("false si el bus ya está dentro del umbral"),
+      vigilancia: VIGILANCIA.optional(),
+      estimacionActual: LLEGADA.nullable().optional(),
+      proximoBus: LLEGADA.optional().describe("Sólo si no se vigila"),
+      mensaje: z.string(),
+    }),
+  },
+  {
+    name: "listar_vigilancias",
+    grupo: "Avisos",
+    resumen: "Vigilancias activas de la sesión",
+    description:
+      "Lista las vigilancias de llegada activas en esta sesión (creadas con vigilar_llegada), con su umbral, cuándo caducan y la última estimación comprobada.",
+    inputSchema: {},
+    outputSchema: objeto({
+      total: z.number(),
+      vigilancias: z.array(VIGILANCIA),
+    }),
+  },
+  {
+    name: "cancelar_vigilancia",
+    grupo: "Avisos",
+    resumen: "Cancela una vigilancia por su id",
+    description:
+      "Cancela una vigilancia de llegada activa de esta sesión por su id (ver listar_vigilancias).",
+    inputSchema: {
+      id: z.string().describe('Id de la vigilancia (ej: "v3")'),
+    },
+    outputSchema: objeto({
+      cancelada: VIGILANCIA,
+    }),
   },
 
-  // ── Planificación de rutas ───────────────────────────────────────────────────
+  // ── Planificación ───────────────────────────────────────────────────────────
   {
     name: "planificar_ruta",
+    grupo: "Planificación",
+    resumen: "Itinerarios entre dos números de parada, con hasta `max_transbordos` cambios de línea",
     description:
-      "Planifica cómo ir desde una parada de origen a una parada de destino usando el autobús TUS. Encuentra rutas directas y con transbordo, e incluye estimaciones de tiempo real del próximo bus disponible.",
+      "Planifica cómo ir desde una parada de origen a una parada de destino usando el autobús TUS de Santander. Busca rutas directas y con uno o varios transbordos, ordenadas por tiempo estimado.",
     inputSchema: {
-      type: "object",
-      properties: {
-        parada_origen: {
-          type: "string",
-          description: 'Número de la parada de origen (ej: "539")',
-        },
-        parada_destino: {
-          type: "string",
-          description: 'Número de la parada de destino (ej: "1234")',
-        },
-      },
-      required: ["parada_origen", "parada_destino"],
+      parada_origen: z.string().describe('Número de la parada de origen (ej: "539")'),
+      parada_destino: z.string().describe('Número de la parada de destino (ej: "1234")'),
+      max_transbordos: MAX_TRANSBORDOS,
+      radio_transbordo_metros: z
+        .number()
+        .int()
+        .min(0)
+        .max(800)
+        .default(300)
+        .describe(
+          "Distancia máxima a pie para cambiar de parada en un transbordo; 0 sólo permite transbordos en la misma parada (por defecto: 300)"
+        ),
+      formato: FORMATO,
     },
+    outputSchema: conGeoJson({
+      ...RUTA,
+      resumen: z.string(),
+    }),
   },
   {
     name: "ruta_desde_nombres",
+    grupo: "Planificación",
+    resumen: "Ruta entre dos puntos por nombre/dirección",
+    description:
+      "Planifica una ruta entre dos puntos buscándolos por nombre o dirección, sin necesidad de saber el número de parada. Reconoce lugares de interés (hospitales, estaciones, playas, universidad...), prueba varias paradas candidatas en cada extremo (ambos sentidos de una misma parada incluidos) y elige la combinación más rápida, explicando por qué.",
+    inputSchema: {
+      origen: z
+        .string()
+        .describe('Nombre del lugar o dirección de origen (ej: "Hospital Valdecilla", "Sardinero")'),
+      destino: z
+        .string()
+        .describe('Nombre del lugar o dirección de destino (ej: "Cuatro Caminos", "Plaza del Ayuntamiento")'),
+      max_candidatos: z
+        .number()
+        .int()
+        .min(1)
+        .max(5)
+        .default(3)
+        .describe(
+          "Paradas candidatas que se prueban en cada extremo; se comparan todas las combinaciones (por defecto: 3)"
+        ),
+      formato: FORMATO,
+    },
+    outputSchema: conGeoJson({
+      busqueda: objeto({ origen: RESOLUCION, destino: RESOLUCION }),
+      ruta: objeto(RUTA),
+      combinacionesProbadas: z.array(
+        objeto({
+          origen: PARADA.extend({ posicion: z.number() }),
+          destino: PARADA.extend({ posicion: z.number() }),
+          itinerarios: z.number(),
+          mejorTiempoMinutos: z.number().nullable(),
+          transbordos: z.number().nullable(),
+        })
+      ),
+      motivoEleccion: z.string().nullable().describe("null si ninguna combinación tiene ruta"),
+      resumen: z.string(),
+    }),
+  },
+  {
+    name: "ruta_desde_coordenadas",
+    grupo: "Planificación",
+    resumen: "Viaje puerta a puerta entre dos coordenadas GPS, con tramos a pie",
     description:
-      "Planifica una ruta entre dos puntos buscándolos por nombre o dirección, sin necesidad de saber el número de parada. Busca las paradas más relevantes para cada punto y calcula la mejor conexión entre ellas.",
+      "Planifica un viaje puerta a puerta entre dos coordenadas GPS: elige varias paradas cercanas a cada extremo, compara las rutas entre ellas e incluye los tramos a pie hasta la primera parada y desde la última.",
     inputSchema: {
-      type: "object",
-      properties: {
-        origen: {
-          type: "string",
-          description:
-            'Nombre del lugar o dirección de origen (ej: "Hospital Valdecilla", "Plaza del Ayuntamiento", "Sardinero")',
-        },
-        destino: {
-          type: "string",
-          description:
-            'Nombre del lugar o dirección de destino (ej: "Cuatro Caminos", "Estadio El Sardinero")',
-        },
-      },
-      required: ["origen", "destino"],
+      latitud_origen: z.number().min(-90).max(90).describe("Latitud del origen en grados decimales (ej: 43.4628)"),
+      longitud_origen: z.number().min(-180).max(180).describe("Longitud del origen en grados decimales (ej: -3.8044)"),
+      latitud_destino: z.number().min(-90).max(90).describe("Latitud del destino en grados decimales"),
+      longitud_destino: z.number().min(-180).max(180).describe("Longitud del destino en grados decimales"),
+      max_transbordos: MAX_TRANSBORDOS,
+      max_distancia_a_pie_metros: z
+        .number()
+        .int()
+        .min(100)
+        .max(1500)
+        .default(600)
+        .describe("Distancia máxima a pie hasta la parada de origen y desde la de destino (por defecto: 600)"),
+      formato: FORMATO,
     },
+    outputSchema: conGeoJson({
+      ...RUTA,
+      origen: PUNTO,
+      destino: PUNTO,
+      paradasCandidatas: objeto({
+        origen: z.array(PARADA.extend({ distanciaMetros: z.number() })),
+        destino: z.array(PARADA.extend({ distanciaMetros: z.number() })),
+      }),
+      soloAPie: objeto({ distanciaMetros: z.number(), minutos: z.number() }).describe(
+        "El viaje entero caminando, en línea recta"
+      ),
+      resumen: z.string(),
+    }),
   },
 ];
@@ -0,0 +1,194 @@
+/**
+ * Vigilancia de llegadas: avisa al cliente cuando el próximo bus de una
+ * línea está a menos de un umbral de minutos de una parada, sin que tenga
+ * que preguntar una y otra vez.
+ *
+ * Un único temporizador, activo sólo mientras hay vigilancias, comprueba
+ * todas con el snapshot de estimaciones de la cache de 30 s (no hace
+ * peticiones propias al portal). Cada vigilancia lleva una función
+ * notificar que la sesión MCP que la creó usa para enviar el aviso; se
+ * avisa una vez, al llegar el bus al umbral o al caducar la vigilancia, y
+ * después se borra.
+ *
+ * Configuración por variables de entorno:
+ *   - TUS_VIGILANCIA_INTERVALO_S: segundos entre comprobaciones (30)
+ *   - TUS_VIGILANCIA_MAX: vigilancias activas por sesión (10)
+ */
+
+import { getEstimacionesCached } from "./api.js";
+import { clasificarEdad } from "./frescura.js";
+
+const INTERVALO_MS = (parseInt(process.env.TUS_VIGILANCIA_INTERVALO_S) || 30) * 1000;
+const MAX_POR_SESION = parseInt(process.env.TUS_VIGILANCIA_MAX) || 10;
+
+const _vigilancias = new Map();
+let _siguienteId = 1;
+let _temporizador = null;
+let _comprobando = false;
+
+// ─── Estimación vigente ───────────────────────────────────────────────────────
+
+/**
+ * Próximo bus de una línea en una parada según el snapshot compartido:
+ * { minutos, llegadaEstimada, destino, estadoDatos } o null si no hay
+ * estimación utilizable. A los segundos del portal se les resta la edad del
+ * dato; si el primer bus anunciado ya ha pasado se toma el segundo.
+ */
+function proximaLlegada(estimaciones, parada, linea, ahora) {
+  const e = estimaciones.find(
+    (x) => x.paradaId?.toString() === parada && x.linea?.toUpperCase() === linea
+  );
+  if (!e) return null;
+
+  const edad = e.fechaDatos === null ? 0 : Math.max(0, (ahora - e.fechaDatos) / 1000);
+  const estadoDatos = e.fechaDatos === null ? "desconocido" : clasificarEdad(edad);
+  if (estadoDatos === "caducado") return null;
+
+  const bus = [
+    { ...e.proximoBus, destino: e.destino1 },
+    { ...e.segundoBus, destino: e.destino2 },
+  ].find((b) => b.tiempoSegundos >= 0 && b.tiempoSegundos - edad >= 0);
+  if (!bus) return null;
+
+  return {
+    minutos: Math.round((bus.tiempoSegundos - edad) / 60),
+    llegadaEstimada: bus.llegada,
+    destino: bus.destino ?? null,
+    estadoDatos,
+  };
+}
+
+/** Próximo bus de una línea en una parada ahora mismo (ver proximaLlegada) */
+export async function consultarLlegada(parada, linea) {
+  const { estimaciones } = await getEstimacionesCached();
+  return proximaLlegada(estimaciones, parada.toString(), linea.toString().toUpperCase(), Date.now());
+}
+
+// ─── Registro ─────────────────────────────────────────────────────────────────
+
+/** Datos de una vigilancia que se pueden enseñar al cliente */
+function vista(v) {
+  return {
+    id: v.id,
+    parada: v.parada,
+    nombreParada: v.nombreParada,
+    linea: v.linea,
+    umbralMinutos: v.umbralMinutos,
+    creadaEn: new Date(v.creadaEn).toISOString(),
+    expiraEn: new Date(v.expiraEn).toISOString(),
+    ultimaEstimacion: v.ultimaEstimacion,
+  };
+}
+
+/**
+ * Crea una vigilancia. propietario identifica la sesión (sólo ella puede
+ * listarla o cancelarla) y notificar(evento) recibe el aviso, con
+ * evento.tipo "llegada" o "caducada". Lanza un error si la sesión ya tiene
+ * el máximo de vigilancias activas.
+ */
+export function crearVigilancia(
+  { parada, nombreParada = null, linea, umbralMinutos, duracionMinutos },
+  { propietario, notificar }
+) {
+  if (listarVigilancias(propietario).length >= MAX_POR_SESION) {
+    throw new Error(
+      `Ya hay ${MAX_POR_SESION} vigilancias activas en esta sesión; cancela alguna con cancelar_vigilancia.`
+    );
+  }
+
+  const ahora = Date.now();
+  const v = {
+    id: `v${_siguienteId++}`,
+    parada: parada.toString(),
+    nombreParada,
+    linea: linea.toString().toUpperCase(),
+    umbralMinutos,
+    creadaEn: ahora,
+    expiraEn: ahora + duracionMinutos * 60_000,
+    ultimaEstimacion: null,
+    propietario,
+    notificar,
+  };
+  _vigilancias.set(v.id, v);
+  programar();
+  return vista(v);
+}
+
+/** Vigilancias activas de una sesión, de la más antigua a la más reciente */
+export function listarVigilancias(propietario) {
+  return [..._vigilancias.values()].filter((v) => v.propietario === propietario).map(vista);
+}
+
+/** Cancela una vigilancia de la sesión; devuelve la cancelada o null */
+export function cancelarVigilancia(id, propietario) {
+  const v = _vigilancias.get(id);
+  if (!v || v.propietario !== propietario) return null;
+  _vigilancias.delete(id);
+  programar();
+  return vista(v);
+}
+
+/** Cancela, sin avisar, todas las vigilancias de una sesión que se cierra */
+export function cancelarVigilanciasDe(propietario) {
+  for (const v of _vigilancias.values()) {
+    if (v.propietario === propietario) _vigilancias.delete(v.id);
+  }
+  programar();
+}
+
+// ─── Comprobación periódica ───────────────────────────────────────────────────
+
+/** Arranca o para el temporizador según haya o no vigilancias */
+function programar() {
+  if (_vigilancias.size > 0 && !_temporizador) {
+    _temporizador = setInterval(comprobarVigilancias, INTERVALO_MS);
+    _temporizador.unref();
+  } else if (_vigilancias.size === 0 && _temporizador) {
+    clearInterval(_temporizador);
+    _temporizador = null;
+  }
+}
+
+function avisar(v, evento) {
+  _vigilancias.delete(v.id);
+  Promise.resolve()
+    .then(() => v.notificar({ ...evento, vigilancia: vista(v) }))
+    .catch((e) => console.error(`Vigilancia ${v.id}: no se pudo enviar el aviso: ${e.message}`));
+}
+
+async function comprobarVigilancias() {
+  if (_comprobando) return;
+  _comprobando = true;
+  try {
+    const { estimaciones } = await getEstimacionesCached();
+    const ahora = Date.now();
+
+    for (const v of [..._vigilancias.values()]) {
+      const llegada = proximaLlegada(estimaciones, v.parada, v.linea, ahora);
+      if (llegada) v.ultimaEstimacion = { ...llegada, comprobadaEn: new Date(ahora).toISOString() };
+
+      if (llegada && llegada.minutos <= v.umbralMinutos) {
+        avisar(v, {
+          tipo: "llegada",
+          mensaje:
+            `La línea ${v.linea} llega a la parada ${v.nombreParada ?? v.parada} en ` +
+            `${llegada.minutos} min (hacia las ${llegada.llegadaEstimada}).`,
+          ...llegada,
+        });
+      } else if (ahora >= v.expiraEn) {
+        avisar(v, {
+          tipo: "caducada",
+          mensaje:
+            `Ha terminado la vigilancia de la línea ${v.linea} en la parada ${v.nombreParada ?? v.parada} ` +
+            `sin que el bus llegara a ${v.umbralMinutos} min` +
+            (llegada ? ` (última estimación: ${llegada.minutos} min).` : "."),
+        });
+      }
+    }
+  } catch (e) {
+    console.error(`Vigilancias: no se pudieron comprobar las estimaciones: ${e.message}`);
+  } finally {
+    _comprobando = false;
+    programar();
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Escritor mínimo de ficheros ZIP (deflate) sin dependencias externas
+ */
+
+import { deflateRawSync } from "node:zlib";
+
+const TABLA_CRC = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = TABLA_CRC[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Fecha y hora en formato MS-DOS, como las guarda el ZIP */
+function fechaDos(fecha) {
+  return {
+    hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | (fecha.getSeconds() >> 1),
+    dia: ((fecha.getFullYear() - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate(),
+  };
+}
+
+/**
+ * Crea un ZIP en memoria.
+ * ficheros: objeto { nombre: contenido } (string o Buffer)
+ */
+export function crearZip(ficheros, fecha = new Date()) {
+  const { hora, dia } = fechaDos(fecha);
+  const locales = [];
+  const centrales = [];
+  let offset = 0;
+
+  for (const [nombre, contenido] of Object.entries(ficheros)) {
+    const nombreBuf = Buffer.from(nombre, "utf8");
+    const datos = Buffer.isBuffer(contenido) ? contenido : Buffer.from(contenido, "utf8");
+    const comprimido = deflateRawSync(datos);
+    const crc = crc32(datos);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // versión necesaria
+    local.writeUInt16LE(0x0800, 6); // nombres en UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(hora, 10);
+    local.writeUInt16LE(dia, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(comprimido.length, 18);
+    local.writeUInt32LE(datos.length, 22);
+    local.writeUInt16LE(nombreBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(hora, 12);
+    central.writeUInt16LE(dia, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(comprimido.length, 20);
+    central.writeUInt32LE(datos.length, 24);
+    central.writeUInt16LE(nombreBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locales.push(local, nombreBuf, comprimido);
+    centrales.push(central, nombreBuf);
+    offset += local.length + nombreBuf.length + comprimido.length;
+  }
+
+  const directorio = Buffer.concat(centrales);
+  const fin = Buffer.alloc(22);
+  fin.writeUInt32LE(0x06054b50, 0);
+  fin.writeUInt16LE(Object.keys(ficheros).length, 8);
+  fin.writeUInt16LE(Object.keys(ficheros).length, 10);
+  fin.writeUInt32LE(directorio.length, 12);
+  fin.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locales, directorio, fin]);
+}
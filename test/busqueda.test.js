@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { crearIndiceBusqueda, plegarTexto, tokenizar } from "../src/busqueda.js";
+
+const PARADAS = [
+  { numero: "1", nombre: "Valdecilla", direccion: "Avda. de Valdecilla 25" },
+  { numero: "2", nombre: "Valdecilla Sur", direccion: "C/ Marqués de la Hermida" },
+  { numero: "3", nombre: "Avenida de los Castros 40", direccion: "Avda. Castros" },
+  { numero: "4", nombre: "Plaza de las Estaciones", direccion: "" },
+  { numero: "5", nombre: "Sardinero", direccion: "Avda. Castañeda" },
+  { numero: "6", nombre: "Sardineros Altos", direccion: "" },
+];
+
+const indice = crearIndiceBusqueda(PARADAS);
+const numeros = (texto, opciones) => indice.buscar(texto, opciones).map((r) => r.elemento.numero);
+
+test("plegarTexto quita tildes y mayúsculas", () => {
+  assert.equal(plegarTexto("  Marqués de la HERMIDA "), "marques de la hermida");
+  assert.equal(plegarTexto(null), "");
+});
+
+test("tokenizar expande las abreviaturas del callejero", () => {
+  assert.deepEqual(tokenizar("Avda. Reina Victoria"), ["avenida", "reina", "victoria"]);
+  assert.deepEqual(tokenizar("C/ Sta. Lucía 3º"), ["calle", "santa", "lucia", "3o"]);
+  assert.deepEqual(tokenizar("Pza. de las Estaciones"), ["plaza", "de", "las", "estaciones"]);
+});
+
+test("una abreviatura en la consulta encuentra el nombre completo", () => {
+  assert.deepEqual(numeros("Av. Castros"), ["3"]);
+  assert.deepEqual(numeros("pza estaciones"), ["4"]);
+});
+
+test("una errata encuentra la parada", () => {
+  const [primero] = indice.buscar("valdecila");
+  assert.equal(primero.elemento.nombre, "Valdecilla");
+  assert.ok(primero.relevancia < 1);
+});
+
+test("el nombre exacto va antes que el que sólo lo contiene o empieza igual", () => {
+  assert.deepEqual(numeros("Valdecilla").slice(0, 2), ["1", "2"]);
+  assert.equal(numeros("Valdecilla Sur")[0], "2");
+
+  const [exacta, prefijo] = indice.buscar("sardinero");
+  assert.deepEqual([exacta.elemento.numero, exacta.relevancia], ["5", 1]);
+  assert.equal(prefijo.elemento.numero, "6");
+  assert.ok(prefijo.relevancia < exacta.relevancia);
+});
+
+test("un número de parada exacto va primero", () => {
+  assert.deepEqual(numeros("3"), ["3"]);
+});
+
+test("minRelevancia descarta las coincidencias débiles", () => {
+  assert.deepEqual(numeros("xyz"), []);
+  assert.deepEqual(numeros("de la"), []);
+  assert.deepEqual(numeros("valdecila", { minRelevancia: 0.9 }), []);
+});
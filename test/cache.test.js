@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { createDatasetCache } from "../src/cache.js";
+
+const HORA = 60 * 60 * 1000;
+
+async function conSnapshot(entrada, prueba) {
+  const dir = await mkdtemp(path.join(tmpdir(), "tus-cache-"));
+  const snapshotFile = path.join(dir, "paradas_bus.json");
+  if (entrada) await writeFile(snapshotFile, JSON.stringify(entrada));
+  try {
+    await prueba(snapshotFile);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+function contarDescargas(resources) {
+  const load = async () => {
+    load.llamadas++;
+    return resources;
+  };
+  load.llamadas = 0;
+  return load;
+}
+
+test("las lecturas simultáneas esperan a la copia en disco en lugar de ir a la red", async () => {
+  const guardada = { resources: [{ "dc:identifier": "1" }], version: null, ts: Date.now() };
+  await conSnapshot(guardada, async (snapshotFile) => {
+    const load = contarDescargas([]);
+    const cache = createDatasetCache({ nombre: "paradas", load, ttlMs: HORA, maxStaleMs: HORA, snapshotFile });
+
+    const lecturas = await Promise.all([cache.get(), cache.get(), cache.get()]);
+    assert.equal(load.llamadas, 0);
+    for (const l of lecturas) assert.deepEqual(l.resources, guardada.resources);
+  });
+});
+
+test("sin copia en disco se descarga una sola vez", async () => {
+  await conSnapshot(null, async (snapshotFile) => {
+    const load = contarDescargas([{ "dc:identifier": "2" }]);
+    const cache = createDatasetCache({ nombre: "paradas", load, ttlMs: HORA, maxStaleMs: HORA, snapshotFile });
+
+    await Promise.all([cache.get(), cache.get()]);
+    assert.equal(load.llamadas, 1);
+  });
+});
+
+test("tras invalidate no se vuelve a leer la copia en disco", async () => {
+  const guardada = { resources: [{ "dc:identifier": "1" }], version: null, ts: Date.now() };
+  await conSnapshot(guardada, async (snapshotFile) => {
+    const load = contarDescargas([{ "dc:identifier": "3" }]);
+    const cache = createDatasetCache({ nombre: "paradas", load, ttlMs: HORA, maxStaleMs: HORA, snapshotFile });
+
+    await cache.get();
+    cache.invalidate();
+    const { resources } = await cache.get();
+    assert.equal(load.llamadas, 1);
+    assert.deepEqual(resources, [{ "dc:identifier": "3" }]);
+  });
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { compilarQueryLucene, createDataSource, ENDPOINTS } from "../src/datasource.js";
+
+const PARADAS = [
+  { "ayto:numero": "1", "ayto:parada": "Avda. de Valdecilla 1", "ayto:sentido": "Centro", uri: "u/1" },
+  { "ayto:numero": "12", "ayto:parada": "Plaza del Ayuntamiento", "ayto:sentido": "Sardinero", uri: "u/12" },
+  { "ayto:numero": "21", "ayto:parada": "Calle Alta 21", "ayto:sentido": "Centro", uri: "u/21" },
+  { "ayto:numero": "3*", "ayto:parada": "Parada con asterisco", "ayto:sentido": "Centro", uri: "u/3" },
+];
+
+const numeros = (query) => PARADAS.filter(compilarQueryLucene(query)).map((p) => p["ayto:numero"]);
+
+// ─── Filtros Lucene ───────────────────────────────────────────────────────────
+
+test("campo:valor compara el valor entero, sin distinguir mayúsculas", () => {
+  assert.deepEqual(numeros("ayto\\:numero:1"), ["1"]);
+  assert.deepEqual(numeros("ayto\\:sentido:centro"), ["1", "21", "3*"]);
+  assert.deepEqual(numeros("ayto\\:numero:99"), []);
+});
+
+test("un término sin campo se busca en todos los campos y en cada palabra", () => {
+  assert.deepEqual(numeros("ayuntamiento"), ["12"]);
+  assert.deepEqual(numeros("alta"), ["21"]);
+});
+
+test("AND, OR, NOT y paréntesis", () => {
+  assert.deepEqual(numeros("ayto\\:sentido:Centro AND ayto\\:numero:21"), ["21"]);
+  assert.deepEqual(numeros("ayto\\:numero:1 OR ayto\\:numero:12"), ["1", "12"]);
+  assert.deepEqual(numeros("ayto\\:sentido:Centro AND NOT ayto\\:numero:1"), ["21", "3*"]);
+  assert.deepEqual(
+    numeros("(ayto\\:numero:1 OR ayto\\:numero:12) AND ayto\\:sentido:Sardinero"),
+    ["12"]
+  );
+});
+
+test("dos términos sin operador se combinan con OR", () => {
+  assert.deepEqual(numeros("ayto\\:numero:1 ayto\\:numero:21"), ["1", "21"]);
+});
+
+test("wildcards * y ?", () => {
+  assert.deepEqual(numeros("ayto\\:numero:1*"), ["1", "12"]);
+  assert.deepEqual(numeros("ayto\\:numero:?1"), ["21"]);
+  assert.deepEqual(numeros("ayto\\:parada:*valdecilla*"), ["1"]);
+});
+
+test("los caracteres escapados con \\ son literales", () => {
+  // Un * escapado no es wildcard y un espacio escapado no separa términos
+  assert.deepEqual(numeros("ayto\\:numero:3\\*"), ["3*"]);
+  assert.deepEqual(numeros("ayto\\:parada:Calle\\ Alta\\ 21"), ["21"]);
+  assert.deepEqual(numeros("ayto\\:parada:Avda\\.*"), ["1"]);
+});
+
+test("una query vacía lo acepta todo y una mal formada falla", () => {
+  assert.equal(numeros("").length, PARADAS.length);
+  assert.equal(numeros(undefined).length, PARADAS.length);
+  assert.throws(() => compilarQueryLucene("(ayto\\:numero:1"), /Paréntesis sin cerrar/);
+  assert.throws(() => compilarQueryLucene("ayto\\:numero:1 AND"), /incompleta/);
+  assert.throws(() => compilarQueryLucene(")"), /Token inesperado/);
+});
+
+// ─── Replay ───────────────────────────────────────────────────────────────────
+
+test("replay pagina y filtra los datos grabados como el portal", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "tus-replay-"));
+  try {
+    const resources = Array.from({ length: 7 }, (_, i) => ({
+      "ayto:numero": String(i + 1),
+      "ayto:sentido": i % 2 ? "Sardinero" : "Centro",
+      uri: `u/${i + 1}`,
+    }));
+    await writeFile(path.join(dir, ENDPOINTS.paradas), JSON.stringify({ summary: {}, resources }));
+    const source = createDataSource({ mode: "replay", fixturesDir: dir });
+
+    const primera = await source.fetchPage(ENDPOINTS.paradas, { items_per_page: "3" });
+    assert.deepEqual(primera.summary, { items: 7, items_per_page: 3, pages: 3, current_page: 1 });
+    assert.deepEqual(primera.resources.map((r) => r["ayto:numero"]), ["1", "2", "3"]);
+
+    const ultima = await source.fetchPage(ENDPOINTS.paradas, { items_per_page: "3", page: "3" });
+    assert.deepEqual(ultima.resources.map((r) => r["ayto:numero"]), ["7"]);
+
+    const filtrada = await source.fetchPage(ENDPOINTS.paradas, {
+      items_per_page: "2",
+      page: "2",
+      query: "ayto\\:sentido:Centro",
+    });
+    assert.equal(filtrada.summary.items, 4);
+    assert.equal(filtrada.summary.pages, 2);
+    assert.deepEqual(filtrada.resources.map((r) => r["ayto:numero"]), ["5", "7"]);
+
+    assert.equal((await source.fetchResource("u/4"))["ayto:numero"], "4");
+    await assert.rejects(source.fetchPage(ENDPOINTS.lineas), /No hay datos grabados/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+import { TOOLS } from "../src/tools.js";
+import { PARADAS, SERVIDOR, prepararFixtures } from "./red-prueba.js";
+
+// El servidor se arranca por stdio sobre fixtures sintéticas en modo replay.
+// El SDK valida cada structuredContent contra el outputSchema de su
+// herramienta y, si no encaja, devuelve un error en lugar del resultado.
+
+let fixtures;
+let cliente;
+
+before(async () => {
+  fixtures = await prepararFixtures();
+  cliente = new Client({ name: "test-esquemas", version: "1.0.0" });
+  await cliente.connect(
+    new StdioClientTransport({
+      command: process.execPath,
+      args: [SERVIDOR],
+      env: { ...process.env, MCP_TRANSPORT: "stdio", TUS_DATA_MODE: "replay", TUS_FIXTURES_DIR: fixtures.dir },
+      stderr: "ignore",
+    })
+  );
+});
+
+after(async () => {
+  await cliente?.close();
+  await fixtures?.borrar();
+});
+
+async function llamar(name, args) {
+  const resultado = await cliente.callTool({ name, arguments: args });
+  assert.ok(!resultado.isError, resultado.content?.[0]?.text);
+  return resultado.structuredContent;
+}
+
+test("todas las herramientas publican su outputSchema", async () => {
+  const { tools } = await cliente.listTools();
+  assert.deepEqual(tools.map((t) => t.name).sort(), TOOLS.map((t) => t.name).sort());
+  for (const t of tools) assert.equal(t.outputSchema?.type, "object", t.name);
+});
+
+test("regularidad_linea encaja con un bus sin otro detrás", async () => {
+  const { sentidos } = await llamar("regularidad_linea", { numero_linea: "1" });
+  const estados = sentidos.flatMap((s) => s.buses.map((b) => b.estado));
+  assert.deepEqual(estados, ["desconocido", "regular"]);
+});
+
+test("ruta_desde_nombres encaja sin ninguna combinación con ruta", async () => {
+  const resultado = await llamar("ruta_desde_nombres", {
+    origen: "Parada de prueba 6",
+    destino: "Parada de prueba 1",
+    max_candidatos: 1,
+  });
+  assert.equal(resultado.motivoEleccion, null);
+});
+
+test("info_linea traza cada sentido por su recorrido principal, sin la variante", async () => {
+  const esperado = PARADAS.map((p) => [p.lat, p.lon]);
+  const { trazados } = await llamar("info_linea", { numero_linea: "1" });
+  assert.deepEqual(trazados.ida, esperado);
+
+  const { features } = await llamar("info_linea", { numero_linea: "1", formato: "geojson" });
+  const lineas = features.filter((f) => f.geometry.type === "LineString");
+  assert.equal(lineas.length, 1);
+  assert.deepEqual(lineas[0].geometry.coordinates, esperado.map(([lat, lon]) => [lon, lat]));
+});
+
+test("el resto de herramientas de consulta encajan con los datos de prueba", async () => {
+  const [primera, ultima] = [PARADAS[0], PARADAS.at(-1)];
+  const { paradasCercanas } = await llamar("paradas_cercanas", { latitud: primera.lat, longitud: primera.lon });
+  assert.equal(paradasCercanas[0].numero, "1");
+
+  for (const [nombre, args] of [
+    ["listar_lineas", {}],
+    ["info_linea", { numero_linea: "1" }],
+    ["buscar_paradas", { texto: "prueba" }],
+    ["info_parada", { numero_parada: "3" }],
+    ["estimaciones_parada", { numero_parada: "3" }],
+    ["estimaciones_linea", { numero_linea: "1" }],
+    ["posiciones_buses", { numero_linea: "1" }],
+    ["planificar_ruta", { parada_origen: "1", parada_destino: "6" }],
+    [
+      "ruta_desde_coordenadas",
+      { latitud_origen: primera.lat, longitud_origen: primera.lon, latitud_destino: ultima.lat, longitud_destino: ultima.lon },
+    ],
+  ]) {
+    await llamar(nombre, args);
+  }
+});
+
+test("las herramientas con formato encajan también como GeoJSON", async () => {
+  const [primera, ultima] = [PARADAS[0], PARADAS.at(-1)];
+  for (const [nombre, args] of [
+    ["buscar_paradas", { texto: "prueba" }],
+    ["paradas_cercanas", { latitud: primera.lat, longitud: primera.lon }],
+    ["posiciones_buses", { numero_linea: "1" }],
+    ["planificar_ruta", { parada_origen: "1", parada_destino: "6" }],
+    ["ruta_desde_nombres", { origen: "Parada de prueba 1", destino: "Parada de prueba 6" }],
+    [
+      "ruta_desde_coordenadas",
+      { latitud_origen: primera.lat, longitud_origen: primera.lon, latitud_destino: ultima.lat, longitud_destino: ultima.lon },
+    ],
+  ]) {
+    const { type, features } = await llamar(nombre, { ...args, formato: "geojson" });
+    assert.equal(type, "FeatureCollection", nombre);
+    assert.ok(features.length > 0, nombre);
+  }
+});
+
+test("cada formato se valida entero, sin campos opcionales de más", async () => {
+  const { tools } = await cliente.listTools();
+  const publicado = tools.find((t) => t.name === "info_linea").outputSchema;
+  assert.equal(publicado.anyOf.length, 2);
+  assert.ok(publicado.anyOf[0].required.includes("linea"));
+  assert.deepEqual(publicado.anyOf[1].required, ["type", "features"]);
+
+  const { outputSchema } = TOOLS.find((t) => t.name === "info_linea");
+  assert.equal(outputSchema.safeParse({}).success, false);
+  assert.equal(outputSchema.safeParse({ type: "FeatureCollection" }).success, false);
+  assert.equal(outputSchema.safeParse({ type: "FeatureCollection", features: [{ type: "Punto" }] }).success, false);
+  assert.equal(outputSchema.safeParse({ type: "FeatureCollection", features: [] }).success, true);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { calcularEstadisticasLinea } from "../src/estadisticas.js";
+
+// Miércoles 15 de enero de 2025: capturas cada minuto de 10:00 a 10:29
+// (hora de Santander) en las que la línea 1 pasa por la parada 3 a las
+// 10:05, 10:15 y 10:25. A las 10:30 y 10:31 sólo hay buses de la línea 2
+// y a las 23:00, fuera del horario de servicio, ninguno.
+const INICIO = Date.parse("2025-01-15T09:00:00Z");
+const PASOS = [5, 15, 25, 35];
+
+function capturasFixture() {
+  const capturas = [];
+  for (let m = 0; m < 30; m++) {
+    const siguiente = PASOS.find((p) => p >= m);
+    const t1 = (siguiente - m) * 60;
+    capturas.push({ t: INICIO + m * 60_000, e: [["3", "1", t1, t1 + 600, t1 * 5, (t1 + 600) * 5, "Centro"]] });
+  }
+  for (const m of [30, 31]) {
+    capturas.push({ t: INICIO + m * 60_000, e: [["3", "2", 300, -1, 1500, -1, "Centro"]] });
+  }
+  capturas.push({ t: Date.parse("2025-01-15T22:00:00Z"), e: [] });
+  return capturas;
+}
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "tus-estadisticas-"));
+  await writeFile(
+    path.join(dir, "estimaciones-2025-01-15.jsonl"),
+    capturasFixture().map((c) => JSON.stringify(c)).join("\n") + "\n"
+  );
+  process.env.TUS_HISTORIAL_DIR = dir;
+});
+
+after(async () => {
+  delete process.env.TUS_HISTORIAL_DIR;
+  await rm(dir, { recursive: true, force: true });
+});
+
+// Los percentiles salen de histogramas de cubetas de 0,5 min (10 s para la
+// deriva) y se dan en el centro de la cubeta: 10 min → 10,25 → 10,3
+
+test("los pasos se deducen de las estimaciones y dan el intervalo entre buses", async () => {
+  const { periodo, resumen } = await calcularEstadisticasLinea("1");
+  assert.deepEqual(periodo, {
+    desde: "2025-01-15T09:00:00.000Z",
+    hasta: "2025-01-15T22:00:00.000Z",
+    dias: 1,
+  });
+  // Pasos detectados a las 10:05, 10:15 y 10:25: dos intervalos de 10 min
+  assert.equal(resumen.capturas, 33);
+  assert.equal(resumen.pasosDetectados, 2);
+  assert.equal(resumen.intervaloMedianoMin, 10.3);
+  assert.equal(resumen.intervaloP90Min, 10.3);
+});
+
+test("las esperas se calculan sobre el primer bus de cada captura", async () => {
+  const { resumen } = await calcularEstadisticasLinea("1");
+  // Esperas: 5…0, dos veces 9…0 y 9…6 minutos (30 capturas, suma 135)
+  assert.equal(resumen.esperaMediaMin, 4.5);
+  assert.equal(resumen.esperaMedianaMin, 4.3);
+  assert.equal(resumen.esperaP90Min, 8.3);
+  assert.equal(resumen.esperaMaximaMin, 9);
+});
+
+test("sólo cuentan como sin buses las capturas en horario de servicio", async () => {
+  const { resumen } = await calcularEstadisticasLinea("1");
+  // 2 de las 32 capturas entre las 07:00 y las 22:30; la de las 23:00 no
+  assert.equal(resumen.sinBusesEnHorarioPct, 6.3);
+});
+
+test("la hora prevista del mismo bus no se mueve entre capturas", async () => {
+  const { derivaPrediccion } = (await calcularEstadisticasLinea("1")).resumen;
+  // 29 parejas de capturas seguidas con bus, menos las 3 en que cambia
+  assert.equal(derivaPrediccion.comparaciones, 26);
+  assert.equal(derivaPrediccion.mediaSegundos, 0);
+  assert.equal(derivaPrediccion.medianaAbsSegundos, 5);
+});
+
+test("las tablas agrupan por hora y por día de la semana", async () => {
+  const { porHora, porDiaSemana } = await calcularEstadisticasLinea("1");
+  assert.deepEqual(porHora.columnas, [
+    "hora", "capturas", "pasos", "intervaloMedianoMin", "esperaMedianaMin", "esperaP90Min", "sinBusesPct",
+  ]);
+  assert.deepEqual(porHora.filas, [
+    ["10", 32, 2, 10.3, 4.3, 8.3, 6.3],
+    ["23", 1, 0, null, null, null, null],
+  ]);
+  assert.deepEqual(porDiaSemana.filas, [["miércoles", 33, 2, 10.3, 4.3, 8.3, 6.3]]);
+});
+
+test("sin datos de la parada no hay pasos ni esperas", async () => {
+  const { resumen } = await calcularEstadisticasLinea("1", { parada: "4" });
+  assert.equal(resumen.capturas, 33);
+  assert.equal(resumen.pasosDetectados, 0);
+  assert.equal(resumen.esperaMediaMin, null);
+  assert.equal(resumen.sinBusesEnHorarioPct, 100);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  clasificarEdad,
+  evaluarFrescura,
+  horaMadrid,
+  parsearFechaPortal,
+  partesMadrid,
+} from "../src/frescura.js";
+
+test("una fecha sin zona se lee en hora de Santander, con el cambio de verano", () => {
+  assert.equal(parsearFechaPortal("2025-01-15T10:00:00"), Date.parse("2025-01-15T09:00:00Z"));
+  assert.equal(parsearFechaPortal("2025-07-15 10:00"), Date.parse("2025-07-15T08:00:00Z"));
+  // Justo antes y después del cambio del 30 de marzo de 2025 (02:00 → 03:00)
+  assert.equal(parsearFechaPortal("2025-03-30T01:30:00"), Date.parse("2025-03-30T00:30:00Z"));
+  assert.equal(parsearFechaPortal("2025-03-30T03:30:00"), Date.parse("2025-03-30T01:30:00Z"));
+});
+
+test("una fecha con zona se respeta", () => {
+  assert.equal(parsearFechaPortal("2025-01-15T10:00:00Z"), Date.parse("2025-01-15T10:00:00Z"));
+  assert.equal(parsearFechaPortal("2025-01-15T10:00:00.250+02:00"), Date.parse("2025-01-15T08:00:00.250Z"));
+  assert.equal(parsearFechaPortal("2025-01-15T10:00:00-0130"), Date.parse("2025-01-15T11:30:00Z"));
+});
+
+test("una fecha que no se entiende da null", () => {
+  for (const texto of [null, "", "15/01/2025 10:00", "ayer"]) {
+    assert.equal(parsearFechaPortal(texto), null, String(texto));
+  }
+});
+
+test("las horas se dan en Santander sea cual sea la zona del servidor", () => {
+  assert.equal(horaMadrid(Date.parse("2025-01-15T23:30:00Z")), "00:30");
+  assert.equal(horaMadrid(Date.parse("2025-07-15T23:30:00Z")), "01:30");
+  assert.deepEqual(partesMadrid(Date.parse("2025-07-15T23:30:00Z")), {
+    fecha: "2025-07-16",
+    diaSemana: 3,
+    minutosDia: 90,
+  });
+});
+
+test("la edad se clasifica por los umbrales", () => {
+  const umbrales = { retrasoSegundos: 90, caducadoSegundos: 300 };
+  assert.equal(clasificarEdad(null, umbrales), "desconocido");
+  assert.equal(clasificarEdad(0, umbrales), "fresco");
+  assert.equal(clasificarEdad(90, umbrales), "fresco");
+  assert.equal(clasificarEdad(91, umbrales), "retrasado");
+  assert.equal(clasificarEdad(300, umbrales), "retrasado");
+  assert.equal(clasificarEdad(301, umbrales), "caducado");
+});
+
+test("la frescura se evalúa por la estimación más antigua", () => {
+  const ahora = Date.parse("2025-01-15T10:00:00Z");
+  const hace = (s) => ({ fechaDatos: ahora - s * 1000 });
+
+  assert.deepEqual(evaluarFrescura([hace(10), hace(30)], ahora), {
+    fechaDatos: "2025-01-15T09:59:30.000Z",
+    edadDatosSegundos: 30,
+    estadoDatos: "fresco",
+    aviso: null,
+  });
+
+  const retrasadas = evaluarFrescura([hace(10), hace(120), { fechaDatos: null }], ahora);
+  assert.equal(retrasadas.estadoDatos, "retrasado");
+  assert.match(retrasadas.aviso, /120 s/);
+
+  const caducadas = evaluarFrescura([hace(600)], ahora);
+  assert.equal(caducadas.estadoDatos, "caducado");
+  assert.match(caducadas.aviso, /10 min/);
+});
+
+test("un reloj del portal adelantado no da edades negativas", () => {
+  const ahora = Date.parse("2025-01-15T10:00:00Z");
+  const { edadDatosSegundos, estadoDatos } = evaluarFrescura([{ fechaDatos: ahora + 5000 }], ahora);
+  assert.equal(edadDatosSegundos, 0);
+  assert.equal(estadoDatos, "fresco");
+});
+
+test("sin fechas la frescura es desconocida", () => {
+  assert.deepEqual(evaluarFrescura([{ fechaDatos: null }, {}]), {
+    fechaDatos: null,
+    edadDatosSegundos: null,
+    estadoDatos: "desconocido",
+    aviso: null,
+  });
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { crearIndiceEspacial, distanciaMetros } from "../src/geo.js";
+
+// Rejilla de 400 puntos en torno a Santander, algunos sin coordenadas
+const PUNTOS = [];
+for (let i = 0; i < 20; i++) {
+  for (let j = 0; j < 20; j++) {
+    PUNTOS.push({ id: `${i}-${j}`, lat: 43.44 + i * 0.002, lon: -3.86 + j * 0.003 });
+  }
+}
+PUNTOS.push({ id: "sin-coordenadas", lat: null, lon: null });
+
+function porFuerzaBruta(lat, lon, n, radioMetros = Infinity) {
+  return PUNTOS.filter((p) => Number.isFinite(p.lat))
+    .map((p) => ({ id: p.id, d: distanciaMetros(lat, lon, p.lat, p.lon) }))
+    .filter((r) => r.d <= radioMetros)
+    .sort((a, b) => a.d - b.d)
+    .slice(0, n)
+    .map((r) => r.id);
+}
+
+const indice = crearIndiceEspacial(PUNTOS);
+const ids = (resultados) => resultados.map((r) => r.punto.id);
+
+test("descarta los puntos sin coordenadas", () => {
+  assert.equal(indice.total, 400);
+});
+
+test("devuelve los mismos cercanos que la búsqueda exhaustiva", () => {
+  for (const [lat, lon] of [[43.45, -3.84], [43.4601, -3.8301], [43.43, -3.87], [43.5, -3.7]]) {
+    assert.deepEqual(ids(indice.cercanos(lat, lon, { n: 7 })), porFuerzaBruta(lat, lon, 7));
+  }
+});
+
+test("respeta radioMetros y el filtro", () => {
+  const resultados = indice.cercanos(43.45, -3.84, { n: 50, radioMetros: 400 });
+  assert.deepEqual(ids(resultados), porFuerzaBruta(43.45, -3.84, 50, 400));
+  assert.ok(resultados.every((r) => r.distanciaMetros <= 400));
+
+  const filtrados = indice.cercanos(43.45, -3.84, { n: 3, filtro: (p) => p.id.startsWith("0-") });
+  assert.ok(filtrados.length === 3 && filtrados.every((r) => r.punto.id.startsWith("0-")));
+});
+
+test("responde rápido a consultas lejos de la rejilla", () => {
+  // Madrid, coordenadas intercambiadas y las esquinas del rango válido
+  for (const [lat, lon] of [[40.4168, -3.7038], [-3.83, 43.46], [90, 180], [-90, -180]]) {
+    const inicio = performance.now();
+    const resultados = indice.cercanos(lat, lon, { n: 3 });
+    assert.ok(performance.now() - inicio < 500, `consulta (${lat}, ${lon}) demasiado lenta`);
+    assert.deepEqual(ids(resultados), porFuerzaBruta(lat, lon, 3));
+  }
+});
+
+test("un índice vacío o n = 0 no devuelven nada", () => {
+  assert.deepEqual(crearIndiceEspacial([]).cercanos(43.46, -3.83), []);
+  assert.deepEqual(indice.cercanos(43.45, -3.84, { n: 0 }), []);
+  assert.deepEqual(indice.cercanos(43.45, -3.84, { n: -1, radioMetros: 100 }), []);
+});
+
+test("distanciaMetros es el haversine: un grado de longitud mide menos lejos del ecuador", () => {
+  const grado = distanciaMetros(43.46, -3.83, 43.46, -2.83);
+  assert.ok(Math.abs(grado - 111195 * Math.cos((43.46 * Math.PI) / 180)) < 100);
+  assert.ok(Math.abs(distanciaMetros(0, 0, 1, 0) - 111195) < 1);
+  assert.equal(distanciaMetros(43.46, -3.83, 43.46, -3.83), 0);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { PARADAS, arrancarServidorHttp, prepararFixtures } from "./red-prueba.js";
+
+let fixtures;
+let servidor;
+
+before(async () => {
+  fixtures = await prepararFixtures();
+  servidor = await arrancarServidorHttp(fixtures.dir);
+});
+
+after(async () => {
+  await servidor?.parar();
+  await fixtures?.borrar();
+});
+
+async function pedir(ruta) {
+  const res = await fetch(`${servidor.url}${ruta}`);
+  return { status: res.status, cuerpo: await res.json() };
+}
+
+test("las paradas de una línea son los vértices de su recorrido principal", async () => {
+  const { status, cuerpo } = await pedir("/geojson/lineas?linea=1");
+  assert.equal(status, 200);
+
+  const [trazado] = cuerpo.features.filter((f) => f.geometry.type === "LineString");
+  const puntos = cuerpo.features.filter((f) => f.geometry.type === "Point");
+  assert.deepEqual(
+    puntos.map((f) => f.properties.numero),
+    PARADAS.map((p) => p.numero)
+  );
+  assert.deepEqual(
+    puntos.map((f) => f.properties.orden),
+    PARADAS.map((_, i) => i + 1)
+  );
+  assert.deepEqual(
+    puntos.map((f) => f.geometry.coordinates),
+    trazado.geometry.coordinates
+  );
+});
+
+test("/geojson/ruta rechaza un origen igual al destino", async () => {
+  for (const consulta of ["origen=3&destino=3", "origen=43.46,-3.80&destino=43.46,-3.80"]) {
+    const { status, cuerpo } = await pedir(`/geojson/ruta?${consulta}`);
+    assert.equal(status, 400, consulta);
+    assert.match(cuerpo.error, /mismo/);
+  }
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { codificar, generarTripUpdates, generarTripUpdatesProtobuf } from "../src/gtfs-rt.js";
+import { createDataSource, setDataSource } from "../src/datasource.js";
+import { prepararFixtures, TIEMPOS } from "./red-prueba.js";
+
+const bytes = (...valores) => Buffer.from(valores);
+
+/**
+ * Lector mínimo de protobuf: devuelve los campos de un mensaje como
+ * [número, valor], con los varint como BigInt y los length-delimited como
+ * Buffer (sin interpretar).
+ */
+function leerMensaje(buf) {
+  const campos = [];
+  let pos = 0;
+  const leerVarint = () => {
+    let valor = 0n;
+    for (let desplazamiento = 0n; ; desplazamiento += 7n) {
+      const byte = buf[pos++];
+      valor |= BigInt(byte & 0x7f) << desplazamiento;
+      if (!(byte & 0x80)) return valor;
+    }
+  };
+  while (pos < buf.length) {
+    const clave = Number(leerVarint());
+    const [numero, tipoCable] = [clave >> 3, clave & 7];
+    if (tipoCable === 0) {
+      campos.push([numero, leerVarint()]);
+    } else if (tipoCable === 2) {
+      const largo = Number(leerVarint());
+      campos.push([numero, buf.subarray(pos, pos + largo)]);
+      pos += largo;
+    } else {
+      throw new Error(`Tipo de cable inesperado ${tipoCable}`);
+    }
+  }
+  return campos;
+}
+
+const campo = (campos, numero) => campos.find(([n]) => n === numero)?.[1];
+const todos = (campos, numero) => campos.filter(([n]) => n === numero).map(([, v]) => v);
+
+test("codifica claves, varints, textos y enums como el .proto", () => {
+  // time (2) = 300: clave 0x10 y varint de dos bytes
+  assert.deepEqual(codificar("StopTimeEvent", { time: 300 }), bytes(0x10, 0xac, 0x02));
+  // Los int32 negativos ocupan diez bytes en complemento a dos
+  assert.deepEqual(
+    codificar("StopTimeEvent", { delay: -1 }),
+    bytes(0x08, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01)
+  );
+  assert.deepEqual(codificar("FeedEntity", { id: "añ" }), bytes(0x0a, 0x03, 0x61, 0xc3, 0xb1));
+  assert.deepEqual(codificar("TripDescriptor", { schedule_relationship: "CANCELED" }), bytes(0x20, 0x03));
+  // Los campos nulos se omiten y los repetidos se escriben una vez por valor
+  assert.deepEqual(codificar("TripDescriptor", { trip_id: null, start_time: undefined }), bytes());
+  assert.deepEqual(
+    codificar("TripUpdate", { stop_time_update: [{ stop_sequence: 1 }, { stop_sequence: 2 }] }),
+    bytes(0x12, 0x02, 0x08, 0x01, 0x12, 0x02, 0x08, 0x02)
+  );
+  assert.throws(() => codificar("StopTimeEvent", { hora: 1 }), /Campo desconocido StopTimeEvent.hora/);
+});
+
+// ─── Feed de la red de prueba ─────────────────────────────────────────────────
+
+let fixtures;
+
+before(async () => {
+  fixtures = await prepararFixtures();
+  setDataSource(createDataSource({ mode: "replay", fixturesDir: fixtures.dir }));
+});
+
+after(() => fixtures?.borrar());
+
+test("el protobuf del feed se lee de vuelta con los mismos datos que la vista JSON", async () => {
+  const feed = await generarTripUpdates();
+  const mensaje = leerMensaje(await generarTripUpdatesProtobuf());
+
+  // Una predicción por cada bus anunciado en cada parada
+  const anunciados = TIEMPOS.flat().filter((t) => t >= 0).length;
+  assert.equal(feed.entity.length, anunciados);
+
+  const cabecera = leerMensaje(campo(mensaje, 1));
+  assert.equal(campo(cabecera, 1).toString(), "2.0");
+  assert.equal(campo(cabecera, 2), 0n);
+  assert.equal(campo(cabecera, 3), BigInt(feed.header.timestamp));
+
+  const entidades = todos(mensaje, 2).map(leerMensaje);
+  assert.equal(entidades.length, anunciados);
+  entidades.forEach((entidad, i) => {
+    const esperada = feed.entity[i];
+    assert.equal(campo(entidad, 1).toString(), esperada.id);
+
+    const tripUpdate = leerMensaje(campo(entidad, 3));
+    const viaje = leerMensaje(campo(tripUpdate, 1));
+    assert.equal(campo(viaje, 1).toString(), esperada.trip_update.trip.trip_id);
+    assert.equal(campo(viaje, 2).toString(), esperada.trip_update.trip.start_time);
+    assert.equal(campo(viaje, 5).toString(), esperada.trip_update.trip.route_id);
+
+    const [parada] = todos(tripUpdate, 2).map(leerMensaje);
+    const [esperadaParada] = esperada.trip_update.stop_time_update;
+    assert.equal(campo(parada, 4).toString(), esperadaParada.stop_id);
+    assert.equal(campo(leerMensaje(campo(parada, 2)), 2), BigInt(esperadaParada.arrival.time));
+  });
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { inflateRawSync } from "node:zlib";
+
+import { crearZip } from "../src/zip.js";
+import { createDataSource, setDataSource } from "../src/datasource.js";
+import { generarGtfsZip } from "../src/gtfs.js";
+import { PARADAS, DESVIO, prepararFixtures } from "./red-prueba.js";
+
+/**
+ * Lector mínimo de ZIP: recorre el directorio central desde el registro
+ * final y, por cada entrada, comprueba su cabecera local y descomprime.
+ */
+function leerZip(zip) {
+  const fin = zip.length - 22;
+  assert.equal(zip.readUInt32LE(fin), 0x06054b50);
+  const total = zip.readUInt16LE(fin + 10);
+  const tamDirectorio = zip.readUInt32LE(fin + 12);
+  let pos = zip.readUInt32LE(fin + 16);
+  assert.equal(pos + tamDirectorio, fin);
+
+  const entradas = [];
+  for (let i = 0; i < total; i++) {
+    assert.equal(zip.readUInt32LE(pos), 0x02014b50);
+    const crc = zip.readUInt32LE(pos + 16);
+    const comprimido = zip.readUInt32LE(pos + 20);
+    const tamano = zip.readUInt32LE(pos + 24);
+    const largoNombre = zip.readUInt16LE(pos + 28);
+    const offset = zip.readUInt32LE(pos + 42);
+    const nombre = zip.toString("utf8", pos + 46, pos + 46 + largoNombre);
+    pos += 46 + largoNombre;
+
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+    assert.equal(zip.readUInt16LE(offset + 8), 8, "deflate");
+    assert.equal(zip.readUInt32LE(offset + 14), crc);
+    assert.equal(zip.toString("utf8", offset + 30, offset + 30 + largoNombre), nombre);
+    const inicio = offset + 30 + largoNombre;
+    const datos = inflateRawSync(zip.subarray(inicio, inicio + comprimido));
+    assert.equal(datos.length, tamano);
+    entradas.push({ nombre, crc, datos });
+  }
+  return entradas;
+}
+
+test("el ZIP guarda cada fichero con su CRC-32 y se puede leer de vuelta", () => {
+  const ficheros = { "123456789.txt": "123456789", "paradas/señal.txt": "á".repeat(1000), "vacío.txt": "" };
+  const entradas = leerZip(crearZip(ficheros, new Date(2026, 9, 19, 12, 30)));
+
+  assert.deepEqual(entradas.map((e) => e.nombre), Object.keys(ficheros));
+  // Valor de control del CRC-32 para "123456789"
+  assert.equal(entradas[0].crc, 0xcbf43926);
+  assert.equal(entradas[2].crc, 0);
+  entradas.forEach((e, i) => assert.equal(e.datos.toString("utf8"), Object.values(ficheros)[i]));
+});
+
+// ─── Feed estático ────────────────────────────────────────────────────────────
+
+let fixtures;
+
+before(async () => {
+  fixtures = await prepararFixtures();
+  setDataSource(createDataSource({ mode: "replay", fixturesDir: fixtures.dir }));
+});
+
+after(() => fixtures?.borrar());
+
+const filas = (csv) => csv.trim().split("\n").slice(1);
+
+test("el feed GTFS trae los ficheros obligatorios con la red de prueba", async () => {
+  const entradas = new Map(leerZip(await generarGtfsZip()).map((e) => [e.nombre, e.datos.toString("utf8")]));
+
+  assert.deepEqual([...entradas.keys()].sort(), [
+    "agency.txt",
+    "calendar.txt",
+    "feed_info.txt",
+    "frequencies.txt",
+    "routes.txt",
+    "shapes.txt",
+    "stop_times.txt",
+    "stops.txt",
+    "trips.txt",
+  ]);
+  assert.equal(filas(entradas.get("stops.txt")).length, PARADAS.length + 1);
+  assert.ok(entradas.get("stops.txt").includes(DESVIO.nombre));
+  assert.equal(filas(entradas.get("routes.txt")).length, 1);
+  // Un viaje tipo por recorrido: el principal y la variante
+  assert.equal(filas(entradas.get("trips.txt")).length, 2);
+  assert.equal(filas(entradas.get("stop_times.txt")).length, PARADAS.length + 3);
+  assert.match(entradas.get("stop_times.txt"), /^trip_id,arrival_time,departure_time,stop_id,stop_sequence/);
+});
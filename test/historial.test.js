@@ -0,0 +1,144 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { setDataSource, createDataSource } from "../src/datasource.js";
+import {
+  getEstadoHistorial,
+  iniciarGrabadorHistorial,
+  podarHistorial,
+  recorrerCapturas,
+  resumenHistorial,
+} from "../src/historial.js";
+import { partesMadrid } from "../src/frescura.js";
+import { PARADAS, TIEMPOS, prepararFixtures } from "./red-prueba.js";
+
+let fixtures;
+let dir;
+
+before(async () => {
+  fixtures = await prepararFixtures();
+  setDataSource(createDataSource({ mode: "replay", fixturesDir: fixtures.dir }));
+});
+
+after(async () => {
+  await fixtures?.borrar();
+});
+
+async function carpetaVacia() {
+  dir = await mkdtemp(path.join(tmpdir(), "tus-historial-"));
+  return dir;
+}
+
+const borrarCarpeta = () => rm(dir, { recursive: true, force: true });
+
+async function escribirDias(dias) {
+  for (const [fecha, lineas] of Object.entries(dias)) {
+    await writeFile(path.join(dir, `estimaciones-${fecha}.jsonl`), lineas.join("\n") + "\n");
+  }
+}
+
+async function capturas(filtros) {
+  const lista = [];
+  for await (const c of recorrerCapturas(filtros, { dir })) lista.push(c);
+  return lista;
+}
+
+test("el grabador guarda una captura compacta en el fichero del día", async (t) => {
+  t.after(borrarCarpeta);
+  await carpetaVacia();
+
+  const grabador = iniciarGrabadorHistorial({ dir, intervaloSegundos: 3600, retencionDias: 30 });
+  try {
+    for (let i = 0; getEstadoHistorial().capturas === 0 && i < 100; i++) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+  } finally {
+    grabador.detener();
+  }
+  assert.equal(getEstadoHistorial().ultimoError, null);
+
+  const [fichero, ...otros] = await readdir(dir);
+  assert.deepEqual(otros, []);
+  const [texto, resto] = (await readFile(path.join(dir, fichero), "utf8")).split("\n");
+  assert.equal(resto, "");
+
+  const captura = JSON.parse(texto);
+  assert.equal(fichero, `estimaciones-${partesMadrid(captura.t).fecha}.jsonl`);
+  assert.deepEqual(
+    captura.e,
+    PARADAS.map((p, i) => [
+      p.numero,
+      "1",
+      TIEMPOS[i][0],
+      TIEMPOS[i][1],
+      TIEMPOS[i][0] * 5,
+      TIEMPOS[i][1] === -1 ? -1 : TIEMPOS[i][1] * 5,
+      "Parada de prueba 6",
+    ])
+  );
+});
+
+test("las capturas se leen en orden de día y se saltan las líneas dañadas", async (t) => {
+  t.after(borrarCarpeta);
+  await carpetaVacia();
+  const t1 = Date.parse("2025-01-14T22:30:00Z"); // 23:30 en Santander
+  const t2 = Date.parse("2025-01-15T07:00:00Z"); // 08:00
+  const t3 = Date.parse("2025-01-15T09:00:00Z"); // 10:00
+  await escribirDias({
+    "2025-01-15": [
+      JSON.stringify({ t: t2, e: [["3", "1", 120, 600, 500, 2500, "Centro"], ["3", "2", 60, -1, 200, -1, null]] }),
+      '{"t": 1736',
+      JSON.stringify({ t: "ayer", e: [] }),
+      JSON.stringify({ t: t3, e: [] }),
+    ],
+    "2025-01-14": [JSON.stringify({ t: t1, e: [["4", "1", 30, 900, 100, 3000, "Centro"]] })],
+  });
+  await writeFile(path.join(dir, "notas.txt"), "no es del histórico");
+
+  const todas = await capturas();
+  assert.deepEqual(todas.map((c) => c.instante), [t1, t2, t3]);
+  assert.deepEqual(todas[1].observaciones[0], {
+    paradaId: "3",
+    linea: "1",
+    destino: "Centro",
+    tiempo1Segundos: 120,
+    tiempo2Segundos: 600,
+    distancia1Metros: 500,
+    distancia2Metros: 2500,
+  });
+
+  // El filtro de línea deja las capturas, aunque se queden sin observaciones
+  const linea2 = await capturas({ linea: "2" });
+  assert.deepEqual(linea2.map((c) => c.observaciones.length), [0, 1, 0]);
+
+  assert.deepEqual((await capturas({ parada: "4" })).map((c) => c.observaciones.length), [1, 0, 0]);
+  assert.deepEqual((await capturas({ desde: t2 })).map((c) => c.instante), [t2, t3]);
+  assert.deepEqual((await capturas({ hasta: "2025-01-15T08:00:00Z" })).map((c) => c.instante), [t1, t2]);
+  // Franja horaria que cruza la medianoche
+  assert.deepEqual((await capturas({ horaDesde: "23:00", horaHasta: "08:30" })).map((c) => c.instante), [t1, t2]);
+});
+
+test("la poda borra los días anteriores a la retención", async (t) => {
+  t.after(borrarCarpeta);
+  await carpetaVacia();
+  const hoy = partesMadrid(Date.now()).fecha;
+  await escribirDias({ "2000-01-01": ["{}"], "2000-01-02": ["{}"], [hoy]: ["{}"] });
+
+  assert.deepEqual(await podarHistorial({ dir, retencionDias: 30 }), ["2000-01-01", "2000-01-02"]);
+  const { activo, dias } = await resumenHistorial({ dir });
+  assert.equal(activo, true);
+  assert.deepEqual(dias, [{ fecha: hoy, bytes: 3 }]);
+});
+
+test("sin carpeta, o si aún no existe, el histórico está vacío", async () => {
+  for (const sinDatos of [null, path.join(tmpdir(), "tus-historial-no-existe")]) {
+    const lista = [];
+    for await (const c of recorrerCapturas({}, { dir: sinDatos })) lista.push(c);
+    assert.deepEqual(lista, []);
+    assert.deepEqual(await podarHistorial({ dir: sinDatos, retencionDias: 30 }), []);
+  }
+  assert.deepEqual(await resumenHistorial({ dir: null }), { activo: false, dias: [] });
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { buscarLugares, getLugares } from "../src/lugares.js";
+
+const LUGARES = [
+  { nombre: "Hospital Universitario Marqués de Valdecilla", alias: ["Hospital Valdecilla", "Valdecilla"], categoria: "sanidad", lat: 43.4553, lon: -3.8307 },
+  { nombre: "Playa del Sardinero", alias: ["Sardinero"], categoria: "playa", lat: 43.4760, lon: -3.7880 },
+  { nombre: "Palacio de la Magdalena", alias: ["La Magdalena"], lat: 43.4690, lon: -3.7660 },
+  { nombre: "Sin coordenadas", alias: [] },
+];
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "tus-lugares-"));
+  await writeFile(path.join(dir, "lugares.json"), JSON.stringify(LUGARES));
+  await writeFile(path.join(dir, "objeto.json"), JSON.stringify({ nombre: "Suelto" }));
+  process.env.TUS_LUGARES_FILE = path.join(dir, "lugares.json");
+});
+
+after(async () => {
+  delete process.env.TUS_LUGARES_FILE;
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("se descartan los lugares sin coordenadas", async () => {
+  const lugares = await getLugares();
+  assert.deepEqual(
+    lugares.map((l) => [l.nombre, l.categoria]),
+    [
+      ["Hospital Universitario Marqués de Valdecilla", "sanidad"],
+      ["Playa del Sardinero", "playa"],
+      ["Palacio de la Magdalena", null],
+    ]
+  );
+});
+
+test("un alias encuentra el lugar una sola vez, con el alias que coincide", async () => {
+  const resultados = await buscarLugares("Valdecilla");
+  assert.equal(resultados.length, 1);
+  assert.equal(resultados[0].nombre, "Hospital Universitario Marqués de Valdecilla");
+  assert.equal(resultados[0].coincidencia, "Valdecilla");
+  assert.equal(resultados[0].relevancia, 1);
+});
+
+test("el umbral del nomenclátor es más estricto que el de paradas", async () => {
+  // Una errata en una palabra larga queda por debajo de 0,8, aunque bastaría
+  // para encontrar una parada (0,55)
+  assert.deepEqual(await buscarLugares("valdecila"), []);
+  const [relajado] = await buscarLugares("valdecila", { minRelevancia: 0.55 });
+  assert.equal(relajado.nombre, "Hospital Universitario Marqués de Valdecilla");
+  assert.ok(relajado.relevancia >= 0.55 && relajado.relevancia < 0.8);
+
+  // Un prefijo claro sí pasa el umbral
+  const [prefijo] = await buscarLugares("magdal");
+  assert.equal(prefijo.nombre, "Palacio de la Magdalena");
+  assert.ok(prefijo.relevancia >= 0.8);
+});
+
+test("un texto sin relación no encuentra ningún lugar", async () => {
+  assert.deepEqual(await buscarLugares("Peñacastillo"), []);
+});
+
+test("un fichero que no es una lista da error", async () => {
+  process.env.TUS_LUGARES_FILE = path.join(dir, "objeto.json");
+  try {
+    await assert.rejects(getLugares(), /debe contener una lista de lugares/);
+  } finally {
+    process.env.TUS_LUGARES_FILE = path.join(dir, "lugares.json");
+  }
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { setDataSource, createDataSource } from "../src/datasource.js";
+import { planificarRutaEntreCandidatas, resolverNombre } from "../src/api.js";
+import { fixturesRed, prepararFixtures } from "./red-prueba.js";
+
+// Se añade una parada sin ninguna línea que pase por ella
+const SIN_SERVICIO = {
+  "dc:identifier": "8",
+  "ayto:numero": "8",
+  "ayto:parada": "Parada de prueba 8",
+  "wgs84_pos:lat": "43.46",
+  "wgs84_pos:long": "-3.80",
+};
+
+let fixtures;
+
+before(async () => {
+  const paradas = fixturesRed()["paradas_bus.json"];
+  fixtures = await prepararFixtures({
+    "paradas_bus.json": {
+      summary: { items: paradas.resources.length + 1 },
+      resources: [...paradas.resources, SIN_SERVICIO],
+    },
+  });
+  // Sin nomenclátor: los nombres se resuelven sólo como paradas
+  process.env.TUS_LUGARES_FILE = `${fixtures.dir}/no-existe.json`;
+  setDataSource(createDataSource({ mode: "replay", fixturesDir: fixtures.dir }));
+});
+
+after(async () => {
+  await fixtures?.borrar();
+});
+
+async function planificar(origen, destino) {
+  const [o, d] = await Promise.all([resolverNombre(origen), resolverNombre(destino)]);
+  return planificarRutaEntreCandidatas(o.paradas, d.paradas, { candidatos: 5 });
+}
+
+test("una parada de nombre parecido no gana a la exacta aunque su ruta sea más corta", async () => {
+  const { paradas } = await resolverNombre("Parada de prueba 6");
+  assert.equal(paradas[0].numero, "6");
+  assert.ok(paradas.some((p) => p.numero === "2"));
+
+  const resultado = await planificar("Parada de prueba 1", "Parada de prueba 6");
+  assert.deepEqual([resultado.origen.numero, resultado.destino.numero], ["1", "6"]);
+  assert.deepEqual(
+    resultado.combinaciones.map((c) => `${c.origen.numero}>${c.destino.numero}`),
+    ["1>6"]
+  );
+  assert.ok(resultado.itinerarios.length > 0);
+});
+
+test("si la parada exacta no tiene servicio se prueban las demás coincidencias", async () => {
+  const resultado = await planificar("Parada de prueba 1", "Parada de prueba 8");
+  assert.notEqual(resultado.destino.numero, "8");
+  assert.ok(resultado.combinaciones.length > 1);
+  assert.ok(resultado.itinerarios.length > 0);
+});
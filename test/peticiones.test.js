@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { crearClientePortal, crearLimitador, ErrorRespuestaPortal } from "../src/peticiones.js";
+
+// Portal de prueba: cada ruta responde con la lista de cuerpos indicada,
+// uno por petición, repitiendo el último; /lenta tarda 50 ms
+const RESPUESTAS = {
+  "/pagina-rota-una-vez": [{ error: "x" }, { resources: [] }],
+  "/siempre-rota": [{ error: "x" }],
+  "/lenta": [{ resources: [1] }],
+  "/lenta?pagina=2": [{ resources: [2] }],
+};
+const pedidas = new Map();
+let servidor;
+let base;
+
+before(async () => {
+  servidor = http.createServer((req, res) => {
+    const n = pedidas.get(req.url) ?? 0;
+    pedidas.set(req.url, n + 1);
+    const cuerpos = RESPUESTAS[req.url];
+    res.setHeader("content-type", "application/json");
+    const cuerpo = JSON.stringify(cuerpos[Math.min(n, cuerpos.length - 1)]);
+    setTimeout(() => res.end(cuerpo), req.url.startsWith("/lenta") ? 50 : 0);
+  });
+  await new Promise((resolve) => servidor.listen(0, resolve));
+  base = `http://localhost:${servidor.address().port}`;
+});
+
+after(() => servidor.close());
+
+const validar = (datos) => (Array.isArray(datos.resources) ? null : "faltan los recursos");
+const nuevoCliente = () => crearClientePortal({ reintentos: 2, esperaBaseMs: 1, fallosParaAbrir: 2 });
+
+test("reintenta las respuestas que no pasan la validación", async () => {
+  const cliente = nuevoCliente();
+  assert.deepEqual(await cliente.obtenerJson(`${base}/pagina-rota-una-vez`, { validar }), { resources: [] });
+  assert.equal(pedidas.get("/pagina-rota-una-vez"), 2);
+  assert.equal(cliente.estado().fallosSeguidos, 0);
+});
+
+test("una respuesta que nunca es válida cuenta como fallo para el circuito", async () => {
+  const cliente = nuevoCliente();
+  const url = `${base}/siempre-rota`;
+  await assert.rejects(cliente.obtenerJson(url, { validar }), ErrorRespuestaPortal);
+  assert.equal(pedidas.get("/siempre-rota"), 3);
+  await assert.rejects(cliente.obtenerJson(url, { validar }), ErrorRespuestaPortal);
+  assert.equal(cliente.estado().circuito, "abierto");
+});
+
+test("sin validar, cualquier JSON es una respuesta correcta", async () => {
+  const cliente = nuevoCliente();
+  assert.deepEqual(await cliente.obtenerJson(`${base}/siempre-rota`), { error: "x" });
+  assert.equal(cliente.estado().fallosSeguidos, 0);
+});
+
+test("las peticiones simultáneas a la misma URL comparten una sola descarga", async () => {
+  const cliente = nuevoCliente();
+  const [a, b, c, otra] = await Promise.all([
+    cliente.obtenerJson(`${base}/lenta`),
+    cliente.obtenerJson(`${base}/lenta`),
+    cliente.obtenerJson(`${base}/lenta`),
+    cliente.obtenerJson(`${base}/lenta?pagina=2`),
+  ]);
+  assert.deepEqual([a, b, c, otra], [{ resources: [1] }, { resources: [1] }, { resources: [1] }, { resources: [2] }]);
+  assert.equal(a, b);
+  assert.equal(pedidas.get("/lenta"), 1);
+  assert.equal(pedidas.get("/lenta?pagina=2"), 1);
+  assert.equal(cliente.estado().peticiones.compartidas, 2);
+  assert.equal(cliente.estado().peticiones.enCurso, 0);
+
+  // Terminada la descarga, la siguiente petición vuelve al portal
+  await cliente.obtenerJson(`${base}/lenta`);
+  assert.equal(pedidas.get("/lenta"), 2);
+});
+
+/** Tarea que no termina hasta que se llama a su terminar() */
+function tareaPendiente(orden, nombre) {
+  let terminar;
+  const hecha = new Promise((resolve) => {
+    terminar = resolve;
+  });
+  return {
+    tarea: async () => {
+      orden.push(nombre);
+      await hecha;
+      return nombre;
+    },
+    terminar: () => terminar(),
+  };
+}
+
+test("el limitador no pasa del máximo y atiende la cola en orden de llegada", async () => {
+  const limitador = crearLimitador(2);
+  const orden = [];
+  const tareas = ["a", "b", "c", "d"].map((n) => tareaPendiente(orden, n));
+  const resultados = tareas.map((t) => limitador.ejecutar(t.tarea));
+  await new Promise((r) => setImmediate(r));
+
+  assert.deepEqual(orden, ["a", "b"]);
+  assert.deepEqual(limitador.estado(), { activas: 2, enCola: 2, maximo: 2 });
+
+  // El hueco de b pasa a c, la primera de la cola, sin bajar de 2 activas
+  tareas[1].terminar();
+  await resultados[1];
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(orden, ["a", "b", "c"]);
+  assert.deepEqual(limitador.estado(), { activas: 2, enCola: 1, maximo: 2 });
+
+  tareas[0].terminar();
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(orden, ["a", "b", "c", "d"]);
+
+  tareas[2].terminar();
+  tareas[3].terminar();
+  assert.deepEqual(await Promise.all(resultados), ["a", "b", "c", "d"]);
+  assert.deepEqual(limitador.estado(), { activas: 0, enCola: 0, maximo: 2 });
+});
+
+test("una tarea que falla también libera su hueco", async () => {
+  const limitador = crearLimitador(1);
+  const fallida = limitador.ejecutar(async () => {
+    throw new Error("fallo");
+  });
+  const siguiente = limitador.ejecutar(async () => "ok");
+  await assert.rejects(fallida, /fallo/);
+  assert.equal(await siguiente, "ok");
+  assert.deepEqual(limitador.estado(), { activas: 0, enCola: 0, maximo: 1 });
+});
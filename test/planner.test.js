@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { construirRed, buscarItinerarios, minutosAPie } from "../src/planner.js";
+
+// Red sintética: la línea A va de 1 a 3, la B sale de 3 y llega a 5, y la C
+// sale de 30, a unos 100 m de 3, hacia 31
+function secuencia(linea, paradas, kmEntreParadas = 0.5) {
+  return paradas.map((parada, i) => ({
+    "dc:EtiquetaLinea": linea,
+    "ayto:Ruta": `${linea}-1`,
+    "ayto:SentidoRuta": "1",
+    "ayto:NParada": String(parada),
+    "ayto:NombreParada": `Parada ${parada}`,
+    "ayto:PuntoKM": String(i * kmEntreParadas),
+  }));
+}
+
+const SECUENCIAS = [
+  ...secuencia("A", [1, 2, 3]),
+  ...secuencia("B", [3, 4, 5]),
+  ...secuencia("C", [30, 31]),
+];
+
+const PARADAS = [
+  { numero: "1", lat: 43.46, lon: -3.83 },
+  { numero: "2", lat: 43.46, lon: -3.824 },
+  { numero: "3", lat: 43.46, lon: -3.818 },
+  { numero: "4", lat: 43.465, lon: -3.818 },
+  { numero: "5", lat: 43.47, lon: -3.818 },
+  { numero: "30", lat: 43.4609, lon: -3.818 },
+  { numero: "31", lat: 43.4609, lon: -3.81 },
+];
+
+const red = construirRed(SECUENCIAS, PARADAS);
+const lineas = (itinerario) =>
+  itinerario.tramos.filter((t) => t.tipo === "bus").map((t) => t.linea);
+
+test("encuentra el trayecto directo", () => {
+  const [mejor] = buscarItinerarios(red, "1", "3");
+  assert.equal(mejor.tipo, "directa");
+  assert.equal(mejor.transbordos, 0);
+  assert.deepEqual(lineas(mejor), ["A"]);
+});
+
+test("combina dos líneas con un transbordo en la misma parada", () => {
+  const [mejor] = buscarItinerarios(red, "1", "5");
+  assert.equal(mejor.transbordos, 1);
+  assert.deepEqual(lineas(mejor), ["A", "B"]);
+});
+
+test("no transborda si maxTransbordos es 0", () => {
+  assert.deepEqual(buscarItinerarios(red, "1", "5", { maxTransbordos: 0 }), []);
+});
+
+test("respeta el sentido de la línea", () => {
+  assert.deepEqual(buscarItinerarios(red, "3", "1"), []);
+});
+
+test("solo usa las líneas activas", () => {
+  const activas = new Set(["A"]);
+  assert.deepEqual(buscarItinerarios(red, "1", "5", { lineasActivas: activas }), []);
+  assert.equal(buscarItinerarios(red, "1", "3", { lineasActivas: activas }).length, 1);
+});
+
+test("ordena por tiempo estimado aunque haya que transbordar", () => {
+  // La D va directa de 1 a 5, pero dando un rodeo de 16 km
+  const conRodeo = construirRed([...SECUENCIAS, ...secuencia("D", [1, 6, 5], 8)], PARADAS);
+  const itinerarios = buscarItinerarios(conRodeo, "1", "5");
+  assert.deepEqual(itinerarios.map(lineas), [["A", "B"], ["D"]]);
+  assert.ok(itinerarios[0].tiempoEstimadoMinutos < itinerarios[1].tiempoEstimadoMinutos);
+});
+
+// ─── Transbordos a pie ────────────────────────────────────────────────────────
+
+test("transborda a pie entre paradas cercanas", () => {
+  const [mejor] = buscarItinerarios(red, "1", "31");
+  assert.deepEqual(lineas(mejor), ["A", "C"]);
+  const [pie] = mejor.tramos.filter((t) => t.tipo === "pie");
+  assert.deepEqual([pie.paradaOrigen.numero, pie.paradaDestino.numero], ["3", "30"]);
+  assert.ok(pie.distanciaMetros > 90 && pie.distanciaMetros < 110);
+  assert.equal(pie.minutos, Math.max(1, Math.round(minutosAPie(pie.distanciaMetros, 4.5))));
+  assert.equal(mejor.distanciaAPieMetros, pie.distanciaMetros);
+});
+
+test("sin radio de transbordo, o con uno menor, no hay enlaces a pie", () => {
+  for (const radioTransbordoMetros of [0, 50]) {
+    const sinPie = construirRed(SECUENCIAS, PARADAS, { radioTransbordoMetros });
+    assert.deepEqual(buscarItinerarios(sinPie, "1", "31"), []);
+  }
+});
+
+test("minutosAPie cuenta un rodeo sobre la línea recta", () => {
+  // 360 m en línea recta son 450 m por la calle: 6 min a 4,5 km/h
+  assert.equal(minutosAPie(360, 4.5), 6);
+  assert.equal(minutosAPie(720, 4.5), 2 * minutosAPie(360, 4.5));
+});
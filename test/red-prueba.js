@@ -0,0 +1,137 @@
+/**
+ * Red sintética para las pruebas que arrancan el servidor o usan api.js
+ * en modo replay: la línea 1, de ida, con seis paradas en fila de oeste a
+ * este y una variante corta que se desvía por la parada 7. La secuencia
+ * las sitúa en UTM y paradas_bus en grados.
+ */
+
+import { spawn } from "node:child_process";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import net from "node:net";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { utmAGeograficas } from "../src/proyeccion.js";
+
+export const SERVIDOR = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+const parada = (n, x, y) => ({
+  numero: String(n),
+  nombre: `Parada de prueba ${n}`,
+  x,
+  y,
+  ...utmAGeograficas(x, y),
+});
+
+export const PARADAS = [1, 2, 3, 4, 5, 6].map((n) => parada(n, 432850 + n * 320, 4811790));
+export const DESVIO = parada(7, 433650, 4812300);
+const VARIANTE = [
+  [PARADAS[0], 0],
+  [DESVIO, 0.5],
+  [PARADAS[2], 0.8],
+];
+
+// Tiempo hasta el próximo bus y hasta el segundo en cada parada (segundos):
+// la caída de la cuarta sitúa un bus entre la 3 y la 4 sin otro detrás
+// anunciado, y el otro antes de la 1 con el siguiente a 15 min
+export const TIEMPOS = [[60, 960], [180, 1080], [300, 1200], [40, -1], [160, -1], [280, -1]];
+
+const paso = (ruta, p, km) => ({
+  "dc:identifier": `${ruta}-${p.numero}`,
+  "ayto:Linea": "1",
+  "dc:EtiquetaLinea": "1",
+  "ayto:Ruta": ruta,
+  "ayto:SentidoRuta": "1",
+  "ayto:NParada": p.numero,
+  "ayto:NombreParada": p.nombre,
+  "ayto:PuntoKM": String(km),
+  "ayto:PosX": String(p.x),
+  "ayto:PosY": String(p.y),
+});
+
+/** Contenido de las cuatro fixtures, con las estimaciones fechadas en ahora */
+export function fixturesRed(ahora = new Date()) {
+  const fecha = ahora.toISOString();
+  const dataset = (resources) => ({ summary: { items: resources.length }, resources });
+  return {
+    "lineas_bus.json": dataset([{ "ayto:numero": "1", "dc:name": "Línea de prueba", "dc:identifier": "1" }]),
+    "lineas_bus_secuencia.json": dataset([
+      ...PARADAS.map((p, i) => paso("1-1", p, i * 0.35)),
+      ...VARIANTE.map(([p, km]) => paso("1-3", p, km)),
+    ]),
+    "paradas_bus.json": dataset(
+      [...PARADAS, DESVIO].map((p) => ({
+        "dc:identifier": p.numero,
+        "ayto:numero": p.numero,
+        "ayto:parada": p.nombre,
+        "wgs84_pos:lat": String(p.lat),
+        "wgs84_pos:long": String(p.lon),
+      }))
+    ),
+    "control_flotas_estimaciones.json": dataset(
+      PARADAS.map((p, i) => ({
+        "dc:identifier": p.numero,
+        "ayto:paradaId": p.numero,
+        "ayto:etiqLinea": "1",
+        "ayto:destino1": "Parada de prueba 6",
+        "ayto:destino2": "Parada de prueba 6",
+        "ayto:tiempo1": String(TIEMPOS[i][0]),
+        "ayto:tiempo2": String(TIEMPOS[i][1]),
+        "ayto:distancia1": String(TIEMPOS[i][0] * 5),
+        "ayto:distancia2": String(TIEMPOS[i][1] * 5),
+        "ayto:fechActual": fecha,
+        "dc:modified": fecha,
+      }))
+    ),
+  };
+}
+
+/**
+ * Escribe las fixtures en una carpeta temporal. Devuelve { dir, borrar }.
+ * ficheros permite sustituir o añadir datasets.
+ */
+export async function prepararFixtures(ficheros = {}) {
+  const dir = await mkdtemp(path.join(tmpdir(), "tus-red-"));
+  for (const [fichero, contenido] of Object.entries({ ...fixturesRed(), ...ficheros })) {
+    await writeFile(path.join(dir, fichero), JSON.stringify(contenido));
+  }
+  return { dir, borrar: () => rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Arranca el servidor HTTP sobre las fixtures de dir en un puerto libre.
+ * Devuelve { url, parar }.
+ */
+export async function arrancarServidorHttp(dir, env = {}) {
+  const puerto = await new Promise((resolve, reject) => {
+    const libre = net.createServer().listen(0, () => {
+      const { port } = libre.address();
+      libre.close(() => resolve(port));
+    });
+    libre.on("error", reject);
+  });
+
+  const proceso = spawn(process.execPath, [SERVIDOR], {
+    env: { ...process.env, TUS_DATA_MODE: "replay", TUS_FIXTURES_DIR: dir, PORT: String(puerto), ...env },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    let salida = "";
+    proceso.stderr.on("data", (trozo) => {
+      salida += trozo;
+      if (salida.includes("listening on port")) resolve();
+    });
+    proceso.on("exit", (codigo) => reject(new Error(`El servidor terminó (${codigo}): ${salida}`)));
+  });
+
+  return {
+    url: `http://localhost:${puerto}`,
+    parar: () =>
+      new Promise((resolve) => {
+        if (proceso.exitCode !== null) return resolve();
+        proceso.on("exit", resolve);
+        proceso.kill();
+      }),
+  };
+}
@@ -0,0 +1,102 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { setDataSource, createDataSource } from "../src/datasource.js";
+import { analizarRegularidadLinea, recorridoPrincipal } from "../src/regularidad.js";
+import { fixturesRed, prepararFixtures } from "./red-prueba.js";
+
+// Próximo y segundo bus en las paradas 1 a 6 (segundos): un bus antes de la
+// 1 con otro 3 min detrás, otro entre la 3 y la 4 con el siguiente a 24,5 min
+// y la 6 esperando más de 20 min porque los dos buses aún no han llegado
+const TIEMPOS = [[60, 240], [180, 1500], [300, 1620], [30, 1500], [150, 1620], [1300, -1]];
+
+let fixtures;
+
+before(async () => {
+  const estimaciones = fixturesRed()["control_flotas_estimaciones.json"];
+  fixtures = await prepararFixtures({
+    "control_flotas_estimaciones.json": {
+      ...estimaciones,
+      resources: estimaciones.resources.map((r, i) => ({
+        ...r,
+        "ayto:tiempo1": String(TIEMPOS[i][0]),
+        "ayto:tiempo2": String(TIEMPOS[i][1]),
+      })),
+    },
+  });
+  setDataSource(createDataSource({ mode: "replay", fixturesDir: fixtures.dir }));
+});
+
+after(async () => {
+  await fixtures?.borrar();
+});
+
+test("el recorrido principal es el de más paradas, sin repetirlas", () => {
+  const paso = (ruta, numeroParada, sentidoNumerico = 1) => ({
+    ruta,
+    numeroParada,
+    sentidoNumerico,
+    sentido: sentidoNumerico === 1 ? "ida" : "vuelta",
+  });
+  const recorridos = recorridoPrincipal([
+    paso("corta", 1),
+    paso("corta", 3),
+    paso("larga", 1),
+    paso("larga", 2),
+    paso("larga", 3),
+    paso("larga", 1),
+    paso("vuelta", 3, 2),
+    paso("vuelta", 1, 2),
+  ]);
+  assert.deepEqual(
+    recorridos.map((r) => [r.sentido, r.paradas.map((p) => p.numeroParada)]),
+    [
+      ["ida", [1, 2, 3]],
+      ["vuelta", [3, 1]],
+    ]
+  );
+});
+
+test("los buses se sitúan donde cae la espera y se numeran desde el más adelantado", async () => {
+  const { sentidos } = await analizarRegularidadLinea("1");
+  assert.equal(sentidos.length, 1);
+  const [ida] = sentidos;
+  // La variante por la parada 7 no entra en el análisis
+  assert.deepEqual(ida.paradas.map((p) => p.numero), ["1", "2", "3", "4", "5", "6"]);
+  assert.equal(ida.destino, "Parada de prueba 6");
+
+  assert.deepEqual(
+    ida.buses.map((b) => [b.bus, b.paradaAnterior?.numero ?? null, b.paradaSiguiente.numero, b.intervaloConSiguienteMin, b.estado]),
+    [
+      [1, "3", "4", 24.5, "hueco"],
+      [2, null, "1", 3, "agrupado"],
+    ]
+  );
+});
+
+test("las paradas que esperan un hueco se marcan y se avisa de todo", async () => {
+  const { sentidos, alertas } = await analizarRegularidadLinea("1");
+  assert.deepEqual(
+    sentidos[0].paradas.filter((p) => p.enHueco).map((p) => [p.numero, p.esperaMinutos, p.siguienteMinutos]),
+    [["6", 21.7, null]]
+  );
+
+  const sentido = sentidos[0].sentido;
+  assert.deepEqual(alertas, [
+    `Sentido ${sentido}: hueco de 24.5 min detrás del bus 1 (entre "Parada de prueba 3" y "Parada de prueba 4").`,
+    `Sentido ${sentido}: el bus 2 (antes de "Parada de prueba 1" (cabecera)) y el siguiente van agrupados, a 3 min.`,
+    `Sentido ${sentido}: 1 parada(s) esperan 20 min o más: "Parada de prueba 6".`,
+  ]);
+});
+
+test("los umbrales se pueden ajustar", async () => {
+  const { sentidos, alertas } = await analizarRegularidadLinea("1", { agrupamientoMinutos: 2, huecoMinutos: 30 });
+  assert.deepEqual(sentidos[0].buses.map((b) => b.estado), ["regular", "regular"]);
+  assert.deepEqual(alertas, []);
+});
+
+test("una línea sin secuencia no tiene sentidos", async () => {
+  const { sentidos, estimaciones } = await analizarRegularidadLinea("99");
+  assert.deepEqual(sentidos, []);
+  assert.deepEqual(estimaciones, []);
+});
@@ -0,0 +1,167 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+
+import { crearAlmacenEventosMemoria, montarTransporteMcp } from "../src/sesiones.js";
+
+// Las sesiones sin actividad se cierran a los 0,3 s para poder probarlo
+const INACTIVIDAD_S = 0.3;
+
+let servidorHttp;
+let transporteMcp;
+let url;
+
+function crearServidor() {
+  const servidor = new McpServer({ name: "test-sesiones", version: "1.0.0" });
+  servidor.registerTool("eco", { description: "Devuelve ok" }, async () => ({
+    content: [{ type: "text", text: "ok" }],
+  }));
+  return servidor;
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  transporteMcp = montarTransporteMcp(app, crearServidor, { inactividadSegundos: INACTIVIDAD_S });
+  await new Promise((resolve) => {
+    servidorHttp = app.listen(0, resolve);
+  });
+  url = `http://localhost:${servidorHttp.address().port}`;
+});
+
+after(async () => {
+  servidorHttp.closeAllConnections();
+  await new Promise((resolve) => servidorHttp.close(resolve));
+});
+
+const CABECERAS = { "Content-Type": "application/json", Accept: "application/json, text/event-stream" };
+
+function mcp(metodo, { sesion, cuerpo } = {}) {
+  return fetch(`${url}/mcp`, {
+    method: metodo,
+    headers: { ...CABECERAS, ...(sesion ? { "mcp-session-id": sesion } : {}) },
+    body: cuerpo ? JSON.stringify(cuerpo) : undefined,
+  });
+}
+
+/** Abre una sesión con initialize y devuelve su id */
+async function abrirSesion() {
+  const res = await mcp("POST", {
+    cuerpo: {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+    },
+  });
+  assert.equal(res.status, 200);
+  await res.text();
+  return res.headers.get("mcp-session-id");
+}
+
+const listarHerramientas = (sesion) =>
+  mcp("POST", { sesion, cuerpo: { jsonrpc: "2.0", id: 2, method: "tools/list" } });
+
+async function assertSinSesion(res) {
+  assert.equal(res.status, 404);
+  const { error } = await res.json();
+  assert.equal(error.message, "Sesión no encontrada o caducada");
+}
+
+test("un cliente Streamable HTTP abre su sesión y llama a las herramientas", async () => {
+  const cliente = new Client({ name: "test", version: "1.0.0" });
+  const transporte = new StreamableHTTPClientTransport(new URL(`${url}/mcp`));
+  await cliente.connect(transporte);
+  try {
+    assert.ok(transporte.sessionId);
+    const { tools } = await cliente.listTools();
+    assert.deepEqual(tools.map((t) => t.name), ["eco"]);
+    assert.ok(transporteMcp.estado().streamable >= 1);
+  } finally {
+    await transporte.terminateSession();
+    await cliente.close();
+  }
+});
+
+test("una sesión desconocida da 404 y sin cabecera se pide initialize", async () => {
+  await assertSinSesion(await listarHerramientas("no-existe"));
+  await assertSinSesion(await mcp("GET", { sesion: "no-existe" }));
+  await assertSinSesion(await mcp("DELETE", { sesion: "no-existe" }));
+
+  const sinCabecera = await listarHerramientas(null);
+  assert.equal(sinCabecera.status, 400);
+  assert.equal((await sinCabecera.json()).error.message, "Falta la cabecera mcp-session-id");
+});
+
+test("DELETE /mcp cierra la sesión", async () => {
+  const sesion = await abrirSesion();
+  const antes = await listarHerramientas(sesion);
+  assert.equal(antes.status, 200);
+  await antes.text();
+
+  const borrado = await mcp("DELETE", { sesion });
+  assert.equal(borrado.status, 200);
+  await borrado.text();
+  await assertSinSesion(await listarHerramientas(sesion));
+});
+
+test("una sesión sin actividad caduca", async () => {
+  const sesion = await abrirSesion();
+  await new Promise((r) => setTimeout(r, INACTIVIDAD_S * 1000 * 3));
+  await assertSinSesion(await listarHerramientas(sesion));
+});
+
+test("el transporte HTTP+SSE antiguo sigue funcionando", async () => {
+  const cliente = new Client({ name: "test-sse", version: "1.0.0" });
+  const transporte = new SSEClientTransport(new URL(`${url}/sse`));
+  await cliente.connect(transporte);
+  try {
+    const { tools } = await cliente.listTools();
+    assert.deepEqual(tools.map((t) => t.name), ["eco"]);
+    assert.equal(transporteMcp.estado().sse, 1);
+  } finally {
+    await cliente.close();
+  }
+
+  const desconocida = await fetch(`${url}/messages?sessionId=no-existe`, {
+    method: "POST",
+    headers: CABECERAS,
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+  });
+  await assertSinSesion(desconocida);
+
+  const sinId = await fetch(`${url}/messages`, { method: "POST", headers: CABECERAS, body: "{}" });
+  assert.equal(sinId.status, 400);
+  assert.equal((await sinId.json()).error.message, "Falta el parámetro sessionId");
+});
+
+test("el almacén de eventos reanuda sólo el stream del último evento recibido", async () => {
+  const almacen = crearAlmacenEventosMemoria({ maxEventos: 10 });
+  const mensaje = (n) => ({ jsonrpc: "2.0", method: "notifications/message", params: { n } });
+  const a1 = await almacen.storeEvent("a", mensaje(1));
+  await almacen.storeEvent("b", mensaje(2));
+  const a3 = await almacen.storeEvent("a", mensaje(3));
+
+  assert.equal(await almacen.getStreamIdForEventId(a1), "a");
+  const reenviados = [];
+  const stream = await almacen.replayEventsAfter(a1, { send: async (id, m) => reenviados.push([id, m.params.n]) });
+  assert.equal(stream, "a");
+  assert.deepEqual(reenviados, [[a3, 3]]);
+
+  assert.equal(await almacen.replayEventsAfter("desconocido", { send: async () => assert.fail() }), "");
+});
+
+test("el almacén de eventos olvida los más antiguos pasado el máximo", async () => {
+  const almacen = crearAlmacenEventosMemoria({ maxEventos: 2 });
+  const ids = [];
+  for (let n = 1; n <= 3; n++) ids.push(await almacen.storeEvent("a", { n }));
+
+  assert.equal(await almacen.getStreamIdForEventId(ids[0]), undefined);
+  const reenviados = [];
+  await almacen.replayEventsAfter(ids[1], { send: async (id) => reenviados.push(id) });
+  assert.deepEqual(reenviados, [ids[2]]);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { setDataSource, createDataSource } from "../src/datasource.js";
+import { prepararFixtures } from "./red-prueba.js";
+
+// El intervalo y el máximo se leen al cargar el módulo
+process.env.TUS_VIGILANCIA_INTERVALO_S = "1";
+process.env.TUS_VIGILANCIA_MAX = "2";
+const { consultarLlegada, crearVigilancia, listarVigilancias, cancelarVigilancia, cancelarVigilanciasDe } =
+  await import("../src/vigilancia.js");
+
+let fixtures;
+
+before(async () => {
+  fixtures = await prepararFixtures();
+  setDataSource(createDataSource({ mode: "replay", fixturesDir: fixtures.dir }));
+});
+
+after(async () => {
+  await fixtures?.borrar();
+});
+
+/** Crea una vigilancia y espera su aviso (el temporizador no mantiene vivo el proceso) */
+function esperarAviso(datos, propietario) {
+  return new Promise((resolve, reject) => {
+    const limite = setTimeout(() => reject(new Error("No llegó el aviso")), 5000);
+    crearVigilancia(datos, {
+      propietario,
+      notificar: (evento) => {
+        clearTimeout(limite);
+        resolve(evento);
+      },
+    });
+  });
+}
+
+test("consultarLlegada da el próximo bus de la línea en la parada", async () => {
+  const llegada = await consultarLlegada(3, "1");
+  assert.equal(llegada.minutos, 5);
+  assert.equal(llegada.destino, "Parada de prueba 6");
+  assert.equal(llegada.estadoDatos, "fresco");
+  assert.equal(await consultarLlegada("3", "99"), null);
+});
+
+test("se avisa una vez cuando el bus llega al umbral y la vigilancia se borra", async () => {
+  const evento = await esperarAviso(
+    { parada: "3", nombreParada: "Parada de prueba 3", linea: "1", umbralMinutos: 5, duracionMinutos: 10 },
+    "sesion-llegada"
+  );
+  assert.equal(evento.tipo, "llegada");
+  assert.equal(evento.minutos, 5);
+  assert.match(evento.mensaje, /La línea 1 llega a la parada Parada de prueba 3 en 5 min/);
+  assert.equal(evento.vigilancia.parada, "3");
+  assert.deepEqual(listarVigilancias("sesion-llegada"), []);
+});
+
+test("si el bus no llega al umbral a tiempo se avisa de que ha caducado", async () => {
+  const evento = await esperarAviso(
+    { parada: "6", linea: "1", umbralMinutos: 1, duracionMinutos: 0.001 },
+    "sesion-caducada"
+  );
+  assert.equal(evento.tipo, "caducada");
+  assert.match(evento.mensaje, /sin que el bus llegara a 1 min \(última estimación: 5 min\)/);
+  assert.equal(evento.vigilancia.ultimaEstimacion.minutos, 5);
+});
+
+test("cada sesión sólo ve y cancela sus vigilancias, hasta el máximo", () => {
+  const datos = { parada: "1", linea: "1", umbralMinutos: 0, duracionMinutos: 10 };
+  const notificar = () => assert.fail("No debía avisar");
+  const a = crearVigilancia(datos, { propietario: "a", notificar });
+  crearVigilancia(datos, { propietario: "a", notificar });
+  crearVigilancia(datos, { propietario: "b", notificar });
+
+  assert.throws(() => crearVigilancia(datos, { propietario: "a", notificar }), /Ya hay 2 vigilancias activas/);
+  assert.equal(listarVigilancias("a").length, 2);
+  assert.equal(cancelarVigilancia(a.id, "b"), null);
+  assert.equal(cancelarVigilancia(a.id, "a").id, a.id);
+  assert.equal(listarVigilancias("a").length, 1);
+
+  cancelarVigilanciasDe("a");
+  cancelarVigilanciasDe("b");
+  assert.deepEqual([...listarVigilancias("a"), ...listarVigilancias("b")], []);
+});